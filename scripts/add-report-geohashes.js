@@ -0,0 +1,55 @@
+/**
+ * @file add-report-geohashes.js
+ * @description One-off migration that stores the `geohash` of their location on reports from before
+ * the map loaded reports by area. Reports without one never show up on the map.
+ *
+ * Usage:
+ *   npm run migrate:geohashes -- [--dry-run]
+ *
+ * Credentials come from the usual Admin SDK sources (GOOGLE_APPLICATION_CREDENTIALS or
+ * `gcloud auth application-default login`). To run against the local emulator instead,
+ * set FIRESTORE_EMULATOR_HOST=localhost:8080.
+ */
+
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { geohashForLocation } = require('geofire-common');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'pot-hole-rating';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Firestore batches hold at most 500 writes.
+const BATCH_SIZE = 500;
+
+initializeApp({ projectId: PROJECT_ID });
+const db = getFirestore();
+
+const migrate = async () => {
+  const snapshot = await db.collection('reports').get();
+  const missingDocs = snapshot.docs.filter((doc) => {
+    const location = doc.get('location');
+    return !doc.get('geohash') && typeof location?.lat === 'number' && typeof location?.lng === 'number';
+  });
+
+  console.log(`Found ${missingDocs.length} of ${snapshot.size} reports without a geohash.`);
+  if (DRY_RUN) {
+    console.log('Dry run complete, nothing was written.');
+    return;
+  }
+
+  for (let start = 0; start < missingDocs.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    missingDocs.slice(start, start + BATCH_SIZE).forEach((doc) => {
+      const { lat, lng } = doc.get('location');
+      // Same precision as src/services/reports.js (the geofire-common default).
+      batch.update(doc.ref, { geohash: geohashForLocation([lat, lng]) });
+    });
+    await batch.commit();
+    console.log(`Updated ${Math.min(start + BATCH_SIZE, missingDocs.length)} of ${missingDocs.length} reports.`);
+  }
+};
+
+migrate().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * @file add-report-hidden-flags.js
+ * @description One-off migration for reports from before hidden reports were private. It stores `hidden: false`
+ * on reports without the flag, as public queries only ask for reports with `hidden == false`, and records the
+ * reports the moderators hid in `removedReports`, as the leaderboard can no longer read them to take points.
+ *
+ * Usage:
+ *   npm run migrate:hidden -- [--dry-run]
+ *
+ * Credentials come from the usual Admin SDK sources (GOOGLE_APPLICATION_CREDENTIALS or
+ * `gcloud auth application-default login`). To run against the local emulator instead,
+ * set FIRESTORE_EMULATOR_HOST=localhost:8080.
+ */
+
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'pot-hole-rating';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Firestore batches hold at most 500 writes.
+const BATCH_SIZE = 500;
+
+initializeApp({ projectId: PROJECT_ID });
+const db = getFirestore();
+
+const migrate = async () => {
+  const [reports, removals] = await Promise.all([db.collection('reports').get(), db.collection('removedReports').get()]);
+  const recorded = new Set(removals.docs.map(doc => doc.id));
+  const writes = [];
+
+  reports.docs.forEach((doc) => {
+    if (typeof doc.get('hidden') !== 'boolean') {
+      writes.push(batch => batch.update(doc.ref, { hidden: false }));
+    } else if (doc.get('hidden') && doc.get('uid') && !recorded.has(doc.id)) {
+      // Same fields as src/services/moderation.js; the penalty counts from when the report was hidden.
+      writes.push(batch => batch.set(db.collection('removedReports').doc(doc.id), {
+        uid: doc.get('uid'),
+        removedBy: doc.get('moderatedBy') || null,
+        removedAt: doc.get('moderatedAt') || FieldValue.serverTimestamp(),
+      }));
+    }
+  });
+
+  console.log(`Found ${writes.length} of ${reports.size} reports to update.`);
+  if (DRY_RUN) {
+    console.log('Dry run complete, nothing was written.');
+    return;
+  }
+
+  for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(start, start + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+    console.log(`Updated ${Math.min(start + BATCH_SIZE, writes.length)} of ${writes.length} reports.`);
+  }
+};
+
+migrate().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+/**
+ * @file migrate-report-images.js
+ * @description One-off migration that moves legacy inline report photos (`imageBase64`)
+ * out of the Firestore documents and into Cloud Storage, generating a thumbnail for each.
+ *
+ * Usage:
+ *   npm run migrate:images -- [--dry-run]
+ *
+ * Credentials come from the usual Admin SDK sources (GOOGLE_APPLICATION_CREDENTIALS or
+ * `gcloud auth application-default login`). To run against the local emulators instead,
+ * set FIRESTORE_EMULATOR_HOST=localhost:8080 and FIREBASE_STORAGE_EMULATOR_HOST=localhost:9199.
+ */
+
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const sharp = require('sharp');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'pot-hole-rating';
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'pot-hole-rating.appspot.com';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Keep these in sync with FULL_IMAGE_OPTIONS and THUMBNAIL_OPTIONS in src/services/reportImages.js.
+const FULL_IMAGE_SIZE = 1920;
+const THUMBNAIL_SIZE = 320;
+
+initializeApp({ projectId: PROJECT_ID, storageBucket: STORAGE_BUCKET });
+const db = getFirestore();
+const bucket = getStorage().bucket();
+
+/**
+ * @description Decodes a `data:image/...;base64,` URL into a Buffer.
+ * @param {string} dataUrl - The inline image.
+ * @returns {Buffer}
+ */
+const decodeDataUrl = (dataUrl) => Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+
+/**
+ * @description Re-encodes an image as a JPEG that fits within a square of the given size.
+ * @param {Buffer} input - The source image.
+ * @param {number} size - The maximum width or height in pixels.
+ * @param {number} quality - The JPEG quality (1-100).
+ * @returns {Promise<Buffer>}
+ */
+const resizeToJpeg = (input, size, quality) => sharp(input)
+  .rotate() // Respect the EXIF orientation before it is dropped.
+  .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+  .jpeg({ quality })
+  .toBuffer();
+
+/**
+ * @description Uploads one JPEG to Cloud Storage.
+ * @param {string} path - The destination storage path.
+ * @param {Buffer} buffer - The file contents.
+ */
+const uploadJpeg = (path, buffer) => bucket.file(path).save(buffer, {
+  contentType: 'image/jpeg',
+  metadata: { cacheControl: 'public, max-age=31536000' },
+});
+
+const migrate = async () => {
+  const snapshot = await db.collection('reports').get();
+  const legacyDocs = snapshot.docs.filter((doc) => typeof doc.get('imageBase64') === 'string');
+
+  console.log(`Found ${legacyDocs.length} of ${snapshot.size} reports with an inline image.`);
+
+  let migrated = 0;
+  for (const doc of legacyDocs) {
+    // Same layout as getReportImagePaths in src/services/reportImages.js; the legacy photo becomes the cover.
+    const imagePath = `reports/${doc.id}/photo-0.jpg`;
+    const thumbnailPath = `reports/${doc.id}/photo-0-thumb.jpg`;
+
+    try {
+      const original = decodeDataUrl(doc.get('imageBase64'));
+      const [image, thumbnail] = await Promise.all([
+        resizeToJpeg(original, FULL_IMAGE_SIZE, 80),
+        resizeToJpeg(original, THUMBNAIL_SIZE, 70),
+      ]);
+
+      if (DRY_RUN) {
+        console.log(`[dry run] ${doc.id}: ${original.length} bytes -> ${image.length} + ${thumbnail.length} bytes`);
+        continue;
+      }
+
+      await Promise.all([uploadJpeg(imagePath, image), uploadJpeg(thumbnailPath, thumbnail)]);
+      // Only drop the inline copy once both files are safely in Storage.
+      await doc.ref.update({
+        photos: [{ imagePath, thumbnailPath }],
+        imageBase64: FieldValue.delete(),
+      });
+      migrated += 1;
+      console.log(`Migrated ${doc.id}`);
+    } catch (err) {
+      console.error(`Failed to migrate ${doc.id}:`, err);
+    }
+  }
+
+  console.log(DRY_RUN ? 'Dry run complete, nothing was written.' : `Migrated ${migrated} of ${legacyDocs.length} reports.`);
+};
+
+migrate().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+/**
+ * @file set-user-roles.js
+ * @description Grants or revokes a role (see src/data/userRoles.js) by writing the `roles` array of the
+ * user's document in the `users` collection. The app cannot change roles itself; the security rules forbid it.
+ *
+ * Usage:
+ *   npm run set-roles -- <uid> <role>            # grant
+ *   npm run set-roles -- <uid> <role> --remove   # revoke
+ *   npm run set-roles -- <uid> staff --districts="Shivajinagar,Ulsoor"
+ *
+ * `--districts` sets a staff member's jurisdiction, the districts they see on the dashboard
+ * (`--districts=` clears it, meaning the whole city).
+ *
+ * The uid is shown in the Firebase console under Authentication. Credentials come from the usual
+ * Admin SDK sources (GOOGLE_APPLICATION_CREDENTIALS or `gcloud auth application-default login`);
+ * set FIRESTORE_EMULATOR_HOST=localhost:8080 to run against the emulator.
+ */
+
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'pot-hole-rating';
+// Keep in sync with src/data/userRoles.js.
+const ROLES = ['moderator', 'staff'];
+
+const [uid, role] = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+const REMOVE = process.argv.includes('--remove');
+const districtsArg = process.argv.find((arg) => arg.startsWith('--districts='));
+const JURISDICTION = districtsArg === undefined
+  ? undefined
+  : districtsArg.slice('--districts='.length).split(',').map((district) => district.trim()).filter(Boolean);
+
+if (!uid || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-roles -- <uid> <${ROLES.join('|')}> [--remove] [--districts=A,B]`);
+  process.exit(1);
+}
+
+initializeApp({ projectId: PROJECT_ID });
+const db = getFirestore();
+
+const setRole = async () => {
+  const userRef = db.collection('users').doc(uid);
+  await userRef.set({
+    roles: REMOVE ? FieldValue.arrayRemove(role) : FieldValue.arrayUnion(role),
+    ...(JURISDICTION !== undefined && { jurisdiction: JURISDICTION }),
+  }, { merge: true });
+
+  const user = await userRef.get();
+  const roles = user.get('roles') || [];
+  const jurisdiction = user.get('jurisdiction') || [];
+  console.log(`${uid} now has the roles: ${roles.length > 0 ? roles.join(', ') : '(none)'}`);
+  if (roles.includes('staff')) {
+    console.log(`Jurisdiction: ${jurisdiction.length > 0 ? jurisdiction.join(', ') : 'all districts'}`);
+  }
+};
+
+setRole().catch((err) => {
+  console.error('Failed to update roles:', err);
+  process.exit(1);
+});
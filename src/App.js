@@ -15,11 +15,17 @@ import Header from './components/layout/Header';
 import Home from './pages/Home';
 import ReportPage from './pages/ReportPage';
 import ReportSuccess from './pages/ReportSuccess';
+import ReportDetailPage from './pages/ReportDetailPage';
+import MyReportsPage from './pages/MyReportsPage';
 import MapPage from './pages/MapPage';
 import ListPage from './pages/ListPage';
 import LeaderboardPage from './pages/LeaderboardPage';
+import ModerationPage from './pages/ModerationPage';
+import StaffDashboardPage from './pages/StaffDashboardPage';
+import ProfilePage, { MyProfileRedirect } from './pages/ProfilePage';
 import { signInAnonymously, onAuthStateChanged } from 'firebase/auth';
 import { auth } from './firebase';
+import { saveUserProfile } from './services/users';
 
 /**
  * @description Creates a custom Material-UI theme instance.
@@ -117,12 +123,18 @@ function App() {
   // This effect runs once when the app starts.
   // It checks if a user is signed in. If not, it signs them in anonymously.
   // This is crucial for security rules that require an authenticated user.
+  // Guests can later sign in permanently (see services/account.js); signing out starts a new anonymous session.
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       if (!user) {
         signInAnonymously(auth).catch((error) => {
           console.error('Anonymous sign-in failed:', error);
         });
+      } else {
+        // Every account has a profile document in `users` (see services/users.js).
+        saveUserProfile(user).catch((error) => {
+          console.error('Saving the user profile failed:', error);
+        });
       }
     });
     // Cleanup subscription on component unmount
@@ -157,9 +169,15 @@ function App() {
                 <Route path="/" element={<Home />} />
                 <Route path="/report" element={<ReportPage />} />
                 <Route path="/report/success" element={<ReportSuccess />} />
+                <Route path="/reports/:id" element={<ReportDetailPage />} />
                 <Route path="/map" element={<MapPage />} />
                 <Route path="/list" element={<ListPage />} />
                 <Route path="/leaderboard" element={<LeaderboardPage />} />
+                <Route path="/my-reports" element={<MyReportsPage />} />
+                <Route path="/users/:uid" element={<ProfilePage />} />
+                <Route path="/profile" element={<MyProfileRedirect />} />
+                <Route path="/moderation" element={<ModerationPage />} />
+                <Route path="/dashboard" element={<StaffDashboardPage />} />
                 {/* A catch-all route redirects any unknown URL to the Home page. */}
                 <Route path="*" element={<Home />} />
               </Routes>
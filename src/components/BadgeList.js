@@ -0,0 +1,44 @@
+/**
+ * @file BadgeList.js
+ * @description A row of achievement badges (see utils/achievements.js), each with its description in a tooltip.
+ */
+
+import React from 'react';
+import { Box, Paper, Typography, Tooltip } from '@mui/material';
+import { badges as allBadges } from '../utils/achievements';
+
+/**
+ * @description The badge list.
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.badges - The earned badges.
+ * @param {boolean} [props.showLocked=false] - Also show the badges not earned yet, greyed out.
+ */
+const BadgeList = ({ badges, showLocked = false }) => {
+  const earnedIds = badges.map(badge => badge.id);
+  const shownBadges = showLocked ? allBadges : badges;
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5, justifyContent: 'center' }}>
+      {shownBadges.map((badge) => {
+        const isEarned = earnedIds.includes(badge.id);
+        return (
+          <Tooltip key={badge.id} title={isEarned ? badge.description : `Not earned yet: ${badge.description}`}>
+            <Paper
+              elevation={isEarned ? 2 : 0}
+              sx={{
+                width: 110, p: 1.5, textAlign: 'center', borderRadius: 2,
+                opacity: isEarned ? 1 : 0.4, filter: isEarned ? 'none' : 'grayscale(1)',
+                border: 1, borderColor: isEarned ? 'warning.light' : 'divider',
+              }}
+            >
+              <Typography component="div" sx={{ fontSize: '2rem', lineHeight: 1.2 }}>{badge.emoji}</Typography>
+              <Typography variant="caption" component="div" sx={{ fontWeight: 'bold' }}>{badge.label}</Typography>
+            </Paper>
+          </Tooltip>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default BadgeList;
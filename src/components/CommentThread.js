@@ -0,0 +1,137 @@
+/**
+ * @file CommentThread.js
+ * @description The discussion thread of a report: the comments with their author and time,
+ * a box to add one, and a delete button on the user's own comments.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box, Typography, List, ListItem, ListItemText, IconButton, TextField, Button, CircularProgress, Tooltip
+} from '@mui/material';
+import { Delete as DeleteIcon, Send as SendIcon } from '@mui/icons-material';
+import dayjs from 'dayjs';
+import relativeTime from 'dayjs/plugin/relativeTime';
+import { useSnackbar } from 'notistack';
+import useAuthUser from '../hooks/useAuthUser';
+import { getComments, addComment, deleteComment, MAX_COMMENT_LENGTH } from '../services/comments';
+
+dayjs.extend(relativeTime);
+
+/**
+ * @description The comment thread.
+ * @param {object} props - The component props.
+ * @param {string} props.reportId - The report the thread belongs to.
+ */
+const CommentThread = ({ reportId }) => {
+  const user = useAuthUser();
+  // `comments`: The thread, oldest first.
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // `text`: The comment being written.
+  const [text, setText] = useState('');
+  const [posting, setPosting] = useState(false);
+  const { enqueueSnackbar } = useSnackbar();
+
+  const loadComments = useCallback(async () => {
+    try {
+      setComments(await getComments(reportId));
+    } catch (err) {
+      console.error('Error fetching comments:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportId]);
+
+  useEffect(() => {
+    setLoading(true);
+    setComments([]);
+    loadComments();
+  }, [loadComments]);
+
+  const handlePost = async () => {
+    setPosting(true);
+    try {
+      await addComment(reportId, text);
+      setText('');
+      await loadComments();
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      enqueueSnackbar('Failed to post your comment. Please try again.', { variant: 'error' });
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  /**
+   * @description Deletes one of the user's own comments.
+   * @param {string} commentId - The comment.
+   */
+  const handleDelete = async (commentId) => {
+    try {
+      await deleteComment(reportId, commentId);
+      setComments(prev => prev.filter(comment => comment.id !== commentId));
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      enqueueSnackbar('Failed to delete the comment.', { variant: 'error' });
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>Discussion ({comments.length})</Typography>
+
+      {loading ? (
+        <CircularProgress size={20} />
+      ) : comments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          No comments yet. Seen something new here? Let others know.
+        </Typography>
+      ) : (
+        <List dense disablePadding sx={{ mb: 1 }}>
+          {comments.map(comment => (
+            <ListItem
+              key={comment.id}
+              disableGutters
+              alignItems="flex-start"
+              secondaryAction={user && comment.uid === user.uid && (
+                <Tooltip title="Delete your comment">
+                  <IconButton edge="end" size="small" onClick={() => handleDelete(comment.id)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+            >
+              <ListItemText
+                primary={comment.text}
+                secondary={`${comment.authorName || 'Anonymous'} · ${comment.createdAt?.seconds ? dayjs(comment.createdAt.seconds * 1000).fromNow() : 'just now'}`}
+                slotProps={{ primary: { sx: { whiteSpace: 'pre-wrap', wordBreak: 'break-word' } } }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+        <TextField
+          size="small"
+          fullWidth
+          multiline
+          maxRows={4}
+          placeholder="Add a comment, e.g. water-logged after rain"
+          value={text}
+          onChange={(e) => setText(e.target.value.slice(0, MAX_COMMENT_LENGTH))}
+        />
+        <Button
+          variant="contained"
+          onClick={handlePost}
+          disabled={posting || !user || !text.trim()}
+          startIcon={posting ? <CircularProgress size={16} /> : <SendIcon />}
+        >
+          Post
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,102 @@
+/**
+ * @file ConfirmationButtons.js
+ * @description "Still there" / "Fixed now" buttons for a report, with the vote counts and when it was
+ * last confirmed. Each (anonymous) user has one vote per report, which they can change.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import { ThumbUp as ThumbUpIcon, Build as BuildIcon } from '@mui/icons-material';
+import dayjs from 'dayjs';
+import relativeTime from 'dayjs/plugin/relativeTime';
+import { useSnackbar } from 'notistack';
+import { STILL_THERE, FIXED_NOW, confirmReport, getMyConfirmation } from '../services/confirmations';
+
+dayjs.extend(relativeTime);
+
+/**
+ * @description The confirmation buttons.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report (with its `id`).
+ * @param {function(object): void} [props.onChange] - Called with the updated report after a vote.
+ */
+const ConfirmationButtons = ({ report, onChange }) => {
+  // `myVote`: The signed-in user's current vote (STILL_THERE, FIXED_NOW or null).
+  const [myVote, setMyVote] = useState(null);
+  // `changes`: Counter updates from the user's vote, shown until the `report` prop changes, e.g. through a live update.
+  const [changes, setChanges] = useState({});
+  const [saving, setSaving] = useState(false);
+  const { enqueueSnackbar } = useSnackbar();
+  const shown = { ...report, ...changes };
+
+  // Newer report data includes the user's vote and everyone else's.
+  useEffect(() => {
+    setChanges({});
+  }, [report]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMyVote(null);
+    getMyConfirmation(report.id)
+      .then((confirmation) => {
+        if (!cancelled) setMyVote(confirmation?.status || null);
+      })
+      .catch((err) => console.error('Error fetching your confirmation:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [report.id]);
+
+  /**
+   * @description Saves the user's vote.
+   * @param {string} status - STILL_THERE or FIXED_NOW.
+   */
+  const handleVote = async (status) => {
+    setSaving(true);
+    try {
+      const updated = await confirmReport(report.id, status);
+      setMyVote(status);
+      setChanges(updated);
+      enqueueSnackbar(status === FIXED_NOW ? 'Thanks! We will check the repair.' : 'Thanks for confirming!', { variant: 'success' });
+      if (onChange) onChange({ ...report, ...updated });
+    } catch (err) {
+      console.error('Error confirming report:', err);
+      enqueueSnackbar('Failed to save your confirmation. Please try again.', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+        <Button
+          size="small"
+          variant={myVote === STILL_THERE ? 'contained' : 'outlined'}
+          startIcon={<ThumbUpIcon />}
+          onClick={() => handleVote(STILL_THERE)}
+          disabled={saving || myVote === STILL_THERE}
+        >
+          Still there ({shown.confirmationCount || 0})
+        </Button>
+        <Button
+          size="small"
+          color="success"
+          variant={myVote === FIXED_NOW ? 'contained' : 'outlined'}
+          startIcon={<BuildIcon />}
+          onClick={() => handleVote(FIXED_NOW)}
+          disabled={saving || myVote === FIXED_NOW}
+        >
+          Fixed now ({shown.fixedVoteCount || 0})
+        </Button>
+      </Box>
+      {shown.lastConfirmedAt?.seconds && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+          Last confirmed {dayjs(shown.lastConfirmedAt.seconds * 1000).fromNow()}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ConfirmationButtons;
@@ -0,0 +1,85 @@
+/**
+ * @file DangerRatingControl.js
+ * @description Lets a user add their own danger rating to a report. The report's displayed
+ * danger level is the average of everyone's ratings (see utils/dangerRating.js).
+ * Render it with `key={report.id}` so the slider starts over for each report.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Box, Typography, Slider, Button } from '@mui/material';
+import { useSnackbar } from 'notistack';
+import { rateReport, getMyRating } from '../services/ratings';
+import { getDangerLevel, getRatingCount, formatDangerLevel } from '../utils/dangerRating';
+
+/**
+ * @description The rating control.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report (with its `id`).
+ * @param {function(object): void} [props.onChange] - Called with the updated report after rating.
+ */
+const DangerRatingControl = ({ report, onChange }) => {
+  // `myRating`: The user's saved rating, or null if they have not rated this report.
+  const [myRating, setMyRating] = useState(null);
+  // `value`: The rating currently selected on the slider.
+  const [value, setValue] = useState(Math.round(getDangerLevel(report)));
+  const [saving, setSaving] = useState(false);
+  const { enqueueSnackbar } = useSnackbar();
+
+  useEffect(() => {
+    let cancelled = false;
+    getMyRating(report.id)
+      .then((rating) => {
+        if (cancelled || rating === null) return;
+        setMyRating(rating);
+        setValue(rating);
+      })
+      .catch((err) => console.error('Error fetching your rating:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [report.id]);
+
+  const handleRate = async () => {
+    setSaving(true);
+    try {
+      const changes = await rateReport(report.id, value);
+      setMyRating(value);
+      enqueueSnackbar('Thanks for rating!', { variant: 'success' });
+      if (onChange) onChange({ ...report, ...changes });
+    } catch (err) {
+      console.error('Error rating report:', err);
+      enqueueSnackbar('Failed to save your rating. Please try again.', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const ratingCount = getRatingCount(report);
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Average of {ratingCount} {ratingCount === 1 ? 'rating' : 'ratings'}: <strong>{formatDangerLevel(getDangerLevel(report))}/10</strong>
+        {myRating !== null && <> &middot; Your rating: {myRating}/10</>}
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+        <Slider
+          value={value}
+          onChange={(e, newValue) => setValue(newValue)}
+          min={1}
+          max={10}
+          step={1}
+          marks
+          valueLabelDisplay="auto"
+          sx={{ flexGrow: 1 }}
+          aria-label="Your danger rating"
+        />
+        <Button variant="outlined" size="small" onClick={handleRate} disabled={saving || value === myRating}>
+          {saving ? 'Saving...' : myRating === null ? 'Rate' : 'Update'}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default DangerRatingControl;
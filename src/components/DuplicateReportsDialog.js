@@ -0,0 +1,80 @@
+/**
+ * @file DuplicateReportsDialog.js
+ * @description Shown by ReportPage when existing reports are found close to a new one.
+ * The user can attach their photo and rating to one of them, or go ahead with a new report.
+ */
+
+import React from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Card, CardContent, Typography, Box, Chip, CircularProgress
+} from '@mui/material';
+import { CheckCircle as CheckCircleIcon, AddLocationAlt as AddLocationIcon } from '@mui/icons-material';
+import dayjs from 'dayjs';
+import ReportImage from './ReportImage';
+import { formatDistance } from '../utils/geo';
+import { getDangerLevel, formatDangerLevel } from '../utils/dangerRating';
+
+/**
+ * @description The duplicate check dialog.
+ * @param {object} props - The component props.
+ * @param {boolean} props.open - Whether the dialog is visible.
+ * @param {Array<object>} props.reports - The nearby reports, each with a `distance` in meters.
+ * @param {function(object): void} props.onConfirm - Called with the report the user says is the same pothole.
+ * @param {function(): void} props.onProceed - Called when the user wants to submit a new report anyway.
+ * @param {function(): void} props.onClose - Called when the dialog is dismissed without a choice.
+ * @param {boolean} [props.isSubmitting=false] - Disables the actions while a choice is being saved.
+ */
+const DuplicateReportsDialog = ({ open, reports, onConfirm, onProceed, onClose, isSubmitting = false }) => (
+  <Dialog open={open} onClose={isSubmitting ? undefined : onClose} fullWidth maxWidth="sm">
+    <DialogTitle>Is this pothole already reported?</DialogTitle>
+    <DialogContent dividers>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {reports.length === 1 ? 'A pothole has' : `${reports.length} potholes have`} already been reported right here.
+        If yours is one of them, add your photo and rating to it instead of creating a duplicate.
+      </Typography>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {reports.map((report) => (
+          <Card key={report.id} variant="outlined" sx={{ display: 'flex' }}>
+            <Box sx={{ width: 120, flexShrink: 0 }}>
+              <ReportImage report={report} height={120} />
+            </Box>
+            <CardContent sx={{ flexGrow: 1, py: 1.5 }}>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 0.5, flexWrap: 'wrap' }}>
+                <Chip label={`Level ${formatDangerLevel(getDangerLevel(report))}`} size="small" />
+                <Typography variant="caption" color="text.secondary">
+                  {formatDistance(report.distance)} away &middot; {report.createdAt?.seconds ? dayjs(report.createdAt.seconds * 1000).format('MMM D, YYYY') : 'just now'}
+                </Typography>
+              </Box>
+              <Typography variant="subtitle2" noWrap>{report.location.district || 'Unknown Location'}</Typography>
+              {report.description && (
+                <Typography variant="body2" color="text.secondary" noWrap>{report.description}</Typography>
+              )}
+              <Button
+                size="small"
+                startIcon={<CheckCircleIcon />}
+                onClick={() => onConfirm(report)}
+                disabled={isSubmitting}
+                sx={{ mt: 1, px: 0 }}
+              >
+                This is the same pothole
+              </Button>
+            </CardContent>
+          </Card>
+        ))}
+      </Box>
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onClose} disabled={isSubmitting}>Cancel</Button>
+      <Button
+        variant="contained"
+        startIcon={isSubmitting ? <CircularProgress size={20} /> : <AddLocationIcon />}
+        onClick={onProceed}
+        disabled={isSubmitting}
+      >
+        It's a different pothole
+      </Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default DuplicateReportsDialog;
@@ -0,0 +1,158 @@
+/**
+ * @file EditReportDialog.js
+ * @description Lets a reporter correct their own report: fix the danger level,
+ * replace the photos, or move the pin to the right location.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Typography, Slider, Box, Alert, CircularProgress
+} from '@mui/material';
+import { PhotoCamera } from '@mui/icons-material';
+import LocationPickerMap from './LocationPickerMap';
+import { prepareReportImages, MAX_REPORT_PHOTOS } from '../services/reportImages';
+import { reverseGeocode } from '../services/geocoding';
+import { updateReport } from '../services/reports';
+
+/**
+ * @description The edit dialog.
+ * @param {object} props - The component props.
+ * @param {boolean} props.open - Whether the dialog is visible.
+ * @param {object} props.report - The report being edited (with its `id`).
+ * @param {function(): void} props.onClose - Called when the dialog is dismissed.
+ * @param {function(object): void} props.onSaved - Called with the updated report after saving.
+ */
+const EditReportDialog = ({ open, report, onClose, onSaved }) => {
+  const [dangerLevel, setDangerLevel] = useState(report.dangerLevel);
+  const [location, setLocation] = useState(report.location);
+  // `photos`: Replacement photos with their previews; empty keeps the current photos.
+  const [photos, setPhotos] = useState([]);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Start from the saved report every time the dialog opens.
+  useEffect(() => {
+    if (!open) return;
+    setDangerLevel(report.dangerLevel);
+    setLocation(report.location);
+    setPhotos([]);
+    setError('');
+  }, [open, report]);
+
+  // Release the preview URLs of replacement photos that are no longer shown.
+  useEffect(() => () => photos.forEach(photo => URL.revokeObjectURL(photo.preview)), [photos]);
+
+  const handlePhotosChange = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_REPORT_PHOTOS);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsProcessing(true);
+    setError('');
+    try {
+      const prepared = await Promise.all(files.map(async (file) => {
+        const images = await prepareReportImages(file);
+        return { ...images, preview: URL.createObjectURL(images.image) };
+      }));
+      setPhotos(prepared);
+    } catch (err) {
+      console.error('Error compressing image:', err);
+      setError('Failed to process image. Please try another one.');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * @description Moves the pin and looks up the district and address of the new position.
+   * @param {number} lat - The new latitude.
+   * @param {number} lng - The new longitude.
+   */
+  const handleLocationChange = async (lat, lng) => {
+    setLocation(prev => ({ ...prev, lat, lng, formattedAddress: '' }));
+    setIsProcessing(true);
+    try {
+      const details = await reverseGeocode(lat, lng);
+      setLocation(prev => (prev.lat === lat && prev.lng === lng ? { ...prev, ...details } : prev));
+    } catch (err) {
+      console.error('Error fetching district name:', err);
+      setLocation(prev => ({ ...prev, district: 'Unknown Location' }));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const locationChanged = location.lat !== report.location.lat || location.lng !== report.location.lng;
+      const changes = await updateReport(report, {
+        dangerLevel,
+        location: locationChanged ? location : undefined,
+        photos: photos.map(({ image, thumbnail }) => ({ image, thumbnail })),
+      });
+      onSaved({ ...report, ...changes });
+    } catch (err) {
+      console.error('Error updating report:', err);
+      setError('Failed to save your changes. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={isSaving ? undefined : onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Edit your report</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Typography variant="subtitle2" gutterBottom>Danger level: {dangerLevel}/10</Typography>
+        <Slider
+          value={dangerLevel}
+          onChange={(e, newValue) => setDangerLevel(newValue)}
+          min={1}
+          max={10}
+          step={1}
+          marks
+          valueLabelDisplay="auto"
+          sx={{ mb: 2 }}
+        />
+
+        <Typography variant="subtitle2" gutterBottom>Photos</Typography>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+          {photos.map(photo => (
+            <Box key={photo.preview} component="img" src={photo.preview} alt="New photo" sx={{ width: 64, height: 64, objectFit: 'cover', borderRadius: 1 }} />
+          ))}
+          <Button variant="outlined" component="label" startIcon={<PhotoCamera />} disabled={isProcessing || isSaving}>
+            {photos.length > 0 ? 'Pick other photos' : 'Replace photos'}
+            <input type="file" accept="image/*" multiple hidden onChange={handlePhotosChange} />
+          </Button>
+          {photos.length > 0 && (
+            <Typography variant="caption" color="text.secondary">These replace all current photos.</Typography>
+          )}
+        </Box>
+
+        <Typography variant="subtitle2" gutterBottom>Location</Typography>
+        <LocationPickerMap position={location} onChange={handleLocationChange} />
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          {location.district}{location.formattedAddress ? ` · ${location.formattedAddress}` : ''}
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={isSaving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={isSaving || isProcessing}
+          startIcon={isSaving ? <CircularProgress size={20} /> : null}
+        >
+          Save changes
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EditReportDialog;
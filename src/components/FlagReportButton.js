@@ -0,0 +1,106 @@
+/**
+ * @file FlagReportButton.js
+ * @description A "Flag" button that lets users report abuse (spam, offensive content, not a pothole,
+ * privacy issues) to the moderators. Each user can flag a report once.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Button, Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, RadioGroup, Radio,
+  FormControlLabel, CircularProgress
+} from '@mui/material';
+import { Flag as FlagIcon, OutlinedFlag as OutlinedFlagIcon } from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import { flagReasons } from '../data/flagReasons';
+import { flagReport, getMyFlag } from '../services/moderation';
+
+/**
+ * @description The flag button and its dialog.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report (with its `id`).
+ */
+const FlagReportButton = ({ report }) => {
+  // `isFlagged`: Whether the signed-in user has already flagged this report.
+  const [isFlagged, setIsFlagged] = useState(false);
+  const [open, setOpen] = useState(false);
+  // `reason`: The reason picked in the dialog, see data/flagReasons.js.
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { enqueueSnackbar } = useSnackbar();
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsFlagged(false);
+    getMyFlag(report.id)
+      .then((flag) => {
+        if (!cancelled) setIsFlagged(Boolean(flag));
+      })
+      .catch((err) => console.error('Error fetching your flag:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [report.id]);
+
+  const handleClose = () => {
+    setOpen(false);
+    setReason('');
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    try {
+      await flagReport(report.id, reason);
+      setIsFlagged(true);
+      handleClose();
+      enqueueSnackbar('Thanks, a moderator will review this report.', { variant: 'success' });
+    } catch (err) {
+      console.error('Error flagging report:', err);
+      enqueueSnackbar(err.message || 'Failed to flag the report. Please try again.', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        color="inherit"
+        startIcon={isFlagged ? <FlagIcon /> : <OutlinedFlagIcon />}
+        onClick={(e) => { e.stopPropagation(); setOpen(true); }}
+        disabled={isFlagged}
+        sx={{ color: 'text.secondary' }}
+      >
+        {isFlagged ? 'Flagged' : 'Flag'}
+      </Button>
+
+      <Dialog open={open} onClose={saving ? undefined : handleClose} onClick={(e) => e.stopPropagation()}>
+        <DialogTitle>Flag this report</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 1 }}>
+            What is wrong with it? Moderators review flagged reports and remove the ones that break the rules.
+          </DialogContentText>
+          <RadioGroup value={reason} onChange={(e) => setReason(e.target.value)}>
+            {flagReasons.map(option => (
+              <FormControlLabel key={option.value} value={option.value} control={<Radio />} label={option.label} />
+            ))}
+          </RadioGroup>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose} disabled={saving}>Cancel</Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleSubmit}
+            disabled={!reason || saving}
+            startIcon={saving ? <CircularProgress size={20} /> : <FlagIcon />}
+          >
+            Flag
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default FlagReportButton;
@@ -0,0 +1,73 @@
+/**
+ * @file HazardAttributesFields.js
+ * @description The report form fields for a hazard's structured attributes:
+ * type, approximate width and depth, lane position, road type and whether it is water-filled.
+ */
+
+import React from 'react';
+import {
+  Box, FormControl, InputLabel, Select, MenuItem, FormControlLabel, Switch, ToggleButtonGroup, ToggleButton
+} from '@mui/material';
+import {
+  hazardTypes, widthOptions, depthOptions, lanePositions, roadTypes
+} from '../data/hazardAttributes';
+
+/**
+ * @description A select for one optional attribute, with a "Not sure" choice stored as an empty string.
+ * @param {{label: string, name: string, value: string, options: Array, onChange: Function}} props
+ */
+const AttributeSelect = ({ label, name, value, options, onChange }) => (
+  <FormControl fullWidth size="small">
+    <InputLabel id={`${name}-label`}>{label}</InputLabel>
+    <Select labelId={`${name}-label`} value={value} label={label} onChange={(e) => onChange(name, e.target.value)}>
+      <MenuItem value=""><em>Not sure</em></MenuItem>
+      {options.map(option => (
+        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+/**
+ * @description The attribute fields.
+ * @param {object} props - The component props.
+ * @param {object} props.value - The current attributes, shaped like `defaultAttributes`.
+ * @param {function(object): void} props.onChange - Called with the updated attributes object.
+ */
+const HazardAttributesFields = ({ value, onChange }) => {
+  const handleFieldChange = (name, fieldValue) => onChange({ ...value, [name]: fieldValue });
+
+  return (
+    <Box>
+      <ToggleButtonGroup
+        value={value.hazardType}
+        exclusive
+        // Keep a hazard type selected at all times; clicking the active button again does nothing.
+        onChange={(e, hazardType) => hazardType && handleFieldChange('hazardType', hazardType)}
+        aria-label="Hazard type"
+        sx={{ flexWrap: 'wrap', mb: 2 }}
+      >
+        {hazardTypes.map(type => (
+          <ToggleButton key={type.value} value={type.value} size="small">
+            {type.emoji}&nbsp;{type.label}
+          </ToggleButton>
+        ))}
+      </ToggleButtonGroup>
+
+      <Box sx={{ display: 'grid', gap: 2, gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' } }}>
+        <AttributeSelect label="Approximate width" name="width" value={value.width} options={widthOptions} onChange={handleFieldChange} />
+        <AttributeSelect label="Approximate depth" name="depth" value={value.depth} options={depthOptions} onChange={handleFieldChange} />
+        <AttributeSelect label="Position on the road" name="lanePosition" value={value.lanePosition} options={lanePositions} onChange={handleFieldChange} />
+        <AttributeSelect label="Road type" name="roadType" value={value.roadType} options={roadTypes} onChange={handleFieldChange} />
+      </Box>
+
+      <FormControlLabel
+        sx={{ mt: 1 }}
+        control={<Switch checked={value.waterFilled} onChange={(e) => handleFieldChange('waterFilled', e.target.checked)} />}
+        label="Filled with water (depth is hard to judge)"
+      />
+    </Box>
+  );
+};
+
+export default HazardAttributesFields;
@@ -0,0 +1,39 @@
+/**
+ * @file HeatmapLayer.js
+ * @description A react-leaflet layer around leaflet.heat, for use inside a MapContainer.
+ */
+
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.heat';
+import { HEATMAP_GRADIENT } from '../utils/heatmap';
+
+/**
+ * @description The heatmap layer. It is added to the map on mount and removed on unmount.
+ * @param {object} props - The component props.
+ * @param {Array<[number, number, number]>} props.points - `[lat, lng, weight]` points (see utils/heatmap.js).
+ */
+const HeatmapLayer = ({ points }) => {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    // A point reaches the hottest colour at weight 1; nearby points add up.
+    const layer = L.heatLayer([], { radius: 25, blur: 20, maxZoom: 15, max: 1, minOpacity: 0.3, gradient: HEATMAP_GRADIENT });
+    layer.addTo(map);
+    layerRef.current = layer;
+    return () => {
+      layer.remove();
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current?.setLatLngs(points);
+  }, [points]);
+
+  return null;
+};
+
+export default HeatmapLayer;
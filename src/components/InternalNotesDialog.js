@@ -0,0 +1,121 @@
+/**
+ * @file InternalNotesDialog.js
+ * @description A dialog with a report's internal staff notes and a box to add one.
+ * The notes are only visible to staff, unlike the public comments.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Box, Typography, List, ListItem, ListItemText,
+  TextField, Button, CircularProgress
+} from '@mui/material';
+import { Send as SendIcon } from '@mui/icons-material';
+import dayjs from 'dayjs';
+import { useSnackbar } from 'notistack';
+import { getInternalNotes, addInternalNote, MAX_NOTE_LENGTH } from '../services/staff';
+
+/**
+ * @description The internal notes dialog.
+ * @param {object} props - The component props.
+ * @param {object|null} props.report - The report whose notes are shown; the dialog is closed when null.
+ * @param {function(): void} props.onClose - Closes the dialog.
+ */
+const InternalNotesDialog = ({ report, onClose }) => {
+  // `notes`: The report's internal notes, oldest first.
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // `text`: The note being written.
+  const [text, setText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { enqueueSnackbar } = useSnackbar();
+  const reportId = report?.id;
+
+  const loadNotes = useCallback(async () => {
+    if (!reportId) return;
+    try {
+      setNotes(await getInternalNotes(reportId));
+    } catch (err) {
+      console.error('Error fetching internal notes:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportId]);
+
+  useEffect(() => {
+    setLoading(true);
+    setNotes([]);
+    setText('');
+    loadNotes();
+  }, [loadNotes]);
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      await addInternalNote(reportId, text);
+      setText('');
+      await loadNotes();
+    } catch (err) {
+      console.error('Error adding internal note:', err);
+      enqueueSnackbar('Failed to save the note. Please try again.', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(report)} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>
+        Internal notes
+        {report && (
+          <Typography variant="body2" color="text.secondary">
+            {report.location.district || 'Unknown Location'} &middot; not visible to the public
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <CircularProgress size={20} />
+        ) : notes.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>No notes yet.</Typography>
+        ) : (
+          <List dense disablePadding sx={{ mb: 2 }}>
+            {notes.map(note => (
+              <ListItem key={note.id} disableGutters alignItems="flex-start">
+                <ListItemText
+                  primary={note.text}
+                  secondary={`${note.authorName || 'Staff'} · ${note.createdAt?.seconds ? dayjs(note.createdAt.seconds * 1000).format('MMM D, YYYY HH:mm') : 'just now'}`}
+                  slotProps={{ primary: { sx: { whiteSpace: 'pre-wrap', wordBreak: 'break-word' } } }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+          <TextField
+            size="small"
+            fullWidth
+            multiline
+            maxRows={4}
+            placeholder="e.g. Needs a road closure permit"
+            value={text}
+            onChange={(e) => setText(e.target.value.slice(0, MAX_NOTE_LENGTH))}
+          />
+          <Button
+            variant="contained"
+            onClick={handleAdd}
+            disabled={saving || !text.trim()}
+            startIcon={saving ? <CircularProgress size={16} /> : <SendIcon />}
+          >
+            Add
+          </Button>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default InternalNotesDialog;
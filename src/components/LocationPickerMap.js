@@ -0,0 +1,187 @@
+/**
+ * @file LocationPickerMap.js
+ * @description A small interactive map for the report form. The user drags the pin (or taps the map)
+ * to mark the pothole, and can search for a street or landmark to jump to.
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  Box, TextField, InputAdornment, IconButton, List, ListItemButton, ListItemText, Paper, CircularProgress, Typography
+} from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { MapContainer, TileLayer, Marker, useMapEvents } from 'react-leaflet';
+import icon from 'leaflet/dist/images/marker-icon.png';
+import iconShadow from 'leaflet/dist/images/marker-shadow.png';
+
+// Default view when there is no position yet (India), matching MapPage.
+const DEFAULT_CENTER = [20.5937, 78.9629];
+const DEFAULT_ZOOM = 5;
+// Zoom level used once a position is known, close enough to place the pin on the right lane.
+const PICK_ZOOM = 17;
+
+// The pin icon, defined here so the picker does not rely on another page having set Leaflet's default.
+const PinIcon = L.icon({
+  iconUrl: icon,
+  shadowUrl: iconShadow,
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  shadowSize: [41, 41]
+});
+
+/**
+ * @description Moves the pin to wherever the user taps on the map.
+ * @param {{onPick: Function}} props
+ */
+const MapClickHandler = ({ onPick }) => {
+  useMapEvents({
+    click: (e) => onPick(e.latlng.lat, e.latlng.lng),
+  });
+  return null;
+};
+
+/**
+ * @description The location picker map.
+ * @param {object} props - The component props.
+ * @param {{lat: number|null, lng: number|null}} props.position - The current pin position, if any.
+ * @param {function(number, number): void} props.onChange - Called with the new latitude and longitude when the pin moves.
+ */
+const LocationPickerMap = ({ position, onChange }) => {
+  const [map, setMap] = useState(null);
+  // `searchTerm`: The text typed into the place search box.
+  const [searchTerm, setSearchTerm] = useState('');
+  // `searchResults`: The places returned by the geocoder for the last search.
+  const [searchResults, setSearchResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  const markerRef = useRef(null);
+
+  const hasPosition = position.lat != null && position.lng != null;
+
+  // Keep the map centred on the pin whenever it is moved from outside the map (GPS fix, photo location, search).
+  useEffect(() => {
+    if (map && hasPosition && !map.getBounds().contains([position.lat, position.lng])) {
+      map.setView([position.lat, position.lng], PICK_ZOOM);
+    }
+  }, [map, hasPosition, position.lat, position.lng]);
+
+  // Report the new position once the user lets go of the pin.
+  const markerEventHandlers = useMemo(() => ({
+    dragend: () => {
+      const marker = markerRef.current;
+      if (marker) {
+        const { lat, lng } = marker.getLatLng();
+        onChange(lat, lng);
+      }
+    },
+  }), [onChange]);
+
+  /**
+   * @description Looks up a street or landmark with the OpenStreetMap Nominatim geocoder.
+   */
+  const handleSearch = async () => {
+    if (!searchTerm.trim()) return;
+
+    setIsSearching(true);
+    setSearchError('');
+    try {
+      const response = await fetch(
+        `https://nominatim.openstreetmap.org/search?format=json&limit=5&q=${encodeURIComponent(searchTerm.trim())}`
+      );
+      const data = await response.json();
+      setSearchResults(data);
+      if (data.length === 0) setSearchError('No places found. Try a different search.');
+    } catch (err) {
+      console.error('Error searching for place:', err);
+      setSearchError('Search failed. Please check your connection.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  /**
+   * @description Jumps to a search result and drops the pin there.
+   * @param {object} result - A Nominatim search result.
+   */
+  const handleSelectResult = (result) => {
+    const lat = parseFloat(result.lat);
+    const lng = parseFloat(result.lon);
+    setSearchResults([]);
+    setSearchTerm(result.display_name);
+    if (map) map.setView([lat, lng], PICK_ZOOM);
+    onChange(lat, lng);
+  };
+
+  return (
+    <Box>
+      {/* Place search. This sits inside the report form, so Enter is handled here instead of submitting the report. */}
+      <Box sx={{ position: 'relative', mb: 1 }}>
+        <TextField
+          fullWidth
+          size="small"
+          placeholder="Search for a street or landmark..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleSearch();
+            }
+          }}
+          InputProps={{
+            endAdornment: (
+              <InputAdornment position="end">
+                <IconButton edge="end" aria-label="Search" onClick={handleSearch} disabled={isSearching}>
+                  {isSearching ? <CircularProgress size={20} /> : <SearchIcon />}
+                </IconButton>
+              </InputAdornment>
+            ),
+          }}
+        />
+        {searchResults.length > 0 && (
+          <Paper elevation={4} sx={{ position: 'absolute', top: '100%', left: 0, right: 0, zIndex: 1000, maxHeight: 240, overflowY: 'auto' }}>
+            <List dense disablePadding>
+              {searchResults.map((result) => (
+                <ListItemButton key={result.place_id} onClick={() => handleSelectResult(result)}>
+                  <ListItemText primary={result.display_name} />
+                </ListItemButton>
+              ))}
+            </List>
+          </Paper>
+        )}
+      </Box>
+      {searchError && (
+        <Typography variant="caption" color="error" sx={{ display: 'block', mb: 1 }}>{searchError}</Typography>
+      )}
+
+      <MapContainer
+        center={hasPosition ? [position.lat, position.lng] : DEFAULT_CENTER}
+        zoom={hasPosition ? PICK_ZOOM : DEFAULT_ZOOM}
+        style={{ height: 320, width: '100%', borderRadius: '8px' }}
+        ref={setMap}
+      >
+        <TileLayer
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          crossOrigin="anonymous"
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        />
+        <MapClickHandler onPick={onChange} />
+        {hasPosition && (
+          <Marker
+            position={[position.lat, position.lng]}
+            icon={PinIcon}
+            draggable
+            eventHandlers={markerEventHandlers}
+            ref={markerRef}
+          />
+        )}
+      </MapContainer>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+        {hasPosition ? 'Drag the pin or tap the map to adjust the location.' : 'Tap the map to place the pin on the pothole.'}
+      </Typography>
+    </Box>
+  );
+};
+
+export default LocationPickerMap;
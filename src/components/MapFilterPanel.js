@@ -0,0 +1,153 @@
+/**
+ * @file MapFilterPanel.js
+ * @description A collapsible panel with the map's filters: danger bands, a date range, a district search,
+ * the hazard type and the status (see utils/reportFilters.js).
+ */
+
+import React, { useState } from 'react';
+import {
+  Box, Paper, Button, Badge, Collapse, Grid, Typography, FormControl, FormLabel, FormGroup, FormControlLabel,
+  Checkbox, TextField, InputLabel, Select, MenuItem, InputAdornment
+} from '@mui/material';
+import FilterListIcon from '@mui/icons-material/FilterList';
+import SearchIcon from '@mui/icons-material/Search';
+import { dangerBands, defaultReportFilters, countActiveFilters } from '../utils/reportFilters';
+import { hazardTypes } from '../data/hazardAttributes';
+import { reportStatuses } from '../data/reportStatuses';
+
+/**
+ * @description The filter panel. It starts collapsed; the button shows how many filters are active.
+ * @param {object} props - The component props.
+ * @param {object} props.filters - The filters, shaped like `defaultReportFilters`.
+ * @param {function(object): void} props.onChange - Called with the new filters.
+ * @param {number} props.shownCount - How many reports pass the filters.
+ * @param {number} props.totalCount - How many reports are loaded.
+ */
+const MapFilterPanel = ({ filters, onChange, shownCount, totalCount }) => {
+  // `open`: Whether the filters are expanded.
+  const [open, setOpen] = useState(false);
+  const activeCount = countActiveFilters(filters);
+
+  /**
+   * @description Changes one filter.
+   * @param {string} key - The filter, e.g. 'district'.
+   * @param {*} value - Its new value.
+   */
+  const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+
+  /**
+   * @description Turns a danger band on or off.
+   * @param {string} value - The band.
+   * @param {boolean} checked - Whether it is shown.
+   */
+  const toggleDangerBand = (value, checked) => {
+    // Keep the bands in their usual order.
+    setFilter('dangerBands', dangerBands
+      .map(band => band.value)
+      .filter(band => (band === value ? checked : filters.dangerBands.includes(band))));
+  };
+
+  return (
+    <Paper elevation={1} sx={{ p: 1.5, mb: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+        <Button
+          size="small"
+          startIcon={<Badge badgeContent={activeCount} color="primary"><FilterListIcon /></Badge>}
+          onClick={() => setOpen(prev => !prev)}
+          aria-expanded={open}
+        >
+          {open ? 'Hide filters' : 'Filters'}
+        </Button>
+        <Typography variant="body2" color="text.secondary">
+          Showing {shownCount} of {totalCount} loaded reports
+        </Typography>
+        {activeCount > 0 && (
+          <Button size="small" onClick={() => onChange(defaultReportFilters)}>Clear filters</Button>
+        )}
+      </Box>
+
+      <Collapse in={open}>
+        <Grid container spacing={2} sx={{ mt: 1 }}>
+          <Grid size={{ xs: 12, md: 6 }}>
+            <FormControl component="fieldset">
+              <FormLabel component="legend">Danger level</FormLabel>
+              <FormGroup row>
+                {dangerBands.map(band => (
+                  <FormControlLabel
+                    key={band.value}
+                    control={(
+                      <Checkbox
+                        checked={filters.dangerBands.includes(band.value)}
+                        onChange={(e) => toggleDangerBand(band.value, e.target.checked)}
+                        sx={{ color: band.color, '&.Mui-checked': { color: band.color } }}
+                      />
+                    )}
+                    label={band.label}
+                  />
+                ))}
+              </FormGroup>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, md: 6 }}>
+            <TextField
+              fullWidth
+              size="small"
+              label="District"
+              placeholder="Search by district..."
+              value={filters.district}
+              onChange={(e) => setFilter('district', e.target.value)}
+              slotProps={{ input: { startAdornment: (<InputAdornment position="start"><SearchIcon /></InputAdornment>) } }}
+            />
+          </Grid>
+          <Grid size={{ xs: 6, sm: 3 }}>
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="Reported from"
+              value={filters.from}
+              onChange={(e) => setFilter('from', e.target.value)}
+              slotProps={{ inputLabel: { shrink: true }, htmlInput: { max: filters.to || undefined } }}
+            />
+          </Grid>
+          <Grid size={{ xs: 6, sm: 3 }}>
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="Reported until"
+              value={filters.to}
+              onChange={(e) => setFilter('to', e.target.value)}
+              slotProps={{ inputLabel: { shrink: true }, htmlInput: { min: filters.from || undefined } }}
+            />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 3 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Hazard Type</InputLabel>
+              <Select value={filters.hazardType} label="Hazard Type" onChange={(e) => setFilter('hazardType', e.target.value)}>
+                <MenuItem value="all">All Hazards</MenuItem>
+                {hazardTypes.map(type => (
+                  <MenuItem key={type.value} value={type.value}>{type.emoji} {type.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 3 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select value={filters.status} label="Status" onChange={(e) => setFilter('status', e.target.value)}>
+                <MenuItem value="open">Open (not fixed)</MenuItem>
+                <MenuItem value="all">All Statuses</MenuItem>
+                {reportStatuses.map(status => (
+                  <MenuItem key={status.value} value={status.value}>{status.emoji} {status.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+      </Collapse>
+    </Paper>
+  );
+};
+
+export default MapFilterPanel;
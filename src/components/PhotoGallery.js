@@ -0,0 +1,110 @@
+/**
+ * @file PhotoGallery.js
+ * @description A swipeable gallery of a report's photos. On touch screens the photos can be
+ * swiped (CSS scroll snapping), and arrow buttons and dots are provided for mouse users.
+ */
+
+import React, { useState, useRef } from 'react';
+import { Box, IconButton } from '@mui/material';
+import { ChevronLeft as ChevronLeftIcon, ChevronRight as ChevronRightIcon } from '@mui/icons-material';
+import ReportImage from './ReportImage';
+import { getReportPhotos } from '../services/reportImages';
+
+// Shared styles for the previous/next arrow buttons.
+const arrowSx = {
+  position: 'absolute',
+  top: '50%',
+  transform: 'translateY(-50%)',
+  backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  color: 'white',
+  '&:hover': { backgroundColor: 'rgba(0, 0, 0, 0.6)' },
+};
+
+/**
+ * @description Shows all photos of a report, one at a time. A single photo is shown without controls.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report document data.
+ * @param {'thumbnail'|'full'} [props.variant='thumbnail'] - Which version of the photos to show.
+ * @param {number} [props.height=180] - The height of the gallery in pixels.
+ */
+const PhotoGallery = ({ report, variant = 'thumbnail', height = 180 }) => {
+  const photos = getReportPhotos(report);
+  // `activeIndex`: The photo currently scrolled into view, used for the dots and arrows.
+  const [activeIndex, setActiveIndex] = useState(0);
+  const trackRef = useRef();
+
+  if (photos.length === 0) return null;
+  if (photos.length === 1) {
+    return <ReportImage photo={photos[0]} variant={variant} height={height} />;
+  }
+
+  /**
+   * @description Scrolls the gallery track to the photo at the given index.
+   * @param {number} index - The photo to show.
+   */
+  const scrollToPhoto = (index) => {
+    const track = trackRef.current;
+    if (!track) return;
+    track.scrollTo({ left: index * track.clientWidth, behavior: 'smooth' });
+  };
+
+  // Keep the active index in sync when the user swipes instead of using the arrows.
+  const handleScroll = () => {
+    const track = trackRef.current;
+    if (!track || !track.clientWidth) return;
+    setActiveIndex(Math.round(track.scrollLeft / track.clientWidth));
+  };
+
+  return (
+    <Box sx={{ position: 'relative', width: '100%' }}>
+      <Box
+        ref={trackRef}
+        onScroll={handleScroll}
+        sx={{
+          display: 'flex',
+          overflowX: 'auto',
+          scrollSnapType: 'x mandatory',
+          scrollbarWidth: 'none',
+          '&::-webkit-scrollbar': { display: 'none' },
+        }}
+      >
+        {photos.map((photo, index) => (
+          <Box key={photo.imagePath || index} sx={{ flex: '0 0 100%', scrollSnapAlign: 'start' }}>
+            <ReportImage photo={photo} variant={variant} height={height} alt={`Pothole photo ${index + 1} of ${photos.length}`} />
+          </Box>
+        ))}
+      </Box>
+
+      {activeIndex > 0 && (
+        <IconButton size="small" aria-label="Previous photo" onClick={() => scrollToPhoto(activeIndex - 1)} sx={{ ...arrowSx, left: 4 }}>
+          <ChevronLeftIcon fontSize="small" />
+        </IconButton>
+      )}
+      {activeIndex < photos.length - 1 && (
+        <IconButton size="small" aria-label="Next photo" onClick={() => scrollToPhoto(activeIndex + 1)} sx={{ ...arrowSx, right: 4 }}>
+          <ChevronRightIcon fontSize="small" />
+        </IconButton>
+      )}
+
+      {/* Position dots */}
+      <Box sx={{ position: 'absolute', bottom: 8, left: 0, right: 0, display: 'flex', justifyContent: 'center', gap: 0.5 }}>
+        {photos.map((photo, index) => (
+          <Box
+            key={photo.imagePath || index}
+            onClick={() => scrollToPhoto(index)}
+            sx={{
+              width: 8,
+              height: 8,
+              borderRadius: '50%',
+              cursor: 'pointer',
+              backgroundColor: index === activeIndex ? 'white' : 'rgba(255, 255, 255, 0.5)',
+              boxShadow: '0 0 2px rgba(0,0,0,0.5)',
+            }}
+          />
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default PhotoGallery;
@@ -0,0 +1,101 @@
+/**
+ * @file Podium.js
+ * @description The leaderboard podium for the top three (districts or reporters), plus the rank badge
+ * and medals used in the rest of the ranking.
+ */
+
+import React from 'react';
+import { Box, Paper, Typography, useTheme, useMediaQuery } from '@mui/material';
+import { styled } from '@mui/material/styles';
+
+// A styled Paper component for the podium block.
+const PodiumPaper = styled(Paper)(({ theme }) => ({
+  padding: theme.spacing(4),
+  borderRadius: 12,
+  boxShadow: theme.shadows[3],
+  background: 'linear-gradient(145deg, #f5f7fa 0%, #e4e8f0 100%)',
+}));
+
+// A styled Box component for one step of the podium.
+const PodiumStep = styled(Box)(({ theme, position }) => ({
+  display: 'flex',
+  flexDirection: 'column',
+  alignItems: 'center',
+  justifyContent: 'flex-end',
+  // Height varies based on rank (1st is tallest).
+  height: position === 1 ? 200 : position === 2 ? 160 : 120,
+  width: '100%',
+  // Color also varies by rank (gold, silver, bronze).
+  backgroundColor:
+    position === 1 ? theme.palette.warning.light :
+    position === 2 ? '#e0e0e0' :
+    theme.palette.secondary.light,
+  borderRadius: '8px 8px 0 0',
+  padding: theme.spacing(2),
+  position: 'relative',
+  boxShadow: theme.shadows[2],
+  // Responsive height for smaller screens.
+  [theme.breakpoints.down('sm')]: {
+    height: position === 1 ? 160 : position === 2 ? 130 : 100,
+    padding: theme.spacing(1),
+  },
+}));
+
+// A styled badge to display the rank number in the list.
+export const RankBadge = styled(Box)(({ rank, theme }) => ({
+  width: 36,
+  height: 36,
+  borderRadius: '50%',
+  backgroundColor:
+    rank === 1 ? theme.palette.warning.main :
+    rank === 2 ? '#bdbdbd' :
+    theme.palette.secondary.main,
+  marginRight: theme.spacing(2),
+  fontWeight: 'bold',
+  boxShadow: theme.shadows[1],
+}));
+
+/**
+ * @description Returns a medal emoji for the top 3 ranks, otherwise returns the rank number.
+ * @param {number} rank - The rank of the item.
+ * @returns {string} - The emoji or rank string.
+ */
+export const getMedalEmoji = (rank) => {
+  if (rank === 1) return '🥇'; // Gold Medal
+  if (rank === 2) return '🥈'; // Silver Medal
+  if (rank === 3) return '🥉'; // Bronze Medal
+  return `#${rank}`; // For ranks 4 and below
+};
+
+/**
+ * @description The podium, with second place on the left, first in the middle and third on the right.
+ * @param {object} props - The component props.
+ * @param {string} props.title - The heading above the podium.
+ * @param {Array<{key: string, title: React.ReactNode, subtitle: string, caption: string}>} props.places - Up to three entries, best first.
+ */
+const Podium = ({ title, places }) => {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+
+  return (
+    <PodiumPaper sx={{ mb: 4 }}>
+      <Typography variant="h5" align="center" gutterBottom sx={{ fontWeight: 'bold' }}>{title}</Typography>
+      <Box sx={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'center', gap: isMobile ? 1 : 2, mt: 4 }}>
+        {[2, 1, 3].filter(position => places[position - 1]).map((position) => {
+          const place = places[position - 1];
+          const isFirst = position === 1;
+          return (
+            <PodiumStep key={place.key} position={position}>
+              <Typography variant={isFirst ? 'h5' : 'h6'} align="center" sx={{ fontWeight: 'bold' }}>{place.title}</Typography>
+              <Typography variant={isFirst ? 'subtitle1' : 'subtitle2'} align="center">{place.subtitle}</Typography>
+              <Typography variant="caption" align="center" component="div">{place.caption}</Typography>
+              <Box sx={{ position: 'absolute', top: -20, left: '50%', transform: 'translateX(-50%)', width: isFirst ? 50 : 40, height: isFirst ? 50 : 40, borderRadius: '50%', backgroundColor: 'white', display: 'flex', alignItems: 'center', justifyContent: 'center', boxShadow: 2, fontSize: isFirst ? '1.5rem' : '1.2rem', fontWeight: 'bold' }}>{getMedalEmoji(position)}</Box>
+            </PodiumStep>
+          );
+        })}
+      </Box>
+    </PodiumPaper>
+  );
+};
+
+export default Podium;
@@ -0,0 +1,42 @@
+/**
+ * @file ReportAttributes.js
+ * @description Displays a report's structured attributes (hazard type, size, lane position,
+ * road type, water) as a row of small chips. Attributes the reporter left empty are skipped.
+ */
+
+import React from 'react';
+import { Box, Chip } from '@mui/material';
+import {
+  widthOptions, depthOptions, lanePositions, roadTypes, getOptionLabel, getHazardType
+} from '../data/hazardAttributes';
+
+/**
+ * @description The attribute chips for a report.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report document data.
+ * @param {object} [props.sx] - Extra styles for the wrapper.
+ */
+const ReportAttributes = ({ report, sx }) => {
+  const attributes = report.attributes || {};
+  const hazardType = getHazardType(report);
+
+  // Each entry becomes one chip; empty labels (unknown values) are filtered out.
+  const details = [
+    attributes.width && `Width: ${getOptionLabel(widthOptions, attributes.width)}`,
+    attributes.depth && `Depth: ${getOptionLabel(depthOptions, attributes.depth)}`,
+    getOptionLabel(lanePositions, attributes.lanePosition),
+    getOptionLabel(roadTypes, attributes.roadType),
+    attributes.waterFilled && '💧 Water-filled',
+  ].filter(Boolean);
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, ...sx }}>
+      <Chip label={`${hazardType.emoji} ${hazardType.label}`} size="small" color="primary" variant="outlined" />
+      {details.map(detail => (
+        <Chip key={detail} label={detail} size="small" variant="outlined" />
+      ))}
+    </Box>
+  );
+};
+
+export default ReportAttributes;
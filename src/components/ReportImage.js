@@ -0,0 +1,39 @@
+/**
+ * @file ReportImage.js
+ * @description Renders a report's photo inside a Card, loading the thumbnail or the
+ * full-size image from Cloud Storage (or the legacy inline image for older reports).
+ */
+
+import React from 'react';
+import { CardMedia } from '@mui/material';
+import usePhotoUrl from '../hooks/usePhotoUrl';
+import { getReportPhotos } from '../services/reportImages';
+
+/**
+ * @description A CardMedia image for a report photo. Renders nothing when there is no photo.
+ * @param {object} props - The component props.
+ * @param {object} [props.report] - The report document data; its cover photo is shown.
+ * @param {object} [props.photo] - A specific photo to show instead of the report's cover.
+ * @param {'thumbnail'|'full'} [props.variant='thumbnail'] - Which version of the photo to show.
+ * @param {number|string} [props.height=180] - The image height.
+ * @param {string} [props.alt='Pothole'] - The alternative text.
+ * @param {object} [props.sx] - Extra styles for the image.
+ */
+const ReportImage = ({ report, photo, variant = 'thumbnail', height = 180, alt = 'Pothole', sx }) => {
+  const imageUrl = usePhotoUrl(photo || getReportPhotos(report)[0], variant);
+
+  if (!imageUrl) return null;
+
+  return (
+    <CardMedia
+      component="img"
+      height={height}
+      image={imageUrl}
+      alt={alt}
+      loading="lazy"
+      sx={{ width: '100%', objectFit: 'cover', ...sx }}
+    />
+  );
+};
+
+export default ReportImage;
@@ -0,0 +1,101 @@
+/**
+ * @file ReportOwnerActions.js
+ * @description Edit and delete buttons for a report, shown only to the user who submitted it.
+ * Reports hidden by the moderators cannot be deleted by their reporter.
+ */
+
+import React, { useState } from 'react';
+import {
+  Box, Button, Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, CircularProgress, Tooltip
+} from '@mui/material';
+import { Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import EditReportDialog from './EditReportDialog';
+import useAuthUser from '../hooks/useAuthUser';
+import { deleteReport } from '../services/reports';
+
+/**
+ * @description The owner actions. Renders nothing for other users.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report (with its `id` and `uid`).
+ * @param {function(object): void} props.onUpdated - Called with the updated report after an edit.
+ * @param {function(): void} props.onDeleted - Called after the report was deleted.
+ */
+const ReportOwnerActions = ({ report, onUpdated, onDeleted }) => {
+  const user = useAuthUser();
+  const [isEditOpen, setEditOpen] = useState(false);
+  const [isDeleteOpen, setDeleteOpen] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const { enqueueSnackbar } = useSnackbar();
+
+  if (!user || !report.uid || report.uid !== user.uid) return null;
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    try {
+      const { photosDeleted } = await deleteReport(report);
+      setDeleteOpen(false);
+      if (photosDeleted) {
+        enqueueSnackbar('Your report was deleted.', { variant: 'success' });
+      } else {
+        enqueueSnackbar('Your report was deleted, but some of its photos could not be removed.', { variant: 'warning' });
+      }
+      onDeleted();
+    } catch (err) {
+      console.error('Error deleting report:', err);
+      // The rules refuse reports the moderators hid since the page was loaded.
+      enqueueSnackbar(err.code === 'permission-denied'
+        ? 'This report was hidden by the moderators and can no longer be deleted.'
+        : 'Failed to delete the report. Please try again.', { variant: 'error' });
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1 }}>
+      <Button size="small" startIcon={<EditIcon />} onClick={() => setEditOpen(true)}>Edit</Button>
+      <Tooltip title={report.hidden ? 'Hidden by the moderators, so it cannot be deleted' : ''}>
+        <span>
+          <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={() => setDeleteOpen(true)} disabled={report.hidden}>
+            Delete
+          </Button>
+        </span>
+      </Tooltip>
+
+      <EditReportDialog
+        open={isEditOpen}
+        report={report}
+        onClose={() => setEditOpen(false)}
+        onSaved={(updated) => {
+          setEditOpen(false);
+          enqueueSnackbar('Your report was updated.', { variant: 'success' });
+          onUpdated(updated);
+        }}
+      />
+
+      <Dialog open={isDeleteOpen} onClose={isDeleting ? undefined : () => setDeleteOpen(false)}>
+        <DialogTitle>Delete this report?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The report and its photos will be removed for everyone. This cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteOpen(false)} disabled={isDeleting}>Cancel</Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleDelete}
+            disabled={isDeleting}
+            startIcon={isDeleting ? <CircularProgress size={20} /> : <DeleteIcon />}
+          >
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ReportOwnerActions;
@@ -0,0 +1,143 @@
+/**
+ * @file ReportStatusPanel.js
+ * @description Shows a report's current lifecycle status with its timestamped history,
+ * and lets staff move the report to another status with an optional note.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box, Typography, List, ListItem, ListItemText, FormControl, InputLabel, Select, MenuItem,
+  TextField, Button, CircularProgress
+} from '@mui/material';
+import dayjs from 'dayjs';
+import { useSnackbar } from 'notistack';
+import StatusChip from './StatusChip';
+import { reportStatuses, getReportStatus } from '../data/reportStatuses';
+import { getStatusHistory, updateReportStatus } from '../services/reportStatus';
+import useUserRoles from '../hooks/useUserRoles';
+import { STAFF } from '../data/userRoles';
+
+/**
+ * @description The status panel.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report (with its `id`).
+ * @param {function(string): void} [props.onStatusChange] - Called with the new status after a successful update.
+ */
+const ReportStatusPanel = ({ report, onStatusChange }) => {
+  // `history`: The report's status changes, oldest first.
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // `newStatus` and `note`: The pending status change entered by the user.
+  const [newStatus, setNewStatus] = useState(getReportStatus(report).value);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { enqueueSnackbar } = useSnackbar();
+  // Only staff change the status; everyone sees the history.
+  const { roles } = useUserRoles();
+  const isStaff = roles.includes(STAFF);
+  // The report's status as stored, which live updates may change.
+  const currentStatus = getReportStatus(report).value;
+
+  // Start the status picker from the stored status for each report, and again when that status changes.
+  // Other updates of the same report (e.g. a new confirmation) keep the user's choice.
+  useEffect(() => {
+    setNewStatus(currentStatus);
+  }, [report.id, currentStatus]);
+
+  // (Re)load the history whenever a different report is shown.
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getStatusHistory(report.id)
+      .then((entries) => {
+        if (!cancelled) setHistory(entries);
+      })
+      .catch((err) => {
+        console.error('Error fetching status history:', err);
+        if (!cancelled) setHistory([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [report.id]);
+
+  const handleUpdate = async () => {
+    setSaving(true);
+    try {
+      await updateReportStatus(report, newStatus, note.trim());
+      setNote('');
+      setHistory(await getStatusHistory(report.id));
+      enqueueSnackbar('Status updated.', { variant: 'success' });
+      if (onStatusChange) onStatusChange(newStatus);
+    } catch (err) {
+      console.error('Error updating status:', err);
+      enqueueSnackbar('Failed to update the status. Please try again.', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="subtitle2">Status:</Typography>
+        <StatusChip report={report} />
+      </Box>
+
+      {loading ? (
+        <CircularProgress size={20} />
+      ) : history.length > 0 && (
+        <List dense disablePadding sx={{ mb: 1 }}>
+          {history.map(entry => {
+            const status = getReportStatus(entry);
+            return (
+              <ListItem key={entry.id} disableGutters sx={{ borderLeft: `3px solid ${status.color}`, pl: 1.5, mb: 0.5 }}>
+                <ListItemText
+                  primary={`${status.emoji} ${status.label}`}
+                  secondary={[
+                    entry.changedAt?.seconds ? dayjs(entry.changedAt.seconds * 1000).format('MMM D, YYYY h:mm A') : 'just now',
+                    entry.note,
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            );
+          })}
+        </List>
+      )}
+
+      {/* Status update */}
+      {isStaff && (
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 1 }}>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel id="new-status-label">Change status</InputLabel>
+            <Select labelId="new-status-label" value={newStatus} label="Change status" onChange={(e) => setNewStatus(e.target.value)}>
+              {reportStatuses.map(status => (
+                <MenuItem key={status.value} value={status.value}>{status.emoji} {status.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            label="Note (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            slotProps={{ htmlInput: { maxLength: 500 } }}
+            sx={{ flexGrow: 1 }}
+          />
+          <Button
+            variant="outlined"
+            onClick={handleUpdate}
+            disabled={saving || newStatus === currentStatus}
+          >
+            {saving ? 'Saving...' : 'Update'}
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ReportStatusPanel;
@@ -0,0 +1,154 @@
+/**
+ * @file ReporterLeaderboard.js
+ * @description The reporter tab of the leaderboard: people ranked by points (see utils/reporterPoints.js)
+ * for this week, this month or all time, with the top three on the podium.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box, Paper, Typography, List, ListItem, ListItemText, Divider, ToggleButtonGroup, ToggleButton,
+  CircularProgress, Link
+} from '@mui/material';
+import { EmojiEvents as TrophyIcon } from '@mui/icons-material';
+import Podium, { RankBadge } from './Podium';
+import { getAllConfirmations } from '../services/confirmations';
+import { getRemovedReports } from '../services/moderation';
+import { getUserProfile } from '../services/users';
+import { POINTS, periods, getPeriodStart, computeReporterScores } from '../utils/reporterPoints';
+import { getDisplayName } from '../utils/displayName';
+import { getProfilePath } from '../utils/reportUrl';
+
+// How many people are ranked.
+const RANKED_REPORTERS = 20;
+
+/**
+ * @description Describes what a reporter's points are made of.
+ * @param {object} score - The reporter's score.
+ * @returns {string} e.g. "3 reports · 2 fixed · 5 confirmations".
+ */
+const describeScore = (score) => [
+  `${score.reports} ${score.reports === 1 ? 'report' : 'reports'}`,
+  score.fixed > 0 && `${score.fixed} fixed`,
+  score.confirmations > 0 && `${score.confirmations} ${score.confirmations === 1 ? 'confirmation' : 'confirmations'}`,
+  score.removed > 0 && `${score.removed} removed`,
+].filter(Boolean).join(' · ');
+
+/**
+ * @description The reporter leaderboard.
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.reports - All public reports (with their `id`).
+ */
+const ReporterLeaderboard = ({ reports }) => {
+  // `period`: 'week', 'month' or 'all'.
+  const [period, setPeriod] = useState('week');
+  // `activity`: Every confirmation and every report the moderators hid or deleted, loaded once.
+  const [activity, setActivity] = useState(null);
+  // `names`: Display names loaded from the profiles of people who have not reported anything.
+  const [names, setNames] = useState({});
+
+  useEffect(() => {
+    Promise.all([getAllConfirmations(), getRemovedReports()])
+      .then(([confirmations, removals]) => setActivity({ confirmations, removals }))
+      .catch((err) => {
+        console.error('Error fetching leaderboard activity:', err);
+        setActivity({ confirmations: [], removals: [] });
+      });
+  }, []);
+
+  const ranking = useMemo(
+    () => (activity
+      ? computeReporterScores(reports, activity.confirmations, activity.removals, getPeriodStart(period)).slice(0, RANKED_REPORTERS)
+      : []),
+    [reports, activity, period]
+  );
+
+  // Look up the names of ranked people that no report carries.
+  useEffect(() => {
+    const missing = ranking.filter(score => !score.name && !(score.uid in names)).map(score => score.uid);
+    if (missing.length === 0) return;
+    Promise.all(missing.map(uid => getUserProfile(uid).catch(() => null)))
+      .then((profiles) => {
+        setNames(prev => ({
+          ...prev,
+          ...Object.fromEntries(missing.map((uid, index) => [uid, profiles[index]?.displayName || null])),
+        }));
+      });
+  }, [ranking, names]);
+
+  /**
+   * @description The name of a ranked person, linking to their profile.
+   * @param {object} score - The person's score.
+   * @returns {React.ReactNode}
+   */
+  const renderName = (score) => (
+    <Link component={RouterLink} to={getProfilePath(score.uid)} color="inherit" underline="hover">
+      {score.name || names[score.uid] || getDisplayName({ uid: score.uid })}
+    </Link>
+  );
+
+  const topReporters = ranking.slice(0, 3);
+  const otherReporters = ranking.slice(3);
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', justifyContent: 'center', mb: 3 }}>
+        <ToggleButtonGroup value={period} exclusive size="small" onChange={(e, value) => value && setPeriod(value)}>
+          {periods.map(option => <ToggleButton key={option.value} value={option.value}>{option.label}</ToggleButton>)}
+        </ToggleButtonGroup>
+      </Box>
+
+      {!activity ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}><CircularProgress /></Box>
+      ) : (
+        <>
+          {topReporters.length > 0 && (
+            <Podium
+              title="Top Reporters"
+              places={topReporters.map(score => ({
+                key: score.uid,
+                title: renderName(score),
+                subtitle: `${score.points} points`,
+                caption: describeScore(score),
+              }))}
+            />
+          )}
+
+          <Paper elevation={3} sx={{ p: { xs: 2, sm: 3 }, borderRadius: 2 }}>
+            <Typography variant="h6" gutterBottom sx={{ mb: 2, fontWeight: 'bold' }}>All Reporters</Typography>
+            {otherReporters.length > 0 ? (
+              <List sx={{ width: '100%', bgcolor: 'background.paper', p: 0 }}>
+                {otherReporters.map((score, index) => (
+                  <React.Fragment key={score.uid}>
+                    <ListItem alignItems="flex-start" sx={{ py: 2 }}>
+                      <RankBadge rank={index + 4}>{index + 4}</RankBadge>
+                      <ListItemText
+                        primary={<Typography variant="subtitle1" component="div" sx={{ fontWeight: 'bold' }}>{renderName(score)}</Typography>}
+                        secondary={describeScore(score)}
+                      />
+                      <Typography variant="body1" sx={{ fontWeight: 'bold' }}>{score.points} pts</Typography>
+                    </ListItem>
+                    {index < otherReporters.length - 1 && <Divider variant="inset" component="li" />}
+                  </React.Fragment>
+                ))}
+              </List>
+            ) : (
+              <Box sx={{ textAlign: 'center', py: 4 }}>
+                <TrophyIcon sx={{ fontSize: 40, color: 'text.secondary', mb: 1 }} />
+                <Typography color="text.secondary">
+                  {ranking.length === 0 ? 'No points scored in this period yet.' : 'More reporters will appear here as they earn points.'}
+                </Typography>
+              </Box>
+            )}
+            <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 2 }}>
+              Points: {POINTS.REPORT} per report, {POINTS.FIXED} when it gets fixed, {POINTS.CONFIRMATION} per confirmation
+              of someone else's report, {POINTS.REMOVED} for a report removed by the moderators.
+            </Typography>
+          </Paper>
+        </>
+      )}
+    </>
+  );
+};
+
+export default ReporterLeaderboard;
@@ -0,0 +1,27 @@
+/**
+ * @file ReporterLink.js
+ * @description The name of the user who submitted a report, linking to their profile page.
+ */
+
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Link } from '@mui/material';
+import { getDisplayName } from '../utils/displayName';
+import { getProfilePath } from '../utils/reportUrl';
+
+/**
+ * @description The reporter link. Renders nothing for reports from before reporters were recorded.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report (with its `uid` and `reporterName`).
+ */
+const ReporterLink = ({ report }) => {
+  if (!report.uid) return null;
+
+  return (
+    <Link component={RouterLink} to={getProfilePath(report.uid)} onClick={(e) => e.stopPropagation()} color="inherit">
+      {report.reporterName || getDisplayName({ uid: report.uid })}
+    </Link>
+  );
+};
+
+export default ReporterLink;
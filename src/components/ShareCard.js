@@ -2,7 +2,7 @@
  * @file ShareCard.js
  * @description A versatile component that generates a visually appealing, shareable card from pothole report data.
  * It uses the `html-to-image` library to convert the component's DOM into a downloadable PNG image.
- * It also provides social media sharing functionality.
+ * It also provides social media sharing functionality, and can show one of the reporter's achievement badges.
  */
 
 import React from 'react';
@@ -14,6 +14,7 @@ import {
   Button, 
   IconButton,
   Tooltip,
+  Chip,
   useTheme,
   useMediaQuery
 } from '@mui/material';
@@ -122,8 +123,12 @@ const DangerMeter = styled(Box)(({ dangerLevel, theme }) => ({
 /**
  * @description A component that renders a shareable card for a pothole report.
  * @param {object} props - The component props.
- * @param {object} props.report - The pothole report data.
+ * @param {object} props.report - The pothole report data. When `report.imageUrls` holds several photos,
+ * the user can pick which one appears on the card. `report.url` is the link to share, usually the report's
+ * permalink (see utils/reportUrl.js); it defaults to the current page.
  * @param {function} props.onClose - Function to call when the close button is clicked.
+ * @param {Array<object>} [props.badges] - The reporter's earned badges (see utils/achievements.js) to choose from for the card.
+ * @param {string} [props.initialBadgeId] - The badge shown on the card at first, e.g. one that was just earned.
  * @param {boolean} props.showActions - Whether to show the share/download action buttons.
  * @param {boolean} props.showCloseButton - Whether to show the close button.
  */
@@ -133,7 +138,9 @@ const ShareCard = ({
   onShare, 
   isPreview = false,
   showActions = true,
-  showCloseButton = true
+  showCloseButton = true,
+  badges = [],
+  initialBadgeId = null
 }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
@@ -143,13 +150,21 @@ const ShareCard = ({
   // Destructure report data with default values to prevent errors if data is missing.
   const {
     imageUrl,
+    imageUrls = [],
     dangerLevel = 5,
     description = '',
     location = { district: 'Unknown Location' },
     createdAt = new Date(),
-    caption = ''
+    caption = '',
+    url = window.location.href
   } = report;
 
+  // The photo shown on the card, defaulting to the report's cover photo.
+  const [selectedImage, setSelectedImage] = React.useState(imageUrl || imageUrls[0]);
+  // The badge shown on the card, if any.
+  const [selectedBadgeId, setSelectedBadgeId] = React.useState(initialBadgeId);
+  const selectedBadge = badges.find(badge => badge.id === selectedBadgeId);
+
   /**
    * @description Generates a PNG from the card's content and triggers a download.
    */
@@ -182,7 +197,7 @@ const ShareCard = ({
     const shareData = {
       title: 'Dangerous Pothole Report',
       text: `I found a level ${dangerLevel} pothole in ${location.district}. ${caption || ''}`,
-      url: window.location.href,
+      url,
     };
 
     if (platform === 'copy') {
@@ -299,9 +314,9 @@ const ShareCard = ({
         </CardHeader>
         
         {/* Image */}
-        {imageUrl && (
+        {selectedImage && (
           <CardImage 
-            src={imageUrl} 
+            src={selectedImage} 
             alt={`Pothole in ${location.district}`} 
             loading="lazy"
           />
@@ -309,6 +324,23 @@ const ShareCard = ({
         
         {/* Content */}
         <Box sx={{ p: 3 }}>
+          {selectedBadge && (
+            <Box sx={{ 
+              display: 'inline-flex', 
+              alignItems: 'center', 
+              gap: 1, 
+              mb: 2, 
+              px: 1.5, 
+              py: 0.5, 
+              borderRadius: 4, 
+              backgroundColor: theme.palette.warning.light,
+              color: theme.palette.getContrastText(theme.palette.warning.light),
+            }}>
+              <Typography component="span" sx={{ fontSize: '1.25rem' }}>{selectedBadge.emoji}</Typography>
+              <Typography variant="subtitle2" component="span" sx={{ fontWeight: 'bold' }}>{selectedBadge.label}</Typography>
+            </Box>
+          )}
+
           <Typography variant="body1" sx={{ 
             fontStyle: 'italic', 
             mb: 2,
@@ -393,6 +425,59 @@ const ShareCard = ({
         )}
       </ShareCardContainer>
       
+      {/* Photo picker, kept outside the card so it is not part of the downloaded image */}
+      {imageUrls.length > 1 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1, textAlign: 'center' }}>
+            Choose the photo for your card:
+          </Typography>
+          <Box sx={{ display: 'flex', justifyContent: 'center', gap: 1, flexWrap: 'wrap' }}>
+            {imageUrls.map((url, index) => (
+              <Box
+                key={url}
+                component="img"
+                src={url}
+                alt={`Photo ${index + 1}`}
+                onClick={() => setSelectedImage(url)}
+                sx={{
+                  width: 56,
+                  height: 56,
+                  objectFit: 'cover',
+                  borderRadius: 1,
+                  cursor: 'pointer',
+                  border: `3px solid ${url === selectedImage ? theme.palette.primary.main : 'transparent'}`,
+                }}
+              />
+            ))}
+          </Box>
+        </Box>
+      )}
+
+      {/* Badge picker, also outside the card */}
+      {badges.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1, textAlign: 'center' }}>
+            Show off a badge on your card:
+          </Typography>
+          <Box sx={{ display: 'flex', justifyContent: 'center', gap: 1, flexWrap: 'wrap' }}>
+            <Chip
+              label="No badge"
+              variant={selectedBadgeId ? 'outlined' : 'filled'}
+              onClick={() => setSelectedBadgeId(null)}
+            />
+            {badges.map(badge => (
+              <Chip
+                key={badge.id}
+                label={`${badge.emoji} ${badge.label}`}
+                color={badge.id === selectedBadgeId ? 'primary' : 'default'}
+                variant={badge.id === selectedBadgeId ? 'filled' : 'outlined'}
+                onClick={() => setSelectedBadgeId(badge.id)}
+              />
+            ))}
+          </Box>
+        </Box>
+      )}
+
       {isPreview && showActions && (
         <Box sx={{ mt: 2, display: 'flex', justifyContent: 'center' }}>
           <Button 
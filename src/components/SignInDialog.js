@@ -0,0 +1,126 @@
+/**
+ * @file SignInDialog.js
+ * @description The sign-in dialog: Google, or a sign-in link sent by email. Signing in keeps the reports,
+ * ratings and confirmations made as a guest on this device (see services/account.js).
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, Button, TextField, Divider, Alert,
+  CircularProgress
+} from '@mui/material';
+import { Google as GoogleIcon, Email as EmailIcon } from '@mui/icons-material';
+import { signInWithGoogle, sendEmailSignInLink, completeEmailSignIn } from '../services/account';
+
+/**
+ * @description The sign-in dialog.
+ * @param {object} props - The component props.
+ * @param {boolean} props.open - Whether the dialog is shown.
+ * @param {function(): void} props.onClose - Closes the dialog.
+ * @param {boolean} [props.finishEmailLink=false] - True when the page was opened from a sign-in email on another
+ * device, so the address has to be entered again to finish signing in.
+ * @param {function({linked: boolean}): void} props.onSignedIn - Called after signing in, with whether the guest account was kept.
+ */
+const SignInDialog = ({ open, onClose, finishEmailLink = false, onSignedIn }) => {
+  const [email, setEmail] = useState('');
+  // `linkSent`: Whether the sign-in email has been sent.
+  const [linkSent, setLinkSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setLinkSent(false);
+      setError('');
+    }
+  }, [open]);
+
+  /**
+   * @description Runs a sign-in step, showing its progress and errors.
+   * @param {function(): Promise<void>} step - The step.
+   */
+  const run = async (step) => {
+    setBusy(true);
+    setError('');
+    try {
+      await step();
+    } catch (err) {
+      console.error('Error signing in:', err);
+      if (err.code !== 'auth/popup-closed-by-user' && err.code !== 'auth/cancelled-popup-request') {
+        setError(err.code === 'auth/invalid-email' ? 'Please enter a valid email address.' : 'Sign-in failed. Please try again.');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleGoogle = () => run(async () => {
+    onSignedIn(await signInWithGoogle());
+  });
+
+  const handleEmail = () => run(async () => {
+    if (finishEmailLink) {
+      onSignedIn(await completeEmailSignIn(email.trim()));
+    } else {
+      await sendEmailSignInLink(email.trim());
+      setLinkSent(true);
+    }
+  });
+
+  return (
+    <Dialog open={open} onClose={busy ? undefined : onClose} fullWidth maxWidth="xs">
+      <DialogTitle>{finishEmailLink ? 'Finish signing in' : 'Sign in'}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {finishEmailLink ? (
+          <DialogContentText sx={{ mb: 2 }}>
+            Enter the email address the sign-in link was sent to.
+          </DialogContentText>
+        ) : linkSent ? (
+          <Alert severity="success">
+            We sent a sign-in link to {email.trim()}. Open it on this device to finish signing in.
+          </Alert>
+        ) : (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              You are using the app as a guest. Sign in to keep your reports, ratings and confirmations when you clear your browser or switch phones.
+            </DialogContentText>
+            <Button fullWidth variant="outlined" startIcon={<GoogleIcon />} onClick={handleGoogle} disabled={busy}>
+              Continue with Google
+            </Button>
+            <Divider sx={{ my: 2 }}>or</Divider>
+          </>
+        )}
+
+        {!linkSent && (
+          <TextField
+            fullWidth
+            size="small"
+            type="email"
+            label="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter' && email.trim()) handleEmail(); }}
+            autoFocus={finishEmailLink}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={busy}>{linkSent ? 'Close' : 'Cancel'}</Button>
+        {!linkSent && (
+          <Button
+            variant="contained"
+            onClick={handleEmail}
+            disabled={busy || !email.trim()}
+            startIcon={busy ? <CircularProgress size={20} /> : <EmailIcon />}
+          >
+            {finishEmailLink ? 'Sign in' : 'Email me a link'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SignInDialog;
@@ -0,0 +1,28 @@
+/**
+ * @file StatusChip.js
+ * @description A small chip showing a report's lifecycle status in its status colour.
+ */
+
+import React from 'react';
+import { Chip } from '@mui/material';
+import { getReportStatus } from '../data/reportStatuses';
+
+/**
+ * @description The status chip.
+ * @param {object} props - The component props.
+ * @param {object} props.report - The report document data.
+ * @param {'small'|'medium'} [props.size='small'] - The chip size.
+ * @param {object} [props.sx] - Extra styles.
+ */
+const StatusChip = ({ report, size = 'small', sx }) => {
+  const status = getReportStatus(report);
+  return (
+    <Chip
+      label={`${status.emoji} ${status.label}`}
+      size={size}
+      sx={{ backgroundColor: `${status.color}22`, color: status.color, fontWeight: 'bold', ...sx }}
+    />
+  );
+};
+
+export default StatusChip;
@@ -0,0 +1,119 @@
+/**
+ * @file AccountMenu.js
+ * @description The sign-in control in the Header: a "Sign in" button for guests, and for signed-in users
+ * an avatar with their name and a sign-out option. It also finishes email-link sign-ins when the page
+ * was opened from the sign-in email.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import {
+  Button, IconButton, Avatar, Menu, MenuItem, ListItemText, ListItemIcon, Divider, Tooltip
+} from '@mui/material';
+import { Login as LoginIcon, Logout as LogoutIcon } from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import SignInDialog from '../SignInDialog';
+import useAuthUser from '../../hooks/useAuthUser';
+import {
+  isPermanentUser, isEmailSignInLink, getPendingEmail, completeEmailSignIn, signOutUser
+} from '../../services/account';
+import { getDisplayName } from '../../utils/displayName';
+
+const AccountMenu = () => {
+  const user = useAuthUser();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { enqueueSnackbar } = useSnackbar();
+  const [isDialogOpen, setDialogOpen] = useState(false);
+  // `finishEmailLink`: True when the sign-in link was opened on a device that does not know the email address.
+  const [finishEmailLink, setFinishEmailLink] = useState(false);
+  // `menuAnchor`: The avatar the account menu is anchored to, while it is open.
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  // Whether the email link was already handled. The link can only be used once, and effects run twice in StrictMode.
+  const hasHandledLink = useRef(false);
+
+  /**
+   * @description Tells the user how the sign-in went and closes the dialog.
+   * @param {{linked: boolean}} outcome - Whether the guest account was kept.
+   */
+  const handleSignedIn = useCallback(({ linked }) => {
+    enqueueSnackbar(
+      linked
+        ? 'Signed in. Your reports now stay with your account on every device.'
+        : 'Signed in to your existing account. Contributions made as a guest on this device stay with the guest account.',
+      { variant: linked ? 'success' : 'info' }
+    );
+    setDialogOpen(false);
+    setFinishEmailLink(false);
+    // Drop the one-time code from the address bar.
+    if (location.search) navigate(location.pathname, { replace: true });
+  }, [enqueueSnackbar, location, navigate]);
+
+  // Finish an email-link sign-in when the page was opened from the sign-in email.
+  // The link is in the URL the app was opened with, so this only happens once.
+  useEffect(() => {
+    if (hasHandledLink.current || !isEmailSignInLink()) return;
+    hasHandledLink.current = true;
+    const email = getPendingEmail();
+    if (!email) {
+      setFinishEmailLink(true);
+      setDialogOpen(true);
+      return;
+    }
+    completeEmailSignIn(email)
+      .then(handleSignedIn)
+      .catch((err) => {
+        console.error('Error completing email sign-in:', err);
+        enqueueSnackbar('The sign-in link is invalid or has expired. Please request a new one.', { variant: 'error' });
+      });
+  }, [handleSignedIn, enqueueSnackbar]);
+
+  const handleSignOut = async () => {
+    setMenuAnchor(null);
+    try {
+      await signOutUser();
+      enqueueSnackbar('Signed out.', { variant: 'info' });
+    } catch (err) {
+      console.error('Error signing out:', err);
+      enqueueSnackbar('Failed to sign out. Please try again.', { variant: 'error' });
+    }
+  };
+
+  return (
+    <>
+      {isPermanentUser(user) ? (
+        <Tooltip title={getDisplayName(user)}>
+          <IconButton onClick={(e) => setMenuAnchor(e.currentTarget)} sx={{ p: 0.5, mr: 1 }} aria-label="account">
+            <Avatar src={user.photoURL || undefined} alt={getDisplayName(user)} sx={{ width: 32, height: 32 }}>
+              {getDisplayName(user).charAt(0).toUpperCase()}
+            </Avatar>
+          </IconButton>
+        </Tooltip>
+      ) : (
+        <Button color="inherit" startIcon={<LoginIcon />} onClick={() => setDialogOpen(true)} sx={{ mr: 1 }}>
+          Sign in
+        </Button>
+      )}
+
+      <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={() => setMenuAnchor(null)}>
+        <MenuItem disabled sx={{ '&.Mui-disabled': { opacity: 1 } }}>
+          <ListItemText primary={getDisplayName(user)} secondary={user?.email} />
+        </MenuItem>
+        <Divider />
+        <MenuItem onClick={handleSignOut}>
+          <ListItemIcon><LogoutIcon fontSize="small" /></ListItemIcon>
+          Sign out
+        </MenuItem>
+      </Menu>
+
+      <SignInDialog
+        open={isDialogOpen}
+        finishEmailLink={finishEmailLink}
+        onClose={() => { setDialogOpen(false); setFinishEmailLink(false); }}
+        onSignedIn={handleSignedIn}
+      />
+    </>
+  );
+};
+
+export default AccountMenu;
@@ -4,14 +4,22 @@
  * It is responsive: it shows full navigation links on desktop and a hamburger menu on mobile.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { NavLink } from 'react-router-dom';
 import {
   AppBar, Toolbar, Typography, Button, Container, Box, IconButton,
-  Drawer, List, ListItem, ListItemButton, ListItemText, useTheme, useMediaQuery
+  Drawer, List, ListItem, ListItemButton, ListItemText, useTheme, useMediaQuery,
+  Badge, Tooltip, CircularProgress
 } from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
 import LocalFireDepartmentIcon from '@mui/icons-material/LocalFireDepartment';
+import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+import CloudOffIcon from '@mui/icons-material/CloudOff';
+import { useSnackbar } from 'notistack';
+import AccountMenu from './AccountMenu';
+import usePendingReports from '../../hooks/usePendingReports';
+import useUserRoles from '../../hooks/useUserRoles';
+import { MODERATOR, STAFF } from '../../data/userRoles';
 
 // An array of navigation link objects to keep the code DRY (Don't Repeat Yourself).
 const navItems = [
@@ -19,8 +27,49 @@ const navItems = [
   { text: 'Map View', to: '/map' },
   { text: 'List View', to: '/list' },
   { text: 'Leaderboard', to: '/leaderboard' },
+  { text: 'My Reports', to: '/my-reports' },
+  { text: 'Profile', to: '/profile' },
+  // Only shown to users with the given role (see data/userRoles.js).
+  { text: 'Moderation', to: '/moderation', role: MODERATOR },
+  { text: 'Dashboard', to: '/dashboard', role: STAFF },
 ];
 
+/**
+ * @description Shows reports saved offline that are waiting to upload, and whether the app is offline.
+ * Clicking it retries the upload. Renders nothing while online with an empty queue.
+ */
+const PendingUploadsIndicator = () => {
+  const { enqueueSnackbar } = useSnackbar();
+  const handleSynced = useCallback((count) => {
+    enqueueSnackbar(`${count} offline ${count === 1 ? 'report' : 'reports'} uploaded.`, { variant: 'success' });
+  }, [enqueueSnackbar]);
+  const handleFailed = useCallback((count) => {
+    enqueueSnackbar(
+      `${count} offline ${count === 1 ? 'report was' : 'reports were'} rejected by the server and could not be uploaded.`,
+      { variant: 'error' }
+    );
+  }, [enqueueSnackbar]);
+  const { pendingCount, isOnline, isSyncing, syncNow } = usePendingReports({ onSynced: handleSynced, onFailed: handleFailed });
+
+  if (isOnline && pendingCount === 0) return null;
+
+  const title = !isOnline
+    ? `You're offline${pendingCount > 0 ? ` - ${pendingCount} ${pendingCount === 1 ? 'report' : 'reports'} waiting to upload` : ''}`
+    : `${pendingCount} ${pendingCount === 1 ? 'report' : 'reports'} waiting to upload - click to retry`;
+
+  return (
+    <Tooltip title={title}>
+      <span>
+        <IconButton color="inherit" onClick={syncNow} disabled={!isOnline || isSyncing} aria-label={title} sx={{ mr: 1, '&.Mui-disabled': { color: 'inherit' } }}>
+          <Badge badgeContent={pendingCount} color="warning">
+            {isSyncing ? <CircularProgress size={24} color="inherit" /> : isOnline ? <CloudUploadIcon /> : <CloudOffIcon />}
+          </Badge>
+        </IconButton>
+      </span>
+    </Tooltip>
+  );
+};
+
 const Header = () => {
   // --- Hooks and State ---
   const theme = useTheme();
@@ -28,6 +77,9 @@ const Header = () => {
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   // State to manage the open/closed status of the mobile navigation drawer.
   const [mobileOpen, setMobileOpen] = useState(false);
+  const { roles } = useUserRoles();
+  // The navigation links this user may see.
+  const visibleNavItems = navItems.filter(item => !item.role || roles.includes(item.role));
 
   /**
    * @description Toggles the mobile drawer's visibility.
@@ -47,7 +99,7 @@ const Header = () => {
         Pothole Patrol
       </Typography>
       <List>
-        {navItems.map((item) => (
+        {visibleNavItems.map((item) => (
           <ListItem key={item.text} disablePadding>
             {/* Use NavLink to automatically apply an 'active' class for styling the current page's link. */}
             <ListItemButton component={NavLink} to={item.to}>
@@ -75,6 +127,12 @@ const Header = () => {
               Pothole Danger Map
             </Typography>
 
+            {/* Offline status and reports waiting to be uploaded */}
+            <PendingUploadsIndicator />
+
+            {/* Sign-in for guests, or the signed-in user's account menu */}
+            <AccountMenu />
+
             {/* Conditional Rendering: Show either full nav buttons or a hamburger menu. */}
             {isMobile ? (
               // --- Mobile View: Hamburger Menu ---
@@ -89,7 +147,7 @@ const Header = () => {
             ) : (
               // --- Desktop View: Full Navigation Buttons ---
               <Box>
-                {navItems.map((item) => (
+                {visibleNavItems.map((item) => (
                   <Button
                     key={item.text}
                     component={NavLink}
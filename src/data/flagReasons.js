@@ -0,0 +1,19 @@
+/**
+ * @file flagReasons.js
+ * @description Why a user flags a report for the moderators (see services/moderation.js).
+ * The report keeps a count per reason in `flagCounts`.
+ */
+
+export const flagReasons = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'offensive', label: 'Offensive photo or text' },
+  { value: 'not-a-pothole', label: 'Not a pothole' },
+  { value: 'privacy', label: 'Privacy issue (faces, number plates, homes)' },
+];
+
+/**
+ * @description Returns the label of a flag reason.
+ * @param {string} value - The reason, e.g. 'spam'.
+ * @returns {string}
+ */
+export const getFlagReasonLabel = (value) => flagReasons.find(reason => reason.value === value)?.label || value;
@@ -0,0 +1,70 @@
+/**
+ * @file hazardAttributes.js
+ * @description The structured attributes a report can carry beyond its danger level,
+ * requested by road-maintenance partners. Each report stores the selected values in
+ * `attributes: { hazardType, width, depth, lanePosition, roadType, waterFilled }`.
+ * Options use stable string values so they can be stored and filtered on; labels are for display.
+ */
+
+export const hazardTypes = [
+  { value: 'pothole', label: 'Pothole', emoji: '🕳️' },
+  { value: 'open-manhole', label: 'Open manhole', emoji: '⚠️' },
+  { value: 'broken-edge', label: 'Broken road edge', emoji: '🧱' },
+  { value: 'waterlogging', label: 'Waterlogging', emoji: '🌊' },
+];
+
+export const widthOptions = [
+  { value: 'small', label: 'Small (under 30 cm)' },
+  { value: 'medium', label: 'Medium (30-60 cm)' },
+  { value: 'large', label: 'Large (60 cm - 1 m)' },
+  { value: 'huge', label: 'Huge (over 1 m)' },
+];
+
+export const depthOptions = [
+  { value: 'shallow', label: 'Shallow (under 5 cm)' },
+  { value: 'moderate', label: 'Moderate (5-10 cm)' },
+  { value: 'deep', label: 'Deep (10-20 cm)' },
+  { value: 'very-deep', label: 'Very deep (over 20 cm)' },
+];
+
+export const lanePositions = [
+  { value: 'left-edge', label: 'Left edge' },
+  { value: 'middle', label: 'Middle of the lane' },
+  { value: 'right-edge', label: 'Right edge' },
+  { value: 'full-width', label: 'Across the whole road' },
+  { value: 'shoulder', label: 'Shoulder / footpath' },
+];
+
+export const roadTypes = [
+  { value: 'highway', label: 'Highway' },
+  { value: 'main-road', label: 'Main road' },
+  { value: 'residential', label: 'Residential street' },
+  { value: 'lane', label: 'Lane / alley' },
+];
+
+// The attributes of a new report before the user changes anything. Empty strings mean "not sure".
+export const defaultAttributes = {
+  hazardType: 'pothole',
+  width: '',
+  depth: '',
+  lanePosition: '',
+  roadType: '',
+  waterFilled: false,
+};
+
+/**
+ * @description Looks up the display label of an attribute value.
+ * @param {Array<{value: string, label: string}>} options - One of the option lists above.
+ * @param {string} value - The stored value.
+ * @returns {string} The label, or an empty string for unknown or empty values.
+ */
+export const getOptionLabel = (options, value) => options.find(option => option.value === value)?.label || '';
+
+/**
+ * @description Returns the hazard type of a report. Reports saved before attributes existed are potholes.
+ * @param {object} report - The report document data.
+ * @returns {{value: string, label: string, emoji: string}}
+ */
+export const getHazardType = (report) => (
+  hazardTypes.find(type => type.value === report?.attributes?.hazardType) || hazardTypes[0]
+);
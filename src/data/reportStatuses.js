@@ -0,0 +1,35 @@
+/**
+ * @file reportStatuses.js
+ * @description The lifecycle of a report: reported → verified → scheduled → fixed.
+ * A report moves to "pending-fixed" when enough people say it has been fixed (see services/confirmations.js),
+ * until someone checks and marks it fixed (or reopens it).
+ * Each report stores its current `status`; every change is also recorded in the
+ * report's `statusHistory` subcollection (see services/reportStatus.js).
+ */
+
+export const reportStatuses = [
+  { value: 'reported', label: 'Reported', emoji: '📍', color: '#757575', isOpen: true },
+  { value: 'verified', label: 'Verified', emoji: '✔️', color: '#1976d2', isOpen: true },
+  { value: 'scheduled', label: 'Repair scheduled', emoji: '🚧', color: '#9c27b0', isOpen: true },
+  { value: 'pending-fixed', label: 'Reported fixed', emoji: '🔎', color: '#ed6c02', isOpen: true },
+  { value: 'fixed', label: 'Fixed', emoji: '✅', color: '#2e7d32', isOpen: false },
+];
+
+// The status of a new report, and of reports saved before statuses existed.
+export const DEFAULT_STATUS = 'reported';
+
+/**
+ * @description Returns the status definition of a report.
+ * @param {object} report - The report document data.
+ * @returns {{value: string, label: string, emoji: string, color: string, isOpen: boolean}}
+ */
+export const getReportStatus = (report) => (
+  reportStatuses.find(status => status.value === (report?.status || DEFAULT_STATUS)) || reportStatuses[0]
+);
+
+/**
+ * @description Tells whether a report still needs attention (not yet fixed).
+ * @param {object} report - The report document data.
+ * @returns {boolean}
+ */
+export const isReportOpen = (report) => getReportStatus(report).isOpen;
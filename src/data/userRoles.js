@@ -0,0 +1,13 @@
+/**
+ * @file userRoles.js
+ * @description Roles that unlock extra pages. They are stored in the `roles` array of the user's
+ * document in the `users` collection and can only be granted with `npm run set-roles` (Admin SDK).
+ * Everyone else is a regular (anonymous) user.
+ */
+
+// Reviews flagged reports and can hide, restore or delete them (see pages/ModerationPage.js).
+export const MODERATOR = 'moderator';
+
+// Municipal staff who work the backlog on the dashboard (see pages/StaffDashboardPage.js). A staff
+// member's `jurisdiction` (a list of districts on their user document) limits the reports they see.
+export const STAFF = 'staff';
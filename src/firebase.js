@@ -1,7 +1,8 @@
 import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
 
-import { getAuth } from 'firebase/auth';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
 
 // Your web app's Firebase configuration
 // For Firebase JS SDK v7.20.0 and later, measurementId is optional
@@ -18,13 +19,25 @@ const firebaseConfig = {
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
+const storage = getStorage(app);
+// Give up on an upload after a minute without a connection (the default is 10 minutes),
+// so offline submissions fall back to the local queue quickly.
+storage.maxUploadRetryTime = 60 * 1000;
 
 const auth = getAuth(app);
 
-export { db, auth };
+// Point the SDKs at the local Firebase emulators (see `emulators` in firebase.json)
+// when running with REACT_APP_USE_EMULATORS=true, e.g. `npm run start:emulators`.
+if (process.env.REACT_APP_USE_EMULATORS === 'true') {
+  connectFirestoreEmulator(db, 'localhost', 8080);
+  connectStorageEmulator(storage, 'localhost', 9199);
+  connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+}
+
+export { db, storage, auth };
 
 export const collections = {
   REPORTS: 'reports',
   USERS: 'users',
+  REMOVED_REPORTS: 'removedReports',
 };
-
@@ -0,0 +1,28 @@
+/**
+ * @file useAuthUser.js
+ * @description A hook that returns the signed-in Firebase user and follows sign-in changes.
+ */
+
+import { useState, useEffect } from 'react';
+import { onIdTokenChanged } from 'firebase/auth';
+import { auth } from '../firebase';
+
+/**
+ * @description Returns the current user (anonymous until they link an account), or null before sign-in completes.
+ * @returns {import('firebase/auth').User|null}
+ */
+const useAuthUser = () => {
+  const [user, setUser] = useState(auth.currentUser);
+  // Linking an account updates the same user object (same uid), which only the ID token listener reports.
+  // `version` re-renders for it; effects keyed on `user` do not run again, as the uid has not changed.
+  const [, setVersion] = useState(0);
+
+  useEffect(() => onIdTokenChanged(auth, (nextUser) => {
+    setUser(nextUser);
+    setVersion(version => version + 1);
+  }), []);
+
+  return user;
+};
+
+export default useAuthUser;
@@ -0,0 +1,42 @@
+/**
+ * @file useFlyToReport.js
+ * @description A hook that flies a Leaflet map to the selected report.
+ */
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * @description Flies the map to the report when it is selected. Live updates hand over a new copy of the same report
+ * with every snapshot, so the flight only depends on the report's id and position, not on the object.
+ * @param {L.Map|null} map - The map, once it is created.
+ * @param {Object|null} report - The selected report, if any.
+ * @param {number} zoom - The zoom level to fly to.
+ * @param {function(string): void} [onArrive] - Called with the report's id once the map has stopped moving.
+ */
+const useFlyToReport = (map, report, zoom, onArrive) => {
+  const reportId = report?.id || null;
+  const lat = report?.location.lat;
+  const lng = report?.location.lng;
+  // The latest `onArrive`, so a new callback on every render does not restart the flight.
+  const onArriveRef = useRef(onArrive);
+
+  useEffect(() => {
+    onArriveRef.current = onArrive;
+  });
+
+  useEffect(() => {
+    if (!map || !reportId) return undefined;
+    const handleMoveEnd = () => onArriveRef.current?.(reportId);
+    map.once('moveend', handleMoveEnd);
+    // Smoothly animate the map view to the report's coordinates.
+    map.flyTo([lat, lng], zoom, {
+      animate: true,
+      duration: 1, // Animation duration in seconds
+    });
+    return () => {
+      map.off('moveend', handleMoveEnd);
+    };
+  }, [map, reportId, lat, lng, zoom]); // Reruns when another report is selected, or the selected one is moved.
+};
+
+export default useFlyToReport;
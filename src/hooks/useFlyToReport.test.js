@@ -0,0 +1,82 @@
+import { renderHook } from '@testing-library/react';
+import useFlyToReport from './useFlyToReport';
+
+/**
+ * @description A stand-in for the Leaflet map with the calls the hook makes.
+ * @returns {object}
+ */
+const createMap = () => ({ flyTo: jest.fn(), once: jest.fn(), off: jest.fn() });
+
+/**
+ * @description A report as the map gets it from a snapshot.
+ * @param {string} id - The report id.
+ * @param {object} [overrides] - Fields to replace.
+ * @returns {object}
+ */
+const report = (id, overrides = {}) => ({ id, location: { lat: 12.97, lng: 77.59 }, confirmCount: 0, ...overrides });
+
+/**
+ * @description Renders the hook with a map and a selected report.
+ * @param {object} map - The map.
+ * @param {object|null} selected - The selected report.
+ * @param {function} [onArrive] - The arrival callback.
+ * @returns {object} The renderHook result.
+ */
+const renderFlight = (map, selected, onArrive) => renderHook(
+  (props) => useFlyToReport(props.map, props.report, 15, props.onArrive),
+  { initialProps: { map, report: selected, onArrive } }
+);
+
+describe('useFlyToReport', () => {
+  test('flies to the report when it is selected', () => {
+    const map = createMap();
+    renderFlight(map, report('r1'));
+    expect(map.flyTo).toHaveBeenCalledTimes(1);
+    expect(map.flyTo).toHaveBeenCalledWith([12.97, 77.59], 15, { animate: true, duration: 1 });
+  });
+
+  test('a new snapshot of the selected report does not fly again', () => {
+    const map = createMap();
+    const { rerender } = renderFlight(map, report('r1'));
+    rerender({ map, report: report('r1', { confirmCount: 1 }) });
+    rerender({ map, report: report('r1', { confirmCount: 2 }), onArrive: () => {} });
+    expect(map.flyTo).toHaveBeenCalledTimes(1);
+  });
+
+  test('flies again when another report is selected or the selected one moves', () => {
+    const map = createMap();
+    const { rerender } = renderFlight(map, report('r1'));
+    rerender({ map, report: report('r2') });
+    rerender({ map, report: report('r2', { location: { lat: 12.98, lng: 77.6 } }) });
+    expect(map.flyTo).toHaveBeenCalledTimes(3);
+    expect(map.flyTo).toHaveBeenLastCalledWith([12.98, 77.6], 15, expect.anything());
+  });
+
+  test('does nothing without a map or a selection', () => {
+    const map = createMap();
+    renderFlight(null, report('r1'));
+    renderFlight(map, null);
+    expect(map.flyTo).not.toHaveBeenCalled();
+  });
+
+  test('tells the latest callback which report the map arrived at', () => {
+    const map = createMap();
+    const first = jest.fn();
+    const latest = jest.fn();
+    const { rerender } = renderFlight(map, report('r1'), first);
+    rerender({ map, report: report('r1'), onArrive: latest });
+    const [event, handleMoveEnd] = map.once.mock.calls[0];
+    expect(event).toBe('moveend');
+    handleMoveEnd();
+    expect(first).not.toHaveBeenCalled();
+    expect(latest).toHaveBeenCalledWith('r1');
+  });
+
+  test('stops waiting for the arrival when the selection changes', () => {
+    const map = createMap();
+    const { rerender } = renderFlight(map, report('r1'));
+    const handleMoveEnd = map.once.mock.calls[0][1];
+    rerender({ map, report: null });
+    expect(map.off).toHaveBeenCalledWith('moveend', handleMoveEnd);
+  });
+});
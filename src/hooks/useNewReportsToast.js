@@ -0,0 +1,36 @@
+/**
+ * @file useNewReportsToast.js
+ * @description A hook that tells the user when new reports come in live, e.g. "3 new reports".
+ */
+
+import { useRef, useEffect, useCallback } from 'react';
+import { useSnackbar } from 'notistack';
+
+// Reports arriving within this time of each other share one toast.
+const GROUPING_DELAY_MS = 1500;
+
+/**
+ * @description Returns a function to call with the number of reports that just came in.
+ * @returns {function(number): void}
+ */
+const useNewReportsToast = () => {
+  const { enqueueSnackbar } = useSnackbar();
+  // `pendingCount`: Reports counted since the last toast.
+  const pendingCount = useRef(0);
+  const timer = useRef(null);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  return useCallback((count) => {
+    if (count <= 0) return;
+    pendingCount.current += count;
+    clearTimeout(timer.current);
+    timer.current = setTimeout(() => {
+      const total = pendingCount.current;
+      pendingCount.current = 0;
+      enqueueSnackbar(total === 1 ? '1 new report' : `${total} new reports`, { variant: 'info', autoHideDuration: 3000 });
+    }, GROUPING_DELAY_MS);
+  }, [enqueueSnackbar]);
+};
+
+export default useNewReportsToast;
@@ -0,0 +1,65 @@
+/**
+ * @file usePendingReports.js
+ * @description A hook that tracks reports waiting in the offline queue and uploads them
+ * automatically whenever the app is online and the user is signed in.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { auth } from '../firebase';
+import { getPendingCount, syncPendingReports, subscribeToQueue } from '../services/offlineQueue';
+
+/**
+ * @description Returns the offline queue status and keeps it syncing.
+ * @param {{onSynced?: function(number): void, onFailed?: function(number): void}} [options] - `onSynced` is called with
+ * the number of reports uploaded by a sync, and `onFailed` with the number that could not be uploaded and were dropped.
+ * @returns {{pendingCount: number, isOnline: boolean, isSyncing: boolean, syncNow: function(): Promise<void>}}
+ */
+const usePendingReports = ({ onSynced, onFailed } = {}) => {
+  const [pendingCount, setPendingCount] = useState(0);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const syncNow = useCallback(async () => {
+    setIsSyncing(true);
+    try {
+      const { synced, failed } = await syncPendingReports();
+      if (synced > 0 && onSynced) onSynced(synced);
+      if (failed > 0 && onFailed) onFailed(failed);
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [onSynced, onFailed]);
+
+  // Keep the count up to date as reports are queued or uploaded.
+  useEffect(() => {
+    const refreshCount = () => getPendingCount().then(setPendingCount).catch(() => setPendingCount(0));
+    refreshCount();
+    return subscribeToQueue(refreshCount);
+  }, []);
+
+  // Sync when the connection comes back, and once the (anonymous) sign-in has completed.
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+      if (user) syncNow();
+    });
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      unsubscribe();
+    };
+  }, [syncNow]);
+
+  return { pendingCount, isOnline, isSyncing, syncNow };
+};
+
+export default usePendingReports;
@@ -0,0 +1,47 @@
+/**
+ * @file usePhotoUrl.js
+ * @description A hook that resolves the displayable URL of one report photo.
+ * It handles both photos stored as Cloud Storage paths and older inline images.
+ */
+
+import { useState, useEffect } from 'react';
+import { getImageUrl } from '../services/reportImages';
+
+/**
+ * @description Returns the URL of a photo's thumbnail or full-size image.
+ * @param {{imagePath?: string, thumbnailPath?: string, dataUrl?: string}} photo - One entry of `getReportPhotos`.
+ * @param {'thumbnail'|'full'} [variant='thumbnail'] - Which version of the photo to load.
+ * @returns {string} The image URL, or an empty string while loading or when there is no photo.
+ */
+const usePhotoUrl = (photo, variant = 'thumbnail') => {
+  const path = variant === 'full' ? photo?.imagePath : (photo?.thumbnailPath || photo?.imagePath);
+  // Legacy reports that have not been migrated yet store the photo inline.
+  const inlineUrl = photo?.dataUrl || '';
+  const [url, setUrl] = useState('');
+
+  useEffect(() => {
+    if (!path) {
+      setUrl('');
+      return undefined;
+    }
+
+    let cancelled = false;
+    getImageUrl(path)
+      .then((resolvedUrl) => {
+        if (!cancelled) setUrl(resolvedUrl);
+      })
+      .catch((err) => {
+        console.error('Error loading report image:', err);
+        if (!cancelled) setUrl('');
+      });
+
+    // Ignore a late response if the component unmounts or the path changes.
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  return path ? url : inlineUrl;
+};
+
+export default usePhotoUrl;
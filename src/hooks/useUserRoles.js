@@ -0,0 +1,43 @@
+/**
+ * @file useUserRoles.js
+ * @description A hook that returns the roles of the signed-in user, e.g. to show the moderation page.
+ */
+
+import { useState, useEffect } from 'react';
+import useAuthUser from './useAuthUser';
+import { getUserAccess } from '../services/users';
+
+/**
+ * @description Loads the signed-in user's roles, and again when the user changes.
+ * @returns {{roles: Array<string>, jurisdiction: Array<string>, loading: boolean}} The roles (see data/userRoles.js),
+ * the districts of a staff member (empty for the whole city), and whether they are still loading.
+ */
+const useUserRoles = () => {
+  const user = useAuthUser();
+  const [access, setAccess] = useState({ roles: [], jurisdiction: [] });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    setLoading(true);
+    getUserAccess(user.uid)
+      .then((userAccess) => {
+        if (!cancelled) setAccess(userAccess);
+      })
+      .catch((err) => {
+        console.error('Error fetching user roles:', err);
+        if (!cancelled) setAccess({ roles: [], jurisdiction: [] });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  return { ...access, loading };
+};
+
+export default useUserRoles;
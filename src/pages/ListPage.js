@@ -1,21 +1,34 @@
 /**
  * @file ListPage.js
  * @description This page displays all reported potholes in a filterable and sortable list.
- * It includes features like search, sorting, filtering by danger level, and pagination.
+ * It includes features like search, sorting, filtering by danger level, status and hazard attributes, and pagination.
+ * The list follows the reports live, so new and edited reports show up without a reload.
  */
 
 import React, { useState, useEffect } from 'react';
 import {
-  Container, Typography, Paper, Box, Card, CardContent, CardMedia, CardActionArea,
+  Container, Typography, Paper, Box, Card, CardContent, CardActionArea,
   CardActions, Button, Grid, TextField, InputAdornment, MenuItem, Select, FormControl,
-  InputLabel, Chip, CircularProgress, Pagination, useMediaQuery, useTheme, IconButton, Tooltip
+  InputLabel, Chip, CircularProgress, Pagination, useMediaQuery, useTheme, IconButton, Tooltip,
+  FormControlLabel, Switch
 } from '@mui/material';
 import {
   Search as SearchIcon, FilterList as FilterListIcon, Sort as SortIcon, Warning as WarningIcon,
-  LocationOn as LocationIcon, Share as ShareIcon, NavigateNext as NavigateNextIcon
+  LocationOn as LocationIcon, Share as ShareIcon, NavigateNext as NavigateNextIcon, PhotoLibrary as PhotoLibraryIcon
 } from '@mui/icons-material';
-import { collection, getDocs, query, orderBy } from 'firebase/firestore';
-import { db } from '../firebase';
+import { subscribeToReports } from '../services/reports';
+import useNewReportsToast from '../hooks/useNewReportsToast';
+import ReportImage from '../components/ReportImage';
+import ReportAttributes from '../components/ReportAttributes';
+import StatusChip from '../components/StatusChip';
+import ConfirmationButtons from '../components/ConfirmationButtons';
+import FlagReportButton from '../components/FlagReportButton';
+import ReporterLink from '../components/ReporterLink';
+import { getReportPhotos } from '../services/reportImages';
+import { hazardTypes, roadTypes, getHazardType } from '../data/hazardAttributes';
+import { reportStatuses, getReportStatus, isReportOpen } from '../data/reportStatuses';
+import { getDangerLevel, getRatingCount, formatDangerLevel } from '../utils/dangerRating';
+import { getReportPath, getReportUrl } from '../utils/reportUrl';
 import { useNavigate } from 'react-router-dom';
 import dayjs from 'dayjs';
 import { styled } from '@mui/material/styles';
@@ -66,6 +79,13 @@ const ListPage = () => {
   const [sortBy, setSortBy] = useState('newest');
   // `dangerFilter`: The currently selected danger level filter ('all', 'low', 'moderate', 'severe').
   const [dangerFilter, setDangerFilter] = useState('all');
+  // `hazardTypeFilter` and `roadTypeFilter`: Attribute filters ('all' or a value from data/hazardAttributes.js).
+  const [hazardTypeFilter, setHazardTypeFilter] = useState('all');
+  const [roadTypeFilter, setRoadTypeFilter] = useState('all');
+  // `waterFilledOnly`: When true, only reports marked as water-filled are shown.
+  const [waterFilledOnly, setWaterFilledOnly] = useState(false);
+  // `statusFilter`: 'open' (the default, hides fixed potholes), 'all', or a status value from data/reportStatuses.js.
+  const [statusFilter, setStatusFilter] = useState('open');
   // `page`: The current page number for the pagination component.
   const [page, setPage] = useState(1);
   
@@ -75,51 +95,36 @@ const ListPage = () => {
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   // `navigate`: A function from React Router to programmatically navigate to other pages.
   const navigate = useNavigate();
+  const notifyNewReports = useNewReportsToast();
 
   // --- Data Fetching Effect ---
-  // This effect is responsible for fetching the report data from Firestore.
-  // It runs whenever the `sortBy` criteria changes, allowing the server to handle the sorting.
+  // This effect subscribes to the report data in Firestore, so the list updates live.
+  // It re-subscribes whenever the `sortBy` criteria changes, allowing the server to handle the sorting.
   useEffect(() => {
-    const fetchReports = async () => {
-      try {
-        setLoading(true);
-                const reportsCollection = collection(db, 'reports');
-        
-        // The query to Firestore is built dynamically based on the selected sort option.
-        // This is efficient because the sorting is done on the database server, not in the browser.
-        let q;
-        if (sortBy === 'newest') {
-          q = query(reportsCollection, orderBy('createdAt', 'desc'));
-        } else if (sortBy === 'oldest') {
-          q = query(reportsCollection, orderBy('createdAt', 'asc'));
-        } else if (sortBy === 'mostDangerous') {
-          // Note: Firestore requires a composite index to be created in the Firebase console
-          // for queries that order by multiple fields. For this to work, an index on
-          // `dangerLevel` (desc) and `createdAt` (desc) is needed.
-          q = query(reportsCollection, orderBy('dangerLevel', 'desc'), orderBy('createdAt', 'desc'));
-        } else {
-          q = query(reportsCollection, orderBy('createdAt', 'desc')); // Default case
-        }
-        
-        const querySnapshot = await getDocs(q);
-        const reportsData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        
-        setReports(reportsData); // Store the raw, sorted data.
-        setError('');
-      } catch (err) {
-        console.error('Error fetching reports:', err);
-        setError('Failed to load reports. Check your internet connection or try again later.');
-      } finally {
-        setLoading(false);
+    setLoading(true);
+    // The sorting by date is done on the database server, not in the browser.
+    const unsubscribe = subscribeToReports(sortBy === 'oldest' ? 'asc' : 'desc', (reportsData, newReportIds) => {
+      // The crowd-averaged danger level is derived from each report's ratings, so it is sorted here
+      // (newest first among equal ratings, as the query returned them).
+      if (sortBy === 'mostDangerous') {
+        reportsData.sort((a, b) => getDangerLevel(b) - getDangerLevel(a));
       }
-    };
+      setReports(reportsData); // Store the raw, sorted data.
+      notifyNewReports(newReportIds.length);
+      setError('');
+      setLoading(false);
+    }, (err) => {
+      console.error('Error fetching reports:', err);
+      setError('Failed to load reports. Check your internet connection or try again later.');
+      setLoading(false);
+    });
 
-    fetchReports();
-  }, [sortBy]); // The dependency array `[sortBy]` ensures this effect re-runs when the user changes the sort order.
+    return unsubscribe; // Stop listening when the sort order changes or the page is left.
+  }, [sortBy, notifyNewReports]); // The dependency array ensures this effect re-runs when the user changes the sort order.
 
   // --- Filtering and Searching Effect ---
-  // This effect performs client-side filtering based on the search term and danger level.
-  // It runs whenever the original `reports` data, `searchTerm`, or `dangerFilter` changes.
+  // This effect performs client-side filtering based on the search term, danger level and hazard attributes.
+  // It runs whenever the original `reports` data or any of the filters change.
   useEffect(() => {
     let processedReports = [...reports]; // Start with the full, sorted list of reports.
 
@@ -138,14 +143,38 @@ const ListPage = () => {
     if (dangerFilter !== 'all') {
       // The filter value (e.g., '8-10') is split into a min and max range.
       const [min, max] = dangerFilter.split('-').map(Number);
-      processedReports = processedReports.filter(report => report.dangerLevel >= min && report.dangerLevel <= max);
+      processedReports = processedReports.filter(report => Math.round(getDangerLevel(report)) >= min && Math.round(getDangerLevel(report)) <= max);
+    }
+
+    // 3. Apply the hazard attribute filters. Reports from before attributes existed count as potholes.
+    if (hazardTypeFilter !== 'all') {
+      processedReports = processedReports.filter(report => getHazardType(report).value === hazardTypeFilter);
+    }
+    if (roadTypeFilter !== 'all') {
+      processedReports = processedReports.filter(report => report.attributes?.roadType === roadTypeFilter);
+    }
+    if (waterFilledOnly) {
+      processedReports = processedReports.filter(report => report.attributes?.waterFilled);
+    }
+
+    // 4. Apply the status filter. Reports from before statuses existed count as just reported.
+    if (statusFilter === 'open') {
+      processedReports = processedReports.filter(isReportOpen);
+    } else if (statusFilter !== 'all') {
+      processedReports = processedReports.filter(report => getReportStatus(report).value === statusFilter);
     }
 
-    // 3. Update the state with the final filtered list.
+    // 5. Update the state with the final filtered list.
     setFilteredReports(processedReports);
-    // 4. Reset to the first page to avoid viewing a non-existent page after filtering.
+    // 6. Stay on a page that still exists if reports were removed meanwhile.
+    setPage(prev => Math.min(prev, Math.max(1, Math.ceil(processedReports.length / ITEMS_PER_PAGE))));
+  }, [reports, searchTerm, dangerFilter, hazardTypeFilter, roadTypeFilter, waterFilledOnly, statusFilter]); // Dependency array ensures this runs when its dependencies change.
+
+  // Reset to the first page to avoid viewing a non-existent page after filtering.
+  // Live updates to `reports` keep the current page.
+  useEffect(() => {
     setPage(1);
-  }, [reports, searchTerm, dangerFilter]); // Dependency array ensures this runs when its dependencies change.
+  }, [sortBy, searchTerm, dangerFilter, hazardTypeFilter, roadTypeFilter, waterFilledOnly, statusFilter]);
 
   // --- Event Handlers ---
 
@@ -167,8 +196,8 @@ const ListPage = () => {
     // Construct the data to be shared, including a title, text, and a direct URL to the report on the map.
     const shareData = {
       title: 'Pothole Report',
-      text: `Check out this pothole in ${report.location.district || 'this area'}! Danger level: ${report.dangerLevel}/10`,
-      url: `${window.location.origin}/map?report=${report.id}`
+      text: `Check out this pothole in ${report.location.district || 'this area'}! Danger level: ${formatDangerLevel(getDangerLevel(report))}/10`,
+      url: getReportUrl(report.id)
     };
     try {
       // Use the native Web Share API if available.
@@ -225,6 +254,46 @@ const ListPage = () => {
               </Select>
             </FormControl>
           </Grid>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Hazard Type</InputLabel>
+              <Select value={hazardTypeFilter} label="Hazard Type" onChange={(e) => setHazardTypeFilter(e.target.value)}>
+                <MenuItem value="all">All Hazards</MenuItem>
+                {hazardTypes.map(type => (
+                  <MenuItem key={type.value} value={type.value}>{type.emoji} {type.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Road Type</InputLabel>
+              <Select value={roadTypeFilter} label="Road Type" onChange={(e) => setRoadTypeFilter(e.target.value)}>
+                <MenuItem value="all">All Roads</MenuItem>
+                {roadTypes.map(type => (
+                  <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select value={statusFilter} label="Status" onChange={(e) => setStatusFilter(e.target.value)}>
+                <MenuItem value="open">Open (not fixed)</MenuItem>
+                <MenuItem value="all">All Statuses</MenuItem>
+                {reportStatuses.map(status => (
+                  <MenuItem key={status.value} value={status.value}>{status.emoji} {status.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <FormControlLabel
+              control={<Switch checked={waterFilledOnly} onChange={(e) => setWaterFilledOnly(e.target.checked)} />}
+              label="Water-filled only"
+            />
+          </Grid>
         </Grid>
       </Paper>
 
@@ -244,18 +313,31 @@ const ListPage = () => {
             {paginatedReports.map((report) => (
               <Grid key={report.id} xs={12} sm={6} md={4}>
                 <StyledCard elevation={2}>
-                  <CardActionArea onClick={() => navigate(`/map?report=${report.id}`)} sx={{ flexGrow: 1, display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                    {report.imageUrl && (
-                      <CardMedia component="img" height="180" image={report.imageUrl} alt="Pothole" sx={{ width: '100%' }} />
-                    )}
+                  <CardActionArea onClick={() => navigate(getReportPath(report.id))} sx={{ flexGrow: 1, display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
+                    {/* The cover photo, with a badge when the report has more photos. */}
+                    <Box sx={{ position: 'relative', width: '100%' }}>
+                      <ReportImage report={report} height={180} />
+                      {getReportPhotos(report).length > 1 && (
+                        <Chip
+                          icon={<PhotoLibraryIcon />}
+                          label={getReportPhotos(report).length}
+                          size="small"
+                          sx={{ position: 'absolute', top: 8, right: 8, backgroundColor: 'rgba(0, 0, 0, 0.6)', color: 'white', '& .MuiChip-icon': { color: 'white' } }}
+                        />
+                      )}
+                    </Box>
                     <CardContent sx={{ width: '100%' }}>
                       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
-                        <DangerChip label={`Level ${report.dangerLevel}`} dangerlevel={report.dangerLevel} size="small" />
+                        <Tooltip title={`Average of ${getRatingCount(report)} ${getRatingCount(report) === 1 ? 'rating' : 'ratings'}`}>
+                          <DangerChip label={`Level ${formatDangerLevel(getDangerLevel(report))}`} dangerlevel={getDangerLevel(report)} size="small" />
+                        </Tooltip>
                         <Typography variant="body2" color="text.secondary">
                           {dayjs(report.createdAt?.seconds ? report.createdAt.seconds * 1000 : new Date()).format('MMM D, YYYY')}
                         </Typography>
                       </Box>
                       <Typography variant="h6" component="div" gutterBottom noWrap>{report.location.district || 'Unknown Location'}</Typography>
+                      <StatusChip report={report} sx={{ mb: 1 }} />
+                      <ReportAttributes report={report} sx={{ mb: 1 }} />
                       {report.description && (
                         <Typography variant="body2" color="text.secondary" sx={{ display: '-webkit-box', WebkitLineClamp: 3, WebkitBoxOrient: 'vertical', overflow: 'hidden', mb: 1, minHeight: '4.5em' }}>
                           {report.description}
@@ -267,15 +349,27 @@ const ListPage = () => {
                       </Box>
                     </CardContent>
                   </CardActionArea>
+                  {/* Outside the action area so voting does not open the map. */}
+                  <Box sx={{ px: 2, pb: 1.5 }}>
+                    {report.uid && (
+                      <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+                        Reported by <ReporterLink report={report} />
+                      </Typography>
+                    )}
+                    <ConfirmationButtons report={report} />
+                  </Box>
                   <CardActions sx={{ justifyContent: 'space-between', p: 2, pt: 0 }}>
                     <Button size="small" color="primary" onClick={() => navigate(`/map?report=${report.id}`)} endIcon={<NavigateNextIcon />}>
                       View on Map
                     </Button>
-                    <Tooltip title="Share">
-                      <IconButton size="small" onClick={(e) => { e.stopPropagation(); handleShare(report); }}>
-                        <ShareIcon fontSize="small" />
-                      </IconButton>
-                    </Tooltip>
+                    <Box>
+                      <FlagReportButton report={report} />
+                      <Tooltip title="Share">
+                        <IconButton size="small" onClick={(e) => { e.stopPropagation(); handleShare(report); }}>
+                          <ShareIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </Box>
                   </CardActions>
                 </StyledCard>
               </Grid>
@@ -1,16 +1,44 @@
 /**
  * @file MapPage.js
  * @description This page displays an interactive map with markers for each reported pothole.
- * It fetches report data from Firestore and uses Leaflet.js for rendering the map.
+ * It follows the newest reports live, and the reports inside the visible area whenever the map is moved
+ * (see services/mapReports.js), so new, edited and removed reports show up without a reload; new pins drop in.
+ * It uses Leaflet.js for rendering the map. Nearby markers are
+ * grouped into clusters (leaflet.markercluster) that show how many reports they hold and the worst danger level.
+ * The map can also show plain markers, or a heatmap (leaflet.heat) weighted by danger level and optionally recency.
+ * A filter panel narrows the reports down by danger, date, district, hazard type and status.
  */
 
-import React, { useState, useEffect, useRef } from 'react';
-import { Container, Typography, Box, Paper, Card, CardContent, CircularProgress } from '@mui/material';
-import { collection, getDocs, query, orderBy } from 'firebase/firestore';
-import { db } from '../firebase';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import {
+  Container, Typography, Box, Paper, Card, CardContent, CircularProgress, FormControlLabel, Switch, Divider, Button,
+  ToggleButtonGroup, ToggleButton
+} from '@mui/material';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import PhotoGallery from '../components/PhotoGallery';
+import ReportAttributes from '../components/ReportAttributes';
+import StatusChip from '../components/StatusChip';
+import ReportStatusPanel from '../components/ReportStatusPanel';
+import ConfirmationButtons from '../components/ConfirmationButtons';
+import FlagReportButton from '../components/FlagReportButton';
+import ReporterLink from '../components/ReporterLink';
+import DangerRatingControl from '../components/DangerRatingControl';
+import CommentThread from '../components/CommentThread';
+import HeatmapLayer from '../components/HeatmapLayer';
+import MapFilterPanel from '../components/MapFilterPanel';
+import { subscribeToMapReports } from '../services/mapReports';
+import useNewReportsToast from '../hooks/useNewReportsToast';
+import useFlyToReport from '../hooks/useFlyToReport';
+import { getDangerLevel, getRatingCount, formatDangerLevel } from '../utils/dangerRating';
+import { getReportPath } from '../utils/reportUrl';
+import { getHeatmapPoints, HEATMAP_GRADIENT } from '../utils/heatmap';
+import { defaultReportFilters, matchesReportFilters } from '../utils/reportFilters';
+import { getReportStatus, isReportOpen } from '../data/reportStatuses';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import MarkerClusterGroup from 'react-leaflet-cluster';
+import 'react-leaflet-cluster/dist/assets/MarkerCluster.css';
 import { styled } from '@mui/material/styles';
 import WarningIcon from '@mui/icons-material/Warning';
 import dayjs from 'dayjs';
@@ -84,102 +112,260 @@ const DangerLevel = styled(Box)(({ dangerLevel }) => ({
   marginRight: '8px',
 }));
 
+/**
+ * @description Creates the icon of a marker cluster: a bubble with the number of reports in it and, below,
+ * the worst danger level among them, coloured by that level. The cluster holding the selected report gets a blue ring.
+ * @param {L.MarkerCluster} cluster - The cluster.
+ * @param {string|null} selectedReportId - The selected report, if any.
+ * @returns {L.DivIcon}
+ */
+const createClusterIcon = (cluster, selectedReportId) => {
+  const markers = cluster.getAllChildMarkers();
+  const count = cluster.getChildCount();
+  // Each marker carries its report's danger level and id in its options (see the Marker props below).
+  const worstDanger = Math.max(...markers.map(marker => marker.options.dangerLevel));
+  const hasSelected = markers.some(marker => marker.options.reportId === selectedReportId);
+  // Bigger clusters get bigger bubbles.
+  const size = count < 10 ? 36 : count < 100 ? 44 : 52;
+  return L.divIcon({
+    className: 'danger-cluster',
+    iconSize: [size, size],
+    html: `<div style="
+      width: ${size}px; height: ${size}px;
+      background: ${dangerLevelToColor(worstDanger)};
+      border: 3px solid ${hasSelected ? '#1976d2' : 'rgba(255,255,255,0.85)'};
+      border-radius: 50%;
+      box-sizing: border-box;
+      display: flex; flex-direction: column; align-items: center; justify-content: center;
+      color: white; line-height: 1;
+      box-shadow: 0 2px 6px rgba(0,0,0,0.35);
+    "><span style="font-weight: bold; font-size: 14px;">${count}</span><span style="font-size: 9px;">max ${Math.round(worstDanger)}</span></div>`,
+  });
+};
+
+// Reports are loaded for the visible area from this zoom level on; further out the area is too large.
+const MIN_AREA_ZOOM = 11;
+// How long the map has to stay still before the reports of the new area are loaded.
+const AREA_LOAD_DELAY_MS = 500;
+// How long new reports keep their drop-in animation, e.g. when switching to clusters and back.
+const NEW_MARKER_MS = 3000;
+
+// The ways the map can show the reports.
+const mapLayers = [
+  { value: 'clusters', label: 'Clusters' },
+  { value: 'markers', label: 'Markers' },
+  { value: 'heatmap', label: 'Heatmap' },
+];
+
+/**
+ * @description The heatmap's legend, in the corner of the map.
+ * @param {{weightByRecency: boolean}} props
+ */
+const HeatmapLegend = ({ weightByRecency }) => (
+  <Paper elevation={3} sx={{ position: 'absolute', bottom: 24, left: 12, zIndex: 1000, p: 1.5, width: 200 }}>
+    <Typography variant="caption" component="div" sx={{ fontWeight: 'bold', mb: 0.5 }}>Road danger</Typography>
+    <Box
+      sx={{
+        height: 10, borderRadius: 5,
+        background: `linear-gradient(90deg, ${Object.values(HEATMAP_GRADIENT).join(', ')})`,
+      }}
+    />
+    <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+      <Typography variant="caption">Low</Typography>
+      <Typography variant="caption">Severe</Typography>
+    </Box>
+    <Typography variant="caption" color="text.secondary" component="div" sx={{ lineHeight: 1.3 }}>
+      Each report adds heat by its danger level, so many or very dangerous potholes glow the most.
+      {weightByRecency && ' Older reports count less (half after 90 days).'}
+    </Typography>
+  </Paper>
+);
+
 /**
  * @description A dedicated map component that handles rendering the map and markers.
  * Separating this from the main page logic makes the code cleaner.
- * @param {{reports: Array, selectedReport: Object, onMarkerClick: Function}} props
+ * @param {{reports: Array, selectedReport: Object, onMarkerClick: Function, onReportUpdate: Function,
+ * layer: string, weightByRecency: boolean, onAreaChange: Function, notice: string, newReportIds: Array<string>}} props -
+ * `layer` is 'clusters', 'markers' or 'heatmap'; `weightByRecency` lets older reports fade out of the heatmap.
+ * `onAreaChange` gets the visible bounds and zoom once the map stops moving, `notice` is shown at the top of the map,
+ * and the markers of `newReportIds` drop in. The map fits itself to the reports again whenever `fitKey` changes.
  */
-const MapComponent = ({ reports, selectedReport, onMarkerClick }) => {
+const MapComponent = ({
+  reports, selectedReport, onMarkerClick, onReportUpdate, layer = 'clusters', weightByRecency = false, onAreaChange, notice,
+  newReportIds = [], fitKey = ''
+}) => {
   // State to hold the Leaflet map instance once it's created.
   const [map, setMap] = useState(null);
-  const mapRef = useRef();
+  // The cluster group, and the Leaflet marker of each report by id, to reveal a selected report inside a cluster.
+  const clusterGroupRef = useRef(null);
+  const markerRefs = useRef({});
+  // The selected report's id, read by the cluster icons when they are (re)drawn.
+  const selectedReportIdRef = useRef(null);
+  // The `fitKey` the map was last fitted for. Later reports are loaded for the area in view, so they must not move it.
+  const fittedKey = useRef(null);
 
   // --- Map Effects ---
 
-  // EFFECT 1: Auto-zoom the map to fit all markers when reports are loaded.
+  // EFFECT 1: Auto-zoom the map to fit the markers when the first reports are loaded, and when `fitKey` changes.
   useEffect(() => {
     // Ensure the map instance and reports are available.
-    if (map && reports.length > 0) {
+    if (map && reports.length > 0 && fittedKey.current !== fitKey) {
+      fittedKey.current = fitKey;
       // Create a bounding box that encompasses all report coordinates.
       const bounds = L.latLngBounds(
         reports.map(report => [report.location.lat, report.location.lng])
       );
-      // Tell the map to fit its view to these bounds, with some padding.
-      map.fitBounds(bounds, { padding: [50, 50] });
+      // Tell the map to fit its view to these bounds, with some padding, without zooming in too far on a single report.
+      map.fitBounds(bounds, { padding: [50, 50], maxZoom: 15 });
     }
-  }, [map, reports]); // Reruns when the map is initialized or when reports data changes.
+  }, [map, reports, fitKey]); // Reruns when the map is initialized, when reports data changes or when the filters change.
+
+  // EFFECT 2: Report the visible area once the map has stopped moving, e.g. to load its reports.
+  useEffect(() => {
+    if (!map || !onAreaChange) return undefined;
+    let timer;
+    const handleMoveEnd = () => {
+      // Wait for the user to stop panning or zooming instead of loading every step on the way.
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const bounds = map.getBounds();
+        onAreaChange({
+          north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest(),
+        }, map.getZoom());
+      }, AREA_LOAD_DELAY_MS);
+    };
+    map.on('moveend', handleMoveEnd);
+    return () => {
+      clearTimeout(timer);
+      map.off('moveend', handleMoveEnd);
+    };
+  }, [map, onAreaChange]);
 
-  // EFFECT 2: Fly to a marker when it is selected.
+  // EFFECT 3: Redraw the cluster icons for the ring around the selected report's cluster when the selection changes.
+  const selectedReportId = selectedReport?.id || null;
   useEffect(() => {
-    if (map && selectedReport) {
-      // Smoothly animate the map view to the selected report's coordinates.
-      map.flyTo([selectedReport.location.lat, selectedReport.location.lng], 15, { // Zoom level 15
-        animate: true,
-        duration: 1, // Animation duration in seconds
-      });
+    selectedReportIdRef.current = selectedReportId;
+    clusterGroupRef.current?.refreshClusters();
+  }, [selectedReportId]);
+
+  /**
+   * @description If the report is still inside a cluster after flying to it, zooms further in
+   * (or spreads the cluster out) to show it.
+   * @param {string} reportId - The report the map flew to.
+   */
+  const revealSelected = (reportId) => {
+    const marker = markerRefs.current[reportId];
+    const clusterGroup = clusterGroupRef.current;
+    if (marker && clusterGroup?.hasLayer(marker) && clusterGroup.getVisibleParent(marker) !== marker) {
+      clusterGroup.zoomToShowLayer(marker);
     }
-  }, [map, selectedReport]); // Reruns when a new report is selected.
+  };
+  // Fly to a marker when it is selected (zoom level 15). Live updates of the same report don't move the map.
+  useFlyToReport(map, selectedReport, 15, revealSelected);
+
+  const heatmapPoints = useMemo(() => getHeatmapPoints(reports, weightByRecency), [reports, weightByRecency]);
+
+  // The report markers, shown on their own or in clusters.
+  const markers = layer === 'heatmap' ? [] : reports.map((report) => {
+    const isSelected = selectedReport && selectedReport.id === report.id;
+    const isNew = newReportIds.includes(report.id);
+    const status = getReportStatus(report);
+    // The crowd-averaged danger level decides the colour; the marker shows it rounded.
+    const dangerLevel = getDangerLevel(report);
+    return (
+      <Marker
+        key={report.id}
+        ref={(marker) => { markerRefs.current[report.id] = marker; }}
+        position={[report.location.lat, report.location.lng]}
+        // Passed on to the marker's options for the cluster icons.
+        dangerLevel={dangerLevel}
+        reportId={report.id}
+        eventHandlers={{ click: () => onMarkerClick(report) }}
+        // We use a custom HTML icon (L.divIcon) to show the danger level and apply scaling effects.
+        // The ring shows the status: white while just reported, the status colour once it moves on,
+        // and fixed potholes are faded out.
+        icon={L.divIcon({
+          className: `custom-icon status-${status.value}`, // Custom class for potential CSS targeting
+          html: `<div style="
+            width: 24px; height: 24px;
+            background: ${dangerLevelToColor(dangerLevel)};
+            border: ${status.value === 'reported' ? '2px solid white' : `3px solid ${status.color}`};
+            opacity: ${status.isOpen ? 1 : 0.55};
+            border-radius: 50%;
+            display: flex; align-items: center; justify-content: center;
+            color: white; font-weight: bold;
+            box-shadow: 0 2px 5px rgba(0,0,0,0.3);
+            transform: ${isSelected ? 'scale(1.5)' : 'scale(1)'}; /* Enlarge if selected */
+            transition: transform 0.2s ease;
+            animation: ${isNew ? 'marker-drop 0.6s ease-out' : 'none'}; /* Drop in if new, see index.css */
+          ">${Math.round(dangerLevel)}</div>`,
+        })}
+      >
+        <Popup>
+          <StyledPopup dangerLevel={dangerLevel}>
+            <PopupContent dangerLevel={dangerLevel}>
+              <PhotoGallery report={report} height={120} />
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <DangerLevel dangerLevel={dangerLevel}>
+                    <WarningIcon fontSize="small" sx={{ mr: 0.5 }} />
+                    Danger: {formatDangerLevel(dangerLevel)}/10 ({getRatingCount(report)})
+                  </DangerLevel>
+                  <Typography variant="caption" color="text.secondary">
+                    {report.createdAt?.seconds ? dayjs(report.createdAt.seconds * 1000).fromNow() : 'just now'}
+                  </Typography>
+                </Box>
+                <Typography variant="h6" sx={{ mb: 1 }}>{report.location.district}</Typography>
+                <StatusChip report={report} sx={{ mb: 1 }} />
+                <ReportAttributes report={report} sx={{ mb: 1 }} />
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+                  {report.description || 'No description provided.'}
+                </Typography>
+                <ConfirmationButtons report={report} onChange={onReportUpdate} />
+              </CardContent>
+            </PopupContent>
+          </StyledPopup>
+        </Popup>
+      </Marker>
+    );
+  });
 
   return (
-    <MapContainer
-      center={[20.5937, 78.9629]} // Default center (India)
-      zoom={5} // Default zoom
-      style={{ height: '70vh', width: '100%', borderRadius: '8px' }}
-      whenCreated={setMap} // Callback to get the map instance
-      ref={mapRef}
-    >
-      <TileLayer
-        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-      />
-      {reports.map((report) => {
-        const isSelected = selectedReport && selectedReport.id === report.id;
-        return (
-          <Marker
-            key={report.id}
-            position={[report.location.lat, report.location.lng]}
-            eventHandlers={{ click: () => onMarkerClick(report) }}
-            // We use a custom HTML icon (L.divIcon) to show the danger level and apply scaling effects.
-            icon={L.divIcon({
-              className: 'custom-icon', // Custom class for potential CSS targeting
-              html: `<div style="
-                width: 24px; height: 24px;
-                background: ${dangerLevelToColor(report.dangerLevel)};
-                border: 2px solid white;
-                border-radius: 50%;
-                display: flex; align-items: center; justify-content: center;
-                color: white; font-weight: bold;
-                box-shadow: 0 2px 5px rgba(0,0,0,0.3);
-                transform: ${isSelected ? 'scale(1.5)' : 'scale(1)'}; /* Enlarge if selected */
-                transition: transform 0.2s ease;
-              ">${report.dangerLevel}</div>`,
-            })}
+    <Box sx={{ position: 'relative' }}>
+      <MapContainer
+        center={[20.5937, 78.9629]} // Default center (India)
+        zoom={5} // Default zoom
+        style={{ height: '70vh', width: '100%', borderRadius: '8px' }}
+        ref={setMap} // Gives us the map instance once it's created
+      >
+        <TileLayer
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          // Requested with CORS so the service worker can cache the tiles (see src/service-worker.js).
+          crossOrigin="anonymous"
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        />
+        {layer === 'clusters' && (
+          <MarkerClusterGroup
+            ref={clusterGroupRef}
+            // Adds the markers in chunks so thousands of reports do not freeze the page.
+            chunkedLoading
+            showCoverageOnHover={false}
+            maxClusterRadius={60}
+            iconCreateFunction={(cluster) => createClusterIcon(cluster, selectedReportIdRef.current)}
           >
-            <Popup>
-              <StyledPopup dangerLevel={report.dangerLevel}>
-                <PopupContent dangerLevel={report.dangerLevel}>
-                  <CardContent>
-                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
-                      <DangerLevel dangerLevel={report.dangerLevel}>
-                        <WarningIcon fontSize="small" sx={{ mr: 0.5 }} />
-                        Danger: {report.dangerLevel}/10
-                      </DangerLevel>
-                      <Typography variant="caption" color="text.secondary">
-                        {dayjs(report.createdAt.seconds * 1000).fromNow()}
-                      </Typography>
-                    </Box>
-                    <Typography variant="h6" sx={{ mb: 1 }}>{report.location.district}</Typography>
-                    <Typography variant="body2" color="text.secondary">
-                      {report.description || 'No description provided.'}
-                    </Typography>
-                  </CardContent>
-                </PopupContent>
-              </StyledPopup>
-            </Popup>
-          </Marker>
-        );
-      })}
-    </MapContainer>
+            {markers}
+          </MarkerClusterGroup>
+        )}
+        {layer === 'markers' && markers}
+        {layer === 'heatmap' && <HeatmapLayer points={heatmapPoints} />}
+      </MapContainer>
+      {layer === 'heatmap' && <HeatmapLegend weightByRecency={weightByRecency} />}
+      {notice && (
+        <Paper elevation={3} sx={{ position: 'absolute', top: 12, left: '50%', transform: 'translateX(-50%)', zIndex: 1000, px: 2, py: 0.5 }}>
+          <Typography variant="body2">{notice}</Typography>
+        </Paper>
+      )}
+    </Box>
   );
 };
 
@@ -195,36 +381,79 @@ const MapPage = () => {
   const [loading, setLoading] = useState(true);
   // `error`: A string to hold any error messages that occur during fetching.
   const [error, setError] = useState('');
-  // `selectedReport`: Stores the report object of the marker that the user has clicked on.
-  const [selectedReport, setSelectedReport] = useState(null);
+  // `selectedReportId`: The id of the report whose marker the user has clicked on.
+  // The report itself is looked up in `reports`, so it follows the live updates.
+  const [selectedReportId, setSelectedReportId] = useState(null);
+  // `filters`: The active filters (see utils/reportFilters.js). Fixed potholes are hidden by default.
+  const [filters, setFilters] = useState(defaultReportFilters);
+  // `mapLayer`: How the reports are drawn, 'clusters', 'markers' or 'heatmap'.
+  const [mapLayer, setMapLayer] = useState('clusters');
+  // `weightByRecency`: Whether older reports count less on the heatmap.
+  const [weightByRecency, setWeightByRecency] = useState(false);
+  // `isZoomedOut`: True when the visible area is too large to load its reports.
+  const [isZoomedOut, setZoomedOut] = useState(false);
+  // `newReportIds`: Reports that just came in, whose markers drop in.
+  const [newReportIds, setNewReportIds] = useState([]);
+  // The live feed of the map's reports, to tell it which area is in view.
+  const feedRef = useRef(null);
+  const notifyNewReports = useNewReportsToast();
+  // `?report=<id>` selects a report when the page opens, e.g. from the list or a report's page.
+  const [searchParams] = useSearchParams();
+  const initialReportId = searchParams.get('report');
+  const navigate = useNavigate();
+
+  // The selected report, as of the latest snapshot. It is deselected when it is no longer among the reports.
+  const selectedReport = useMemo(
+    () => reports.find(report => report.id === selectedReportId) || null,
+    [reports, selectedReportId]
+  );
 
   // --- Data Fetching ---
-  // This `useEffect` hook runs once when the component is first mounted to the screen.
+  // This `useEffect` hook subscribes to the reports when the component is first mounted to the screen.
+  // It follows the newest reports for the first view; the map then adds the area the user looks at.
   useEffect(() => {
-    const fetchReports = async () => {
-      try {
-        setLoading(true);
-        // 1. Get a reference to the 'reports' collection in Firestore.
-        const reportsCollection = collection(db, 'reports');
-        // 2. Create a query to get all documents, ordered by creation date (newest first).
-        const q = query(reportsCollection, orderBy('createdAt', 'desc'));
-        // 3. Execute the query.
-        const querySnapshot = await getDocs(q);
-        // 4. Map the query results to a more usable array of objects, including the document ID.
-        const reportsData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        // 5. Update the component's state with the fetched data.
-        setReports(reportsData);
-        setError(''); // Clear any previous errors.
-      } catch (err) {
-        console.error('Error fetching reports:', err);
-        setError('Failed to load pothole reports. Please check your connection.');
-      } finally {
-        setLoading(false); // Ensure loading is set to false in all cases.
+    setLoading(true);
+    // The linked report is followed on its own, as it need not be one of the newest, and selected once it arrives.
+    let pendingReportId = initialReportId;
+    const feed = subscribeToMapReports((nextReports, addedIds) => {
+      setReports(nextReports);
+      const initialReport = pendingReportId && nextReports.find(report => report.id === pendingReportId);
+      if (initialReport) {
+        pendingReportId = null;
+        setSelectedReportId(initialReport.id);
+        // Show it even if it has been fixed.
+        if (!isReportOpen(initialReport)) setFilters(prev => ({ ...prev, status: 'all' }));
+      }
+      if (addedIds.length > 0) {
+        notifyNewReports(addedIds.length);
+        setNewReportIds(prev => [...prev, ...addedIds]);
+        setTimeout(() => setNewReportIds(prev => prev.filter(id => !addedIds.includes(id))), NEW_MARKER_MS);
       }
+      setError(''); // Clear any previous errors.
+      setLoading(false);
+    }, (err) => {
+      console.error('Error fetching reports:', err);
+      setError('Failed to load pothole reports. Please check your connection.');
+      setLoading(false);
+    });
+    if (initialReportId) feed.showReport(initialReportId);
+    feedRef.current = feed;
+
+    return () => {
+      feed.unsubscribe();
+      feedRef.current = null;
     };
+  }, [initialReportId, notifyNewReports]); // Runs once, or again when the `?report=` parameter changes.
 
-    fetchReports();
-  }, []); // The empty dependency array `[]` ensures this effect runs only once.
+  /**
+   * @description Follows the reports of the area in view after the map was moved.
+   * @param {{north: number, south: number, east: number, west: number}} bounds - The visible area.
+   * @param {number} zoom - The zoom level.
+   */
+  const handleAreaChange = useCallback((bounds, zoom) => {
+    setZoomedOut(zoom < MIN_AREA_ZOOM);
+    if (zoom >= MIN_AREA_ZOOM) feedRef.current?.showArea(bounds);
+  }, []);
 
   /**
    * @description Handles clicking on a map marker.
@@ -233,9 +462,32 @@ const MapPage = () => {
   const handleMarkerClick = (report) => {
     // Update the state to the newly selected report.
     // This will trigger the detail view to update and the map to fly to the marker.
-    setSelectedReport(report);
+    setSelectedReportId(report.id);
+  };
+
+  /**
+   * @description Applies a change to a report (a new status or confirmation counts) to the local data.
+   * @param {Object} updated - The updated report.
+   */
+  const handleReportUpdate = (updated) => {
+    setReports(prev => prev.map(report => (report.id === updated.id ? updated : report)));
   };
 
+  /**
+   * @description Applies new filters. The selected report is deselected when it no longer passes them.
+   * @param {Object} nextFilters - The filters, shaped like `defaultReportFilters`.
+   */
+  const handleFiltersChange = (nextFilters) => {
+    setFilters(nextFilters);
+    if (selectedReport && !matchesReportFilters(selectedReport, nextFilters)) setSelectedReportId(null);
+  };
+
+  // The reports shown on the map, those passing the filters.
+  // Memoised so the heatmap is only redrawn when they change.
+  const visibleReports = useMemo(() => reports.filter(report => matchesReportFilters(report, filters)), [reports, filters]);
+  // The map fits itself to the reports again whenever the filters change.
+  const fitKey = useMemo(() => JSON.stringify(filters), [filters]);
+
   return (
     <Container maxWidth="lg" sx={{ mt: 4, mb: 6 }}>
       <Typography variant="h4" component="h1" gutterBottom>Pothole Map</Typography>
@@ -250,6 +502,20 @@ const MapPage = () => {
         </Paper>
       )}
 
+      {/* Map options */}
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 1 }}>
+        <ToggleButtonGroup value={mapLayer} exclusive size="small" onChange={(e, value) => value && setMapLayer(value)}>
+          {mapLayers.map(option => <ToggleButton key={option.value} value={option.value}>{option.label}</ToggleButton>)}
+        </ToggleButtonGroup>
+        {mapLayer === 'heatmap' && (
+          <FormControlLabel
+            control={<Switch checked={weightByRecency} onChange={(e) => setWeightByRecency(e.target.checked)} />}
+            label="Weight recent reports more"
+          />
+        )}
+      </Box>
+      <MapFilterPanel filters={filters} onChange={handleFiltersChange} shownCount={visibleReports.length} totalCount={reports.length} />
+
       {/* Main content area for the map */}
       <Paper elevation={3} sx={{ p: 2, mb: 3, position: 'relative', minHeight: '300px', display: 'flex', flexDirection: 'column' }}>
         {loading ? (
@@ -264,7 +530,22 @@ const MapPage = () => {
           </Box>
         ) : (
           // Render the map component with the fetched data
-          <MapComponent reports={reports} selectedReport={selectedReport} onMarkerClick={handleMarkerClick} />
+          <MapComponent
+            reports={visibleReports}
+            selectedReport={selectedReport}
+            onMarkerClick={handleMarkerClick}
+            onReportUpdate={handleReportUpdate}
+            layer={mapLayer}
+            weightByRecency={weightByRecency}
+            onAreaChange={handleAreaChange}
+            notice={
+              visibleReports.length === 0 ? 'No reports match the filters'
+                : isZoomedOut ? 'Zoom in to load all reports in the area'
+                  : ''
+            }
+            newReportIds={newReportIds}
+            fitKey={fitKey}
+          />
         )}
       </Paper>
 
@@ -273,13 +554,20 @@ const MapPage = () => {
         <Paper elevation={3} sx={{ p: 3, mt: 2 }}>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
             <Typography variant="h6">Pothole Details</Typography>
-            <DangerLevel dangerLevel={selectedReport.dangerLevel}>
+            <DangerLevel dangerLevel={getDangerLevel(selectedReport)}>
               <WarningIcon fontSize="small" sx={{ mr: 0.5 }} />
-              Danger Level: {selectedReport.dangerLevel}/10
+              Danger Level: {formatDangerLevel(getDangerLevel(selectedReport))}/10
             </DangerLevel>
           </Box>
           
+          <Box sx={{ mb: 2, borderRadius: 1, overflow: 'hidden' }}>
+            <PhotoGallery report={selectedReport} variant="full" height={280} />
+          </Box>
+
           <Typography variant="subtitle1" gutterBottom><strong>Location:</strong> {selectedReport.location.district}</Typography>
+
+          <StatusChip report={selectedReport} sx={{ mb: 1 }} />
+          <ReportAttributes report={selectedReport} sx={{ mb: 1.5 }} />
           
           {selectedReport.location.formattedAddress && (
             <Typography variant="body2" color="text.secondary" gutterBottom>{selectedReport.location.formattedAddress}</Typography>
@@ -296,9 +584,39 @@ const MapPage = () => {
             </Box>
           )}
           
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>How dangerous is it?</Typography>
+            <DangerRatingControl key={selectedReport.id} report={selectedReport} onChange={handleReportUpdate} />
+          </Box>
+
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>Passed by recently?</Typography>
+            <ConfirmationButtons report={selectedReport} onChange={handleReportUpdate} />
+          </Box>
+
           <Typography variant="caption" color="text.secondary">
-            Reported {dayjs(selectedReport.createdAt.seconds * 1000).fromNow()}
+            Reported {selectedReport.createdAt?.seconds ? dayjs(selectedReport.createdAt.seconds * 1000).fromNow() : 'just now'}
+            {selectedReport.uid && <> by <ReporterLink report={selectedReport} /></>}
+            {/* Only mention the photo time when it differs from the report time, e.g. for photos taken earlier.
+                Both are unknown until a report that is still being saved reaches the server. */}
+            {selectedReport.observedAt?.seconds && selectedReport.createdAt?.seconds
+              && selectedReport.createdAt.seconds - selectedReport.observedAt.seconds > 3600 && (
+              <> &middot; Photo taken {dayjs(selectedReport.observedAt.seconds * 1000).format('MMM D, YYYY')}</>
+            )}
           </Typography>
+
+          <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Button variant="outlined" size="small" onClick={() => navigate(getReportPath(selectedReport.id))}>
+              Open report page
+            </Button>
+            <FlagReportButton report={selectedReport} />
+          </Box>
+
+          <Divider sx={{ my: 2 }} />
+          <ReportStatusPanel report={selectedReport} onStatusChange={(status) => handleReportUpdate({ ...selectedReport, status })} />
+
+          <Divider sx={{ my: 2 }} />
+          <CommentThread reportId={selectedReport.id} />
         </Paper>
       )}
     </Container>
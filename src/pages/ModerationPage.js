@@ -0,0 +1,216 @@
+/**
+ * @file ModerationPage.js
+ * @description The moderation queue at `/moderation`, for users with the moderator role only.
+ * It lists flagged and hidden reports with the flag reasons and counts, and lets moderators
+ * hide a report from the public, restore it (dismissing its flags) or delete it.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container, Typography, Box, Card, CardContent, CardActions, Button, CircularProgress, Grid, Chip,
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions
+} from '@mui/material';
+import {
+  VisibilityOff as VisibilityOffIcon, Visibility as VisibilityIcon, Delete as DeleteIcon, NavigateNext as NavigateNextIcon
+} from '@mui/icons-material';
+import dayjs from 'dayjs';
+import relativeTime from 'dayjs/plugin/relativeTime';
+import { useSnackbar } from 'notistack';
+import ReportImage from '../components/ReportImage';
+import StatusChip from '../components/StatusChip';
+import useUserRoles from '../hooks/useUserRoles';
+import { getModerationQueue, hideReport, restoreReport, removeReport } from '../services/moderation';
+import { getFlagReasonLabel } from '../data/flagReasons';
+import { MODERATOR } from '../data/userRoles';
+import { getReportPath } from '../utils/reportUrl';
+
+dayjs.extend(relativeTime);
+
+const ModerationPage = () => {
+  const navigate = useNavigate();
+  const { roles, loading: rolesLoading } = useUserRoles();
+  const isModerator = roles.includes(MODERATOR);
+  // `reports`: The moderation queue, most flagged first.
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // `busyId`: The report an action is running on, to disable its buttons.
+  const [busyId, setBusyId] = useState(null);
+  // `reportToDelete`: The report waiting for the delete confirmation.
+  const [reportToDelete, setReportToDelete] = useState(null);
+  const { enqueueSnackbar } = useSnackbar();
+
+  useEffect(() => {
+    if (!isModerator) return;
+    const fetchQueue = async () => {
+      try {
+        setLoading(true);
+        setReports(await getModerationQueue());
+        setError('');
+      } catch (err) {
+        console.error('Error fetching the moderation queue:', err);
+        setError('Failed to load the moderation queue. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchQueue();
+  }, [isModerator]);
+
+  /**
+   * @description Hides or restores a report and updates it in the queue.
+   * Restored reports leave the queue, as their flags are dismissed.
+   * @param {object} report - The report.
+   * @param {boolean} hide - True to hide it, false to restore it.
+   */
+  const handleVisibility = async (report, hide) => {
+    setBusyId(report.id);
+    try {
+      if (hide) {
+        const changes = await hideReport(report);
+        setReports(prev => prev.map(item => (item.id === report.id ? { ...item, ...changes } : item)));
+        enqueueSnackbar('The report is now hidden from the public.', { variant: 'success' });
+      } else {
+        await restoreReport(report);
+        setReports(prev => prev.filter(item => item.id !== report.id));
+        enqueueSnackbar('The report was restored and its flags dismissed.', { variant: 'success' });
+      }
+    } catch (err) {
+      console.error('Error moderating report:', err);
+      enqueueSnackbar('Failed to update the report. Please try again.', { variant: 'error' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    const report = reportToDelete;
+    setBusyId(report.id);
+    try {
+      const { photosDeleted } = await removeReport(report);
+      setReports(prev => prev.filter(item => item.id !== report.id));
+      setReportToDelete(null);
+      if (photosDeleted) {
+        enqueueSnackbar('The report was deleted.', { variant: 'success' });
+      } else {
+        enqueueSnackbar('The report was deleted, but some of its photos could not be removed.', { variant: 'warning' });
+      }
+    } catch (err) {
+      console.error('Error deleting report:', err);
+      enqueueSnackbar('Failed to delete the report. Please try again.', { variant: 'error' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (rolesLoading) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', p: 6 }}><CircularProgress /></Box>;
+  }
+
+  if (!isModerator) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>Moderators only</Typography>
+        <Typography color="text.secondary" paragraph>You need the moderator role to see this page.</Typography>
+        <Button variant="outlined" onClick={() => navigate('/')}>Back to Home</Button>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 6 }}>
+      <Typography variant="h4" component="h1" gutterBottom>Moderation Queue</Typography>
+      <Typography variant="subtitle1" color="text.secondary" paragraph>
+        Reports flagged by users, and reports you have hidden. Hidden reports are left out of the map, the list and the leaderboard.
+      </Typography>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}><CircularProgress /></Box>
+      ) : error ? (
+        <Typography color="error" sx={{ textAlign: 'center' }}>{error}</Typography>
+      ) : reports.length === 0 ? (
+        <Typography color="text.secondary" sx={{ textAlign: 'center', p: 4 }}>Nothing to review. 🎉</Typography>
+      ) : (
+        <Grid container spacing={3}>
+          {reports.map((report) => (
+            <Grid key={report.id} size={{ xs: 12, sm: 6, md: 4 }}>
+              <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column', opacity: report.hidden ? 0.75 : 1 }}>
+                <ReportImage report={report} height={160} />
+                <CardContent sx={{ flexGrow: 1 }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="h6" noWrap>{report.location.district || 'Unknown Location'}</Typography>
+                    {report.hidden && <Chip label="Hidden" size="small" icon={<VisibilityOffIcon />} />}
+                  </Box>
+                  <StatusChip report={report} sx={{ mb: 1 }} />
+                  {report.description && (
+                    <Typography variant="body2" color="text.secondary" sx={{ display: '-webkit-box', WebkitLineClamp: 3, WebkitBoxOrient: 'vertical', overflow: 'hidden', mb: 1 }}>
+                      {report.description}
+                    </Typography>
+                  )}
+                  <Typography variant="subtitle2" gutterBottom>
+                    {report.flagCount || 0} {report.flagCount === 1 ? 'flag' : 'flags'}
+                    {report.lastFlaggedAt?.seconds && (
+                      <Typography component="span" variant="caption" color="text.secondary">
+                        {' '}&middot; last {dayjs(report.lastFlaggedAt.seconds * 1000).fromNow()}
+                      </Typography>
+                    )}
+                  </Typography>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {Object.entries(report.flagCounts || {}).filter(([, count]) => count > 0).map(([reason, count]) => (
+                      <Chip key={reason} label={`${getFlagReasonLabel(reason)} × ${count}`} size="small" color="warning" variant="outlined" />
+                    ))}
+                  </Box>
+                </CardContent>
+                <CardActions sx={{ flexWrap: 'wrap', gap: 0.5 }}>
+                  {report.hidden ? (
+                    <Button size="small" startIcon={<VisibilityIcon />} disabled={busyId === report.id} onClick={() => handleVisibility(report, false)}>
+                      Restore
+                    </Button>
+                  ) : (
+                    <Button size="small" startIcon={<VisibilityOffIcon />} disabled={busyId === report.id} onClick={() => handleVisibility(report, true)}>
+                      Hide
+                    </Button>
+                  )}
+                  {!report.hidden && (
+                    <Button size="small" disabled={busyId === report.id} onClick={() => handleVisibility(report, false)}>
+                      Dismiss flags
+                    </Button>
+                  )}
+                  <Button size="small" color="error" startIcon={<DeleteIcon />} disabled={busyId === report.id} onClick={() => setReportToDelete(report)}>
+                    Delete
+                  </Button>
+                  <Button size="small" endIcon={<NavigateNextIcon />} onClick={() => navigate(getReportPath(report.id))}>View</Button>
+                </CardActions>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      <Dialog open={Boolean(reportToDelete)} onClose={busyId ? undefined : () => setReportToDelete(null)}>
+        <DialogTitle>Delete this report?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The report and its photos will be removed for everyone. This cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReportToDelete(null)} disabled={Boolean(busyId)}>Cancel</Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleDelete}
+            disabled={Boolean(busyId)}
+            startIcon={busyId ? <CircularProgress size={20} /> : <DeleteIcon />}
+          >
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default ModerationPage;
@@ -0,0 +1,108 @@
+/**
+ * @file MyReportsPage.js
+ * @description Lists the reports submitted by the current (anonymous) user, who can edit or delete them here.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container, Typography, Box, Card, CardContent, CardActions, Button, CircularProgress, Grid, Chip
+} from '@mui/material';
+import { NavigateNext as NavigateNextIcon } from '@mui/icons-material';
+import dayjs from 'dayjs';
+import ReportImage from '../components/ReportImage';
+import StatusChip from '../components/StatusChip';
+import ReportOwnerActions from '../components/ReportOwnerActions';
+import useAuthUser from '../hooks/useAuthUser';
+import { getMyReports } from '../services/reports';
+import { getDangerLevel, formatDangerLevel } from '../utils/dangerRating';
+import { getReportPath } from '../utils/reportUrl';
+
+const MyReportsPage = () => {
+  const navigate = useNavigate();
+  const user = useAuthUser();
+  // `reports`: The user's reports, newest first.
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Load the reports once the (anonymous) sign-in has completed.
+  useEffect(() => {
+    if (!user) return;
+    const fetchReports = async () => {
+      try {
+        setLoading(true);
+        setReports(await getMyReports());
+        setError('');
+      } catch (err) {
+        console.error('Error fetching your reports:', err);
+        setError('Failed to load your reports. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReports();
+  }, [user]);
+
+  /**
+   * @description Replaces a report in the list after it was edited.
+   * @param {object} updated - The updated report.
+   */
+  const handleUpdated = (updated) => {
+    setReports(prev => prev.map(report => (report.id === updated.id ? updated : report)));
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 6 }}>
+      <Typography variant="h4" component="h1" gutterBottom>My Reports</Typography>
+      <Typography variant="subtitle1" color="text.secondary" paragraph>
+        Potholes you reported from this device. You can fix the danger level, replace the photos, correct the location or delete a report.
+      </Typography>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}><CircularProgress /></Box>
+      ) : error ? (
+        <Typography color="error" sx={{ textAlign: 'center' }}>{error}</Typography>
+      ) : reports.length === 0 ? (
+        <Box sx={{ textAlign: 'center', p: 4 }}>
+          <Typography color="text.secondary" gutterBottom>You haven't reported any potholes yet.</Typography>
+          <Button variant="contained" onClick={() => navigate('/report')}>Report a Pothole</Button>
+        </Box>
+      ) : (
+        <Grid container spacing={3}>
+          {reports.map((report) => (
+            <Grid key={report.id} size={{ xs: 12, sm: 6, md: 4 }}>
+              <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+                <ReportImage report={report} height={160} />
+                <CardContent sx={{ flexGrow: 1 }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                    <Chip label={`Level ${formatDangerLevel(getDangerLevel(report))}`} size="small" />
+                    <Typography variant="body2" color="text.secondary">
+                      {report.createdAt?.seconds ? dayjs(report.createdAt.seconds * 1000).format('MMM D, YYYY') : 'just now'}
+                    </Typography>
+                  </Box>
+                  <Typography variant="h6" noWrap gutterBottom>{report.location.district || 'Unknown Location'}</Typography>
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                    <StatusChip report={report} />
+                    {report.hidden && <Chip label="Hidden by moderators" size="small" color="warning" />}
+                  </Box>
+                </CardContent>
+                <CardActions sx={{ justifyContent: 'space-between' }}>
+                  <ReportOwnerActions
+                    report={report}
+                    onUpdated={handleUpdated}
+                    onDeleted={() => setReports(prev => prev.filter(item => item.id !== report.id))}
+                  />
+                  <Button size="small" endIcon={<NavigateNextIcon />} onClick={() => navigate(getReportPath(report.id))}>View</Button>
+                </CardActions>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+    </Container>
+  );
+};
+
+export default MyReportsPage;
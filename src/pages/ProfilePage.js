@@ -0,0 +1,237 @@
+/**
+ * @file ProfilePage.js
+ * @description A user's public profile at `/users/:uid`: their name, join date, contribution stats
+ * (reports, how many got fixed, average danger), their achievement badges and their reports on a small map and in a list.
+ * `/profile` opens the signed-in user's own profile, where they can change their display name.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Navigate } from 'react-router-dom';
+import {
+  Container, Typography, Paper, Box, Avatar, Button, CircularProgress, Grid, Card, CardActionArea, CardContent,
+  TextField, IconButton, Tooltip
+} from '@mui/material';
+import { Edit as EditIcon, Check as CheckIcon, Close as CloseIcon } from '@mui/icons-material';
+import { MapContainer, TileLayer, CircleMarker, Tooltip as MapTooltip } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import dayjs from 'dayjs';
+import { useSnackbar } from 'notistack';
+import ReportImage from '../components/ReportImage';
+import StatusChip from '../components/StatusChip';
+import BadgeList from '../components/BadgeList';
+import useAuthUser from '../hooks/useAuthUser';
+import { getUserProfile, updateDisplayName, MAX_DISPLAY_NAME_LENGTH } from '../services/users';
+import { getReportsByUser } from '../services/reports';
+import { isReportOpen, getReportStatus } from '../data/reportStatuses';
+import { getDangerLevel, formatDangerLevel } from '../utils/dangerRating';
+import { getDisplayName } from '../utils/displayName';
+import { getReportPath, getProfilePath } from '../utils/reportUrl';
+import { getEarnedBadges } from '../utils/achievements';
+
+/**
+ * @description One number in the stats row.
+ * @param {{label: string, value: string|number}} props
+ */
+const Stat = ({ label, value }) => (
+  <Paper elevation={2} sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+    <Typography variant="h5" component="div" sx={{ fontWeight: 700 }}>{value}</Typography>
+    <Typography variant="body2" color="text.secondary">{label}</Typography>
+  </Paper>
+);
+
+/**
+ * @description Redirects `/profile` to the signed-in user's own profile once sign-in has completed.
+ */
+export const MyProfileRedirect = () => {
+  const user = useAuthUser();
+  if (!user) return <Box sx={{ display: 'flex', justifyContent: 'center', p: 6 }}><CircularProgress /></Box>;
+  return <Navigate to={getProfilePath(user.uid)} replace />;
+};
+
+const ProfilePage = () => {
+  const { uid } = useParams();
+  const navigate = useNavigate();
+  const user = useAuthUser();
+  const isOwnProfile = user?.uid === uid;
+  // `profile`: The user's document in `users`, or null for accounts from before profiles existed.
+  const [profile, setProfile] = useState(null);
+  // `reports`: The user's reports, newest first.
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // `nameDraft`: The display name being edited, or null when not editing.
+  const [nameDraft, setNameDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const { enqueueSnackbar } = useSnackbar();
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        setLoading(true);
+        const [userProfile, userReports] = await Promise.all([getUserProfile(uid), getReportsByUser(uid)]);
+        setProfile(userProfile);
+        setReports(userReports);
+        setError('');
+      } catch (err) {
+        console.error('Error fetching profile:', err);
+        setError('Failed to load this profile. Please check your connection.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, [uid]);
+
+  const handleSaveName = async () => {
+    setSaving(true);
+    try {
+      const displayName = await updateDisplayName(nameDraft);
+      setProfile(prev => ({ ...prev, displayName }));
+      setNameDraft(null);
+      enqueueSnackbar('Your name was updated.', { variant: 'success' });
+    } catch (err) {
+      console.error('Error updating display name:', err);
+      enqueueSnackbar('Failed to update your name. Please try again.', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', p: 6 }}><CircularProgress /></Box>;
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4, textAlign: 'center' }}>
+        <Typography color="error">{error}</Typography>
+      </Container>
+    );
+  }
+
+  // Reports hidden by the moderators only show on the user's own profile.
+  const visibleReports = isOwnProfile ? reports : reports.filter(report => !report.hidden);
+  const fixedCount = visibleReports.filter(report => !isReportOpen(report)).length;
+  const avgDanger = visibleReports.length > 0
+    ? formatDangerLevel(visibleReports.reduce((sum, report) => sum + getDangerLevel(report), 0) / visibleReports.length)
+    : '-';
+  const displayName = profile?.displayName || getDisplayName({ uid });
+  // Accounts from before profiles existed fall back to their first report.
+  const joinedSeconds = profile?.createdAt?.seconds || visibleReports[visibleReports.length - 1]?.createdAt?.seconds;
+  const earnedBadges = getEarnedBadges(reports);
+  const mapBounds = visibleReports.map(report => [report.location.lat, report.location.lng]);
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 6 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <Avatar src={isOwnProfile ? user.photoURL || undefined : undefined} sx={{ width: 64, height: 64, fontSize: 28 }}>
+          {displayName.charAt(0).toUpperCase()}
+        </Avatar>
+        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+          {nameDraft === null ? (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="h4" component="h1" noWrap>{displayName}</Typography>
+              {isOwnProfile && (
+                <Tooltip title="Change your name">
+                  <IconButton size="small" onClick={() => setNameDraft(user.displayName || '')}><EditIcon fontSize="small" /></IconButton>
+                </Tooltip>
+              )}
+            </Box>
+          ) : (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <TextField
+                size="small"
+                autoFocus
+                placeholder={getDisplayName({ uid })}
+                value={nameDraft}
+                onChange={(e) => setNameDraft(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') handleSaveName(); }}
+                helperText="Leave empty to stay anonymous"
+                slotProps={{ htmlInput: { maxLength: MAX_DISPLAY_NAME_LENGTH } }}
+              />
+              <IconButton color="primary" onClick={handleSaveName} disabled={saving}><CheckIcon /></IconButton>
+              <IconButton onClick={() => setNameDraft(null)} disabled={saving}><CloseIcon /></IconButton>
+            </Box>
+          )}
+          <Typography variant="body2" color="text.secondary">
+            {joinedSeconds ? `Joined ${dayjs(joinedSeconds * 1000).format('MMMM YYYY')}` : 'New member'}
+          </Typography>
+        </Box>
+      </Box>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid size={{ xs: 6, md: 3 }}><Stat label="Reports" value={visibleReports.length} /></Grid>
+        <Grid size={{ xs: 6, md: 3 }}><Stat label="Got fixed" value={fixedCount} /></Grid>
+        <Grid size={{ xs: 6, md: 3 }}><Stat label="Avg. danger" value={avgDanger} /></Grid>
+        <Grid size={{ xs: 6, md: 3 }}><Stat label="Joined" value={joinedSeconds ? dayjs(joinedSeconds * 1000).format('MMM D, YYYY') : '-'} /></Grid>
+      </Grid>
+
+      {/* Everyone sees the badges earned; the user also sees the ones still to earn. */}
+      {(earnedBadges.length > 0 || isOwnProfile) && (
+        <Paper elevation={2} sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>Badges</Typography>
+          <BadgeList badges={earnedBadges} showLocked={isOwnProfile} />
+        </Paper>
+      )}
+
+      {visibleReports.length === 0 ? (
+        <Box sx={{ textAlign: 'center', p: 4 }}>
+          <Typography color="text.secondary" gutterBottom>No reports yet.</Typography>
+          {isOwnProfile && <Button variant="contained" onClick={() => navigate('/report')}>Report a Pothole</Button>}
+        </Box>
+      ) : (
+        <>
+          <Paper elevation={2} sx={{ overflow: 'hidden', height: 300, mb: 3 }}>
+            <MapContainer
+              // Re-created for another user, as the bounds are only read on mount.
+              key={uid}
+              bounds={mapBounds}
+              boundsOptions={{ padding: [30, 30], maxZoom: 15 }}
+              style={{ height: '100%', width: '100%' }}
+              scrollWheelZoom={false}
+            >
+              <TileLayer
+                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                crossOrigin="anonymous"
+              />
+              {visibleReports.map(report => (
+                <CircleMarker
+                  key={report.id}
+                  center={[report.location.lat, report.location.lng]}
+                  radius={8}
+                  pathOptions={{ color: getReportStatus(report).color, fillOpacity: 0.7 }}
+                  eventHandlers={{ click: () => navigate(getReportPath(report.id)) }}
+                >
+                  <MapTooltip>{report.location.district || 'Unknown Location'} &middot; {getReportStatus(report).label}</MapTooltip>
+                </CircleMarker>
+              ))}
+            </MapContainer>
+          </Paper>
+
+          <Grid container spacing={2}>
+            {visibleReports.map(report => (
+              <Grid key={report.id} size={{ xs: 12, sm: 6, md: 3 }}>
+                <Card sx={{ height: '100%' }}>
+                  <CardActionArea onClick={() => navigate(getReportPath(report.id))} sx={{ height: '100%' }}>
+                    <ReportImage report={report} height={120} />
+                    <CardContent>
+                      <Typography variant="subtitle1" noWrap>{report.location.district || 'Unknown Location'}</Typography>
+                      <Typography variant="body2" color="text.secondary" gutterBottom>
+                        Level {formatDangerLevel(getDangerLevel(report))} &middot; {report.createdAt?.seconds ? dayjs(report.createdAt.seconds * 1000).format('MMM D, YYYY') : 'just now'}
+                      </Typography>
+                      <StatusChip report={report} />
+                    </CardContent>
+                  </CardActionArea>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default ProfilePage;
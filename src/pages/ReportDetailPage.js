@@ -0,0 +1,225 @@
+/**
+ * @file ReportDetailPage.js
+ * @description The permanent page of a single report at `/reports/:id`. It loads the report from
+ * Firestore by its document id, so the link can be shared, bookmarked and refreshed.
+ * It shows the photos, a small map, the danger rating, the description, the status history and the discussion.
+ * Reports hidden by the moderators are only shown to their reporter and to moderators.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Container, Typography, Paper, Box, Button, CircularProgress, Divider, Grid, IconButton, Alert
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon, Map as MapIcon, Image as ImageIcon, Warning as WarningIcon, LocationOn as LocationIcon
+} from '@mui/icons-material';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { MapContainer, TileLayer, Marker } from 'react-leaflet';
+import icon from 'leaflet/dist/images/marker-icon.png';
+import iconShadow from 'leaflet/dist/images/marker-shadow.png';
+import dayjs from 'dayjs';
+import relativeTime from 'dayjs/plugin/relativeTime';
+import PhotoGallery from '../components/PhotoGallery';
+import ReportAttributes from '../components/ReportAttributes';
+import StatusChip from '../components/StatusChip';
+import ReportStatusPanel from '../components/ReportStatusPanel';
+import ConfirmationButtons from '../components/ConfirmationButtons';
+import DangerRatingControl from '../components/DangerRatingControl';
+import CommentThread from '../components/CommentThread';
+import ShareCard from '../components/ShareCard';
+import ReportOwnerActions from '../components/ReportOwnerActions';
+import FlagReportButton from '../components/FlagReportButton';
+import ReporterLink from '../components/ReporterLink';
+import { getReport, getReportsByUser } from '../services/reports';
+import { getReportPhotos } from '../services/reportImages';
+import usePhotoUrl from '../hooks/usePhotoUrl';
+import useAuthUser from '../hooks/useAuthUser';
+import useUserRoles from '../hooks/useUserRoles';
+import { MODERATOR } from '../data/userRoles';
+import { getDangerLevel, getRatingCount, formatDangerLevel } from '../utils/dangerRating';
+import { getReportUrl } from '../utils/reportUrl';
+import { getEarnedBadges } from '../utils/achievements';
+
+dayjs.extend(relativeTime);
+
+// The pin icon, defined here so the page does not rely on another page having set Leaflet's default.
+const PinIcon = L.icon({
+  iconUrl: icon,
+  shadowUrl: iconShadow,
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  shadowSize: [41, 41]
+});
+
+const ReportDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const user = useAuthUser();
+  const { roles } = useUserRoles();
+  // `report`: The loaded report, or null while loading or when it does not exist.
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [isShareCardOpen, setShareCardOpen] = useState(false);
+  // `earnedBadges`: The reporter's badges for their share card, loaded when they open it.
+  const [earnedBadges, setEarnedBadges] = useState([]);
+  // The full-size cover photo, used on the share card.
+  const coverUrl = usePhotoUrl(report ? getReportPhotos(report)[0] : null, 'full');
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        setLoading(true);
+        const data = await getReport(id);
+        setReport(data);
+        setError(data ? '' : 'This report does not exist or has been removed.');
+      } catch (err) {
+        console.error('Error fetching report:', err);
+        setError('Failed to load the report. Please check your connection.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [id]);
+
+  const isOwnReport = Boolean(report?.uid) && report.uid === user?.uid;
+  useEffect(() => {
+    if (!isShareCardOpen || !isOwnReport) return;
+    getReportsByUser(report.uid)
+      .then(reports => setEarnedBadges(getEarnedBadges(reports)))
+      .catch(err => console.error('Error fetching badges:', err));
+  }, [isShareCardOpen, isOwnReport, report?.uid]);
+
+  if (loading) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', p: 6 }}><CircularProgress /></Box>;
+  }
+
+  // Hidden reports look removed to everyone but their reporter and the moderators.
+  const isHiddenFromUser = report?.hidden && !isOwnReport && !roles.includes(MODERATOR);
+
+  if (error || isHiddenFromUser) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4, textAlign: 'center' }}>
+        <Typography color="error" gutterBottom>{error || 'This report has been removed by the moderators.'}</Typography>
+        <Button variant="outlined" onClick={() => navigate('/list')}>Browse all reports</Button>
+      </Container>
+    );
+  }
+
+  const dangerLevel = getDangerLevel(report);
+  const ratingCount = getRatingCount(report);
+  const position = [report.location.lat, report.location.lng];
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 4, mb: 6 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <IconButton onClick={() => navigate(-1)} sx={{ mr: 1 }}><ArrowBackIcon /></IconButton>
+        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+          <Typography variant="h4" component="h1" noWrap>{report.location.district || 'Unknown Location'}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            Reported {report.createdAt?.seconds ? dayjs(report.createdAt.seconds * 1000).fromNow() : 'just now'}
+            {report.uid && <> by <ReporterLink report={report} /></>}
+          </Typography>
+        </Box>
+        <StatusChip report={report} size="medium" />
+      </Box>
+
+      {report.hidden && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          This report has been hidden by the moderators and is not shown publicly.
+        </Alert>
+      )}
+
+      <Paper elevation={3} sx={{ overflow: 'hidden', mb: 3 }}>
+        <PhotoGallery report={report} variant="full" height={320} />
+      </Paper>
+
+      <Grid container spacing={3}>
+        <Grid size={{ xs: 12, md: 7 }}>
+          <Paper elevation={2} sx={{ p: 3, height: '100%' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+              <WarningIcon color={dangerLevel > 7 ? 'error' : dangerLevel > 3 ? 'warning' : 'success'} />
+              <Typography variant="h6">
+                Danger {formatDangerLevel(dangerLevel)}/10
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                ({ratingCount} {ratingCount === 1 ? 'rating' : 'ratings'})
+              </Typography>
+            </Box>
+            <ReportAttributes report={report} sx={{ mb: 2 }} />
+            <Typography variant="body1" paragraph>{report.description || 'No description provided.'}</Typography>
+            {report.location.formattedAddress && (
+              <Box sx={{ display: 'flex', alignItems: 'center', color: 'text.secondary' }}>
+                <LocationIcon fontSize="small" sx={{ mr: 0.5 }} />
+                <Typography variant="body2">{report.location.formattedAddress}</Typography>
+              </Box>
+            )}
+          </Paper>
+        </Grid>
+        <Grid size={{ xs: 12, md: 5 }}>
+          {/* A small, static map snippet of where the pothole is. */}
+          <Paper elevation={2} sx={{ overflow: 'hidden', height: { xs: 220, md: '100%' }, minHeight: 220 }}>
+            <MapContainer
+              // Re-created when the reporter corrects the location, as the centre is only read on mount.
+              key={position.join(',')}
+              center={position}
+              zoom={16}
+              style={{ height: '100%', width: '100%' }}
+              scrollWheelZoom={false}
+              dragging={false}
+              zoomControl={false}
+              attributionControl={false}
+            >
+              <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" crossOrigin="anonymous" />
+              <Marker position={position} icon={PinIcon} />
+            </MapContainer>
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', my: 3 }}>
+        <Button variant="contained" startIcon={<ImageIcon />} onClick={() => setShareCardOpen(true)}>Share</Button>
+        <Button variant="outlined" startIcon={<MapIcon />} onClick={() => navigate(`/map?report=${report.id}`)}>View on Map</Button>
+        <ReportOwnerActions report={report} onUpdated={setReport} onDeleted={() => navigate('/my-reports', { replace: true })} />
+        <Box sx={{ flexGrow: 1 }} />
+        <FlagReportButton report={report} />
+      </Box>
+
+      <Paper elevation={2} sx={{ p: 3 }}>
+        <Typography variant="subtitle2" gutterBottom>How dangerous is it?</Typography>
+        <DangerRatingControl key={report.id} report={report} onChange={setReport} />
+
+        <Typography variant="subtitle2" gutterBottom sx={{ mt: 2 }}>Passed by recently?</Typography>
+        <ConfirmationButtons report={report} onChange={setReport} />
+
+        <Divider sx={{ my: 2 }} />
+        <ReportStatusPanel report={report} onStatusChange={(status) => setReport(prev => ({ ...prev, status }))} />
+
+        <Divider sx={{ my: 2 }} />
+        <CommentThread reportId={report.id} />
+      </Paper>
+
+      {isShareCardOpen && (
+        <ShareCard
+          open={isShareCardOpen}
+          onClose={() => setShareCardOpen(false)}
+          report={{
+            imageUrl: coverUrl,
+            dangerLevel: Math.round(dangerLevel),
+            location: report.location,
+            description: report.description,
+            createdAt: report.createdAt?.seconds ? report.createdAt.seconds * 1000 : new Date(),
+            url: getReportUrl(report.id),
+          }}
+          badges={earnedBadges}
+        />
+      )}
+    </Container>
+  );
+};
+
+export default ReportDetailPage;
@@ -1,7 +1,7 @@
 /**
  * @file ReportPage.js
  * @description This page contains the form for users to report a new pothole.
- * It includes fields for image upload, location, danger level, and a description.
+ * It includes fields for image upload, location, danger level, hazard attributes, and a description.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -17,6 +17,9 @@ import {
   Card,
   CardMedia,
   CardActions,
+  IconButton,
+  Tooltip,
+  Chip,
   CircularProgress,
   Alert,
   FormControl,
@@ -25,50 +28,87 @@ import {
   MenuItem,
   FormHelperText
 } from '@mui/material';
-import { PhotoCamera, MyLocation, Save } from '@mui/icons-material';
+import { PhotoCamera, MyLocation, Save, ChevronLeft, ChevronRight, Delete, Star, PhotoLibrary } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
-import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
-import { db } from '../firebase';
+import dayjs from 'dayjs';
+import { useSnackbar } from 'notistack';
 import { getRandomQuote } from '../data/quotes';
-import imageCompression from 'browser-image-compression';
+import { prepareReportImages, MAX_REPORT_PHOTOS } from '../services/reportImages';
+import { readPhotoMetadata } from '../services/photoMetadata';
+import { reverseGeocode } from '../services/geocoding';
+import LocationPickerMap from '../components/LocationPickerMap';
+import HazardAttributesFields from '../components/HazardAttributesFields';
+import { defaultAttributes } from '../data/hazardAttributes';
+import DuplicateReportsDialog from '../components/DuplicateReportsDialog';
+import { findNearbyReports } from '../services/nearbyReports';
+import { attachConfirmation } from '../services/confirmations';
+import { createReport, MAX_DESCRIPTION_LENGTH } from '../services/reports';
+import { queueReport, isOfflineError } from '../services/offlineQueue';
+import { loadDraft, saveDraft, clearDraft } from '../services/reportDraft';
+
+// How long to wait after the last change before saving the draft.
+const DRAFT_SAVE_DELAY_MS = 500;
 
 const ReportPage = () => {
-  const [image, setImage] = useState(null);
-  const [imageBase64, setImageBase64] = useState('');
-  const [preview, setPreview] = useState('');
+  // `photos`: The picked photos in display order (the first is the cover), each as
+  // `{ id, image, thumbnail, preview, metadata }` with the compressed files, a local preview URL
+  // and the EXIF position/capture time read from the original file.
+  const [photos, setPhotos] = useState([]);
   const [dangerLevel, setDangerLevel] = useState(5);
   const [description, setDescription] = useState('');
+  // `attributes`: Structured details of the hazard (type, size, lane, road type, water), see data/hazardAttributes.js.
+  const [attributes, setAttributes] = useState(defaultAttributes);
   const [quote, setQuote] = useState('');
   const [location, setLocation] = useState({ lat: null, lng: null, district: '', formattedAddress: '' });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [locationMethod, setLocationMethod] = useState('auto');
+  // `nearbyReports`: Existing reports close to this one, shown in the duplicate check dialog.
+  const [nearbyReports, setNearbyReports] = useState([]);
+  // `isDraftLoaded`: Becomes true once any saved draft has been restored, so it is not overwritten first.
+  const [isDraftLoaded, setIsDraftLoaded] = useState(false);
   const navigate = useNavigate();
+  const { enqueueSnackbar } = useSnackbar();
+
+  // The first photo (in display order) that carries GPS coordinates or a capture time in its EXIF data.
+  const photoWithLocation = photos.find(photo => photo.metadata.coords);
+  const photoWithTime = photos.find(photo => photo.metadata.takenAt);
+  // When the pothole was actually seen: the capture time of the photo, if known.
+  const observedAt = photoWithTime ? photoWithTime.metadata.takenAt : null;
+  const isUsingPhotoLocation = Boolean(photoWithLocation)
+    && location.lat === photoWithLocation.metadata.coords.lat
+    && location.lng === photoWithLocation.metadata.coords.lng;
 
   const handleImageChange = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+    const files = Array.from(e.target.files || []);
+    // Reset the input so picking the same file again still triggers a change.
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const remaining = MAX_REPORT_PHOTOS - photos.length;
+    if (files.length > remaining) {
+      setError(`You can add up to ${MAX_REPORT_PHOTOS} photos per report.`);
+    } else {
+      setError('');
+    }
+    if (remaining <= 0) return;
 
     setIsLoading(true);
-    setError('');
 
     try {
-      const options = {
-        maxSizeMB: 1,
-        maxWidthOrHeight: 1920,
-        useWebWorker: true,
-      };
-      
-      const compressedFile = await imageCompression(file, options);
-      
-      setImage(compressedFile);
-      setPreview(URL.createObjectURL(compressedFile));
-
-      const reader = new FileReader();
-      reader.readAsDataURL(compressedFile);
-      reader.onloadend = () => {
-        setImageBase64(reader.result);
-      };
+      // Compress each photo and build its thumbnail up front; both are uploaded on submit.
+      // EXIF metadata is read from the original file because compression strips it.
+      const prepared = await Promise.all(files.slice(0, remaining).map(async (file) => {
+        const [metadata, images] = await Promise.all([readPhotoMetadata(file), prepareReportImages(file)]);
+        return {
+          id: `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2)}`,
+          ...images,
+          preview: URL.createObjectURL(images.image),
+          metadata,
+        };
+      }));
+
+      setPhotos(prev => [...prev, ...prepared]);
     } catch (err) {
       console.error('Error compressing image:', err);
       setError('Failed to process image. Please try another one.');
@@ -77,6 +117,29 @@ const ReportPage = () => {
     }
   };
 
+  /**
+   * @description Removes a photo from the report.
+   * @param {number} index - The position of the photo to remove.
+   */
+  const handleRemovePhoto = (index) => {
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * @description Moves a photo to a new position. Position 0 makes it the cover photo.
+   * @param {number} from - The current position of the photo.
+   * @param {number} to - The new position of the photo.
+   */
+  const handleMovePhoto = (from, to) => {
+    setPhotos(prev => {
+      if (to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
   const getCurrentLocation = () => {
     if (!navigator.geolocation) {
       setError('Geolocation is not supported by your browser');
@@ -102,24 +165,22 @@ const ReportPage = () => {
     );
   };
 
+  /**
+   * @description Sets the report location to where the photo was taken, according to its EXIF GPS data.
+   */
+  const applyPhotoLocation = async () => {
+    if (!photoWithLocation) return;
+    const { lat, lng } = photoWithLocation.metadata.coords;
+    setError('');
+    setLocation(prev => ({ ...prev, lat, lng }));
+    await getDistrictName(lat, lng);
+  };
+
   const getDistrictName = async (lat, lng) => {
     setIsLoading(true);
     try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&addressdetails=1`
-      );
-      const data = await response.json();
-
-      if (data && data.address) {
-        const district = data.address.suburb || data.address.city_district || data.address.county || data.address.city || 'Unknown Location';
-        setLocation(prev => ({ 
-          ...prev, 
-          district,
-          formattedAddress: data.display_name || ''
-        }));
-      } else {
-        setLocation(prev => ({ ...prev, district: 'Unknown Location' }));
-      }
+      const { district, formattedAddress } = await reverseGeocode(lat, lng);
+      setLocation(prev => ({ ...prev, district, formattedAddress }));
     } catch (err) { 
       console.error('Error fetching district name:', err);
       setError('Could not fetch location details. Please check your connection.');
@@ -129,6 +190,37 @@ const ReportPage = () => {
     }
   };
 
+  /**
+   * @description Updates the location when the pin is moved on the picker map, then looks up its district.
+   * @param {number} lat - The new latitude.
+   * @param {number} lng - The new longitude.
+   */
+  const handleMapLocationChange = async (lat, lng) => {
+    setError('');
+    // Clear the old address so it is never shown next to the new coordinates.
+    setLocation(prev => ({ ...prev, lat, lng, formattedAddress: '' }));
+    await getDistrictName(lat, lng);
+  };
+
+  /**
+   * @description Switches between the location methods. The picker map starts at the user's
+   * GPS fix when one is available and no location has been set yet.
+   * @param {object} e - The select change event.
+   */
+  const handleLocationMethodChange = (e) => {
+    const method = e.target.value;
+    setLocationMethod(method);
+
+    if (method === 'map' && !location.lat && navigator.geolocation) {
+      navigator.geolocation.getCurrentPosition(
+        (position) => handleMapLocationChange(position.coords.latitude, position.coords.longitude),
+        // No GPS fix is fine here: the user can still search or tap the map.
+        (err) => console.warn('No GPS fix for the location picker:', err),
+        { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+      );
+    }
+  };
+
   const handleManualLocationChange = (e) => {
     const { name, value } = e.target;
     setLocation(prev => ({
@@ -137,51 +229,128 @@ const ReportPage = () => {
     }));
   };
 
+  /**
+   * @description The details shown on the success page, shared by new reports and confirmations.
+   * @param {object} [extra] - Additional state for the success page.
+   */
+  const goToSuccessPage = (extra = {}) => {
+    // The report id is also kept in the URL, so a refreshed or shared success page can still find the report.
+    navigate(extra.reportId ? `/report/success?id=${extra.reportId}` : '/report/success', { 
+      state: { 
+        dangerLevel, 
+        district: location.district, 
+        imageUrl: photos[0].preview,
+        imageUrls: photos.map(photo => photo.preview),
+        createdAt: { seconds: Math.floor(Date.now() / 1000) },
+        quote,
+        ...extra
+      }
+    });
+  };
+
+  /**
+   * @description Saves the form as a new report. Without a connection the report is queued
+   * on the device instead and uploaded automatically once the app is back online.
+   */
+  const saveNewReport = async () => {
+    setIsLoading(true);
+    setError('');
+
+    const report = {
+      photos: photos.map(({ image, thumbnail }) => ({ image, thumbnail })),
+      dangerLevel,
+      attributes,
+      description,
+      location,
+      observedAt,
+    };
+
+    try {
+      if (!navigator.onLine) {
+        await queueReport(report);
+        await clearDraft();
+        setNearbyReports([]);
+        goToSuccessPage({ queued: true });
+        return;
+      }
+
+      const reportId = await createReport(report);
+      await clearDraft();
+      setNearbyReports([]);
+      goToSuccessPage({ reportId });
+
+    } catch (err) {
+      if (isOfflineError(err)) {
+        // The connection dropped while uploading: keep the report for later instead of failing.
+        try {
+          await queueReport(report);
+          await clearDraft();
+          setNearbyReports([]);
+          goToSuccessPage({ queued: true });
+          return;
+        } catch (queueErr) {
+          console.error('Error queueing report: ', queueErr);
+        }
+      }
+      console.error('Error adding document: ', err);
+      setError('Failed to save report. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * @description Attaches the photos and rating to an existing report instead of creating a duplicate.
+   * @param {object} report - The existing report the user picked in the duplicate check dialog.
+   */
+  const handleConfirmExisting = async (report) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await attachConfirmation(report.id, { photos, dangerLevel, description, observedAt });
+      await clearDraft();
+      setNearbyReports([]);
+      goToSuccessPage({ reportId: report.id, district: report.location.district || location.district, confirmedExisting: true });
+    } catch (err) {
+      console.error('Error confirming report: ', err);
+      setNearbyReports([]);
+      setError('Failed to add your confirmation. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!image || !location.lat || !location.lng) {
-      setError('Please provide an image and set a location.');
+    if (photos.length === 0 || !location.lat || !location.lng) {
+      setError('Please provide at least one photo and set a location.');
       return;
     }
-    if (!imageBase64) {
-      setError('Image is still processing. Please wait a moment and try again.');
+    if (Math.abs(location.lat) > 90 || Math.abs(location.lng) > 180) {
+      setError('Please enter a valid latitude (-90 to 90) and longitude (-180 to 180).');
       return;
     }
 
     setIsLoading(true);
     setError('');
 
+    // Look for existing reports of the same pothole before saving a new one.
+    let nearby = [];
     try {
-      await addDoc(collection(db, 'reports'), {
-        imageBase64,
-        dangerLevel,
-        description,
-        location: {
-          lat: location.lat,
-          lng: location.lng,
-          district: location.district,
-          formattedAddress: location.formattedAddress,
-        },
-        createdAt: serverTimestamp(),
-      });
-
-      navigate('/success', { 
-        state: { 
-          dangerLevel, 
-          district: location.district, 
-          imageUrl: imageBase64, 
-          createdAt: { seconds: Math.floor(Date.now() / 1000) },
-          quote
-        }
-      });
-
+      nearby = await findNearbyReports({ lat: location.lat, lng: location.lng });
     } catch (err) {
-      console.error('Error adding document: ', err);
-      setError('Failed to save report. Please try again.');
-    } finally {
-      setIsLoading(false);
+      // A failed lookup should not block reporting; just skip the check.
+      console.warn('Duplicate check failed:', err);
+    }
+    setIsLoading(false);
+
+    if (nearby.length > 0) {
+      setNearbyReports(nearby);
+      return;
     }
+    await saveNewReport();
   };
 
   const handleDangerLevelChange = (event, newValue) => {
@@ -193,6 +362,51 @@ const ReportPage = () => {
     setQuote(getRandomQuote(dangerLevel));
   }, []);
 
+  // Restore an unsent draft (e.g. after a reload or a lost connection) when the page opens.
+  useEffect(() => {
+    let cancelled = false;
+    loadDraft().then((draft) => {
+      if (cancelled) return;
+      if (draft) {
+        setPhotos((draft.photos || []).map(photo => ({ ...photo, preview: URL.createObjectURL(photo.image) })));
+        setDangerLevel(draft.dangerLevel);
+        setQuote(getRandomQuote(draft.dangerLevel));
+        setDescription(draft.description);
+        setAttributes({ ...defaultAttributes, ...draft.attributes });
+        setLocation(draft.location);
+        setLocationMethod(draft.locationMethod);
+        enqueueSnackbar('Restored your unsent report draft.', { variant: 'info' });
+      }
+      setIsDraftLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [enqueueSnackbar]);
+
+  // Save the draft shortly after each change. Preview URLs are page-local and are rebuilt on restore.
+  useEffect(() => {
+    if (!isDraftLoaded) return undefined;
+
+    const timer = setTimeout(() => {
+      const isEmpty = photos.length === 0 && !description && !location.lat;
+      if (isEmpty) {
+        clearDraft();
+        return;
+      }
+      saveDraft({
+        photos: photos.map(({ id, image, thumbnail, metadata }) => ({ id, image, thumbnail, metadata })),
+        dangerLevel,
+        attributes,
+        description,
+        location,
+        locationMethod,
+      });
+    }, DRAFT_SAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [isDraftLoaded, photos, dangerLevel, attributes, description, location, locationMethod]);
+
   return (
     <Container maxWidth="md" sx={{ mt: 4, mb: 6 }}>
       <Typography variant="h4" component="h1" gutterBottom>
@@ -210,49 +424,76 @@ const ReportPage = () => {
           {/* Photo Upload */}
           <Box sx={{ mb: 4 }}>
             <Typography variant="h6" gutterBottom>
-              1. Take or Upload a Photo
+              1. Take or Upload Photos
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Add up to {MAX_REPORT_PHOTOS} photos, e.g. a wide shot for context and a close-up for depth.
+              The first photo is used as the cover.
             </Typography>
             <input
               accept="image/*"
               style={{ display: 'none' }}
               id="upload-button-file"
               type="file"
+              multiple
               onChange={handleImageChange}
-              disabled={isLoading}
+              disabled={isLoading || photos.length >= MAX_REPORT_PHOTOS}
             />
             <label htmlFor="upload-button-file">
               <Button 
                 variant="contained" 
                 component="span" 
                 startIcon={<PhotoCamera />} 
-                disabled={isLoading}
+                disabled={isLoading || photos.length >= MAX_REPORT_PHOTOS}
               >
-                {isLoading && !preview ? 'Processing Image...' : 'Choose Photo'}
+                {isLoading && photos.length === 0 ? 'Processing Image...' : photos.length > 0 ? 'Add More Photos' : 'Choose Photos'}
               </Button>
             </label>
-            {preview && (
-              <Box sx={{ mt: 2 }}>
-                <Card>
-                  <CardMedia
-                    component="img"
-                    height="200"
-                    image={preview}
-                    alt="Pothole preview"
-                  />
-                  <CardActions>
-                    <Button 
-                      size="small" 
-                      color="error" 
-                      onClick={() => {
-                        setPreview('');
-                        setImage(null);
-                        setImageBase64('');
-                      }}
-                    >
-                      Remove
-                    </Button>
-                  </CardActions>
-                </Card>
+            {photos.length > 0 && (
+              <Box sx={{ mt: 2, display: 'grid', gap: 2, gridTemplateColumns: { xs: 'repeat(2, 1fr)', sm: 'repeat(3, 1fr)' } }}>
+                {photos.map((photo, index) => (
+                  <Card key={photo.id} sx={{ position: 'relative' }}>
+                    <CardMedia
+                      component="img"
+                      height="140"
+                      image={photo.preview}
+                      alt={`Pothole preview ${index + 1}`}
+                    />
+                    {index === 0 && (
+                      <Chip icon={<Star />} label="Cover" size="small" color="primary" sx={{ position: 'absolute', top: 8, left: 8 }} />
+                    )}
+                    <CardActions sx={{ justifyContent: 'space-between' }}>
+                      <Box>
+                        <Tooltip title="Move left">
+                          <span>
+                            <IconButton size="small" onClick={() => handleMovePhoto(index, index - 1)} disabled={index === 0}>
+                              <ChevronLeft fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <Tooltip title="Move right">
+                          <span>
+                            <IconButton size="small" onClick={() => handleMovePhoto(index, index + 1)} disabled={index === photos.length - 1}>
+                              <ChevronRight fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        {index > 0 && (
+                          <Tooltip title="Make cover photo">
+                            <IconButton size="small" onClick={() => handleMovePhoto(index, 0)}>
+                              <Star fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </Box>
+                      <Tooltip title="Remove">
+                        <IconButton size="small" color="error" onClick={() => handleRemovePhoto(index)}>
+                          <Delete fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </CardActions>
+                  </Card>
+                ))}
               </Box>
             )}
           </Box>
@@ -263,15 +504,34 @@ const ReportPage = () => {
               2. Set Location
             </Typography>
             
+            {/* Offer the location stored in the photo, which is usually more accurate than
+                the reporter's current position when the photo was taken earlier. */}
+            {photoWithLocation && !isUsingPhotoLocation && (
+              <Alert
+                severity="info"
+                icon={<PhotoLibrary />}
+                sx={{ mb: 2 }}
+                action={
+                  <Button color="inherit" size="small" onClick={applyPhotoLocation} disabled={isLoading}>
+                    Use It
+                  </Button>
+                }
+              >
+                Your photo contains the location where it was taken
+                ({photoWithLocation.metadata.coords.lat.toFixed(5)}, {photoWithLocation.metadata.coords.lng.toFixed(5)}).
+              </Alert>
+            )}
+
             <FormControl fullWidth sx={{ mb: 2 }}>
               <InputLabel id="location-method-label">Location Method</InputLabel>
               <Select
                 labelId="location-method-label"
                 value={locationMethod}
                 label="Location Method"
-                onChange={(e) => setLocationMethod(e.target.value)}
+                onChange={handleLocationMethodChange}
               >
                 <MenuItem value="auto">Automatic</MenuItem>
+                <MenuItem value="map">Pick on Map</MenuItem>
                 <MenuItem value="manual">Manual</MenuItem>
               </Select>
             </FormControl>
@@ -286,6 +546,10 @@ const ReportPage = () => {
               >
                 {isLoading && !location.lat ? 'Getting Location...' : 'Use My Current Location'}
               </Button>
+            ) : locationMethod === 'map' ? (
+              <Box sx={{ mb: 2 }}>
+                <LocationPickerMap position={location} onChange={handleMapLocationChange} />
+              </Box>
             ) : (
               <Grid container spacing={2} sx={{ mb: 2 }}>
                 <Grid item xs={12} sm={6}>
@@ -337,9 +601,16 @@ const ReportPage = () => {
                 )}
                 <Typography variant="body2" color="text.secondary">
                   Coordinates: {location.lat?.toFixed(6)}, {location.lng?.toFixed(6)}
+                  {isUsingPhotoLocation && ' (from photo)'}
                 </Typography>
               </Box>
             )}
+
+            {observedAt && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                <strong>Photo taken:</strong> {dayjs(observedAt).format('MMM D, YYYY h:mm A')}
+              </Typography>
+            )}
           </Box>
 
           {/* Danger Level */}
@@ -382,10 +653,21 @@ const ReportPage = () => {
             </FormHelperText>
           </Box>
 
+          {/* Hazard Attributes */}
+          <Box sx={{ mb: 4 }}>
+            <Typography variant="h6" gutterBottom>
+              4. Describe the Hazard
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              These details help road crews plan the repair. Pick "Not sure" for anything you can't tell.
+            </Typography>
+            <HazardAttributesFields value={attributes} onChange={setAttributes} />
+          </Box>
+
           {/* Description */}
           <Box sx={{ mb: 4 }}>
             <Typography variant="h6" gutterBottom>
-              4. Add Details (Optional)
+              5. Add Details (Optional)
             </Typography>
             <TextField
               fullWidth
@@ -396,6 +678,8 @@ const ReportPage = () => {
               value={description}
               onChange={(e) => setDescription(e.target.value)}
               variant="outlined"
+              slotProps={{ htmlInput: { maxLength: MAX_DESCRIPTION_LENGTH } }}
+              helperText={description.length > MAX_DESCRIPTION_LENGTH - 100 ? `${description.length}/${MAX_DESCRIPTION_LENGTH}` : ''}
             />
           </Box>
 
@@ -406,13 +690,22 @@ const ReportPage = () => {
               variant="contained"
               size="large"
               startIcon={isLoading ? <CircularProgress size={24} /> : <Save />}
-              disabled={isLoading || !image || !location.lat || !location.lng}
+              disabled={isLoading || photos.length === 0 || !location.lat || !location.lng}
             >
               {isLoading ? 'Submitting...' : 'Submit Report'}
             </Button>
           </Box>
         </form>
       </Paper>
+
+      <DuplicateReportsDialog
+        open={nearbyReports.length > 0}
+        reports={nearbyReports}
+        onConfirm={handleConfirmExisting}
+        onProceed={saveNewReport}
+        onClose={() => setNearbyReports([])}
+        isSubmitting={isLoading}
+      />
     </Container>
   );
 };
@@ -1,17 +1,25 @@
 /**
  * @file ReportSuccess.js
  * @description This page is displayed after a user successfully submits a pothole report.
- * It shows a confirmation message, details of the report, and provides options to share.
+ * It shows a confirmation message, details of the report, any achievement badges the report earned,
+ * and provides options to share.
+ * Shared links point to the report's permalink (`/reports/:id`); opening the success page without
+ * its router state (e.g. after sharing its URL) redirects there.
  */
 
-import React, { useState } from 'react';
-import { useLocation, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useLocation, useNavigate, useSearchParams, Navigate } from 'react-router-dom';
 import { 
   Container, Typography, Paper, Box, Button, Card, CardMedia, 
   CardContent, IconButton, Divider
 } from '@mui/material';
-import { Share, Home, Map as MapIcon, Twitter, Facebook, WhatsApp, Image } from '@mui/icons-material';
+import { Share, Home, Map as MapIcon, Twitter, Facebook, WhatsApp, Image, Article } from '@mui/icons-material';
 import ShareCard from '../components/ShareCard';
+import BadgeList from '../components/BadgeList';
+import useAuthUser from '../hooks/useAuthUser';
+import { getReportsByUser } from '../services/reports';
+import { getReportPath, getReportUrl } from '../utils/reportUrl';
+import { getEarnedBadges, getNewBadges } from '../utils/achievements';
 import { styled } from '@mui/material/styles';
 
 // --- Styled Components for Visual Flair ---
@@ -68,12 +76,38 @@ const ReportSuccess = () => {
   const [isShareCardOpen, setShareCardOpen] = useState(false); // Manages the visibility of the ShareCard modal.
   const location = useLocation(); // Hook to access the state passed from the previous page (ReportPage).
   const navigate = useNavigate(); // Hook for programmatic navigation.
+  const [searchParams] = useSearchParams();
+  const user = useAuthUser();
+  // `earnedBadges`: All of the user's badges, to choose from for the share card.
+  const [earnedBadges, setEarnedBadges] = useState([]);
+  // `newBadges`: The badges this report earned.
+  const [newBadges, setNewBadges] = useState([]);
 
   // Destructure the report details from the location state, providing default values as a fallback.
-  const { dangerLevel = 5, district = 'Unknown Location', imageUrl, createdAt, quote } = location.state || {};
+  // `confirmedExisting` is set when the user added their photo to an existing report instead of creating a new one,
+  // and `queued` when the report was saved on the device because there was no connection.
+  const { dangerLevel = 5, district = 'Unknown Location', imageUrl, imageUrls = [], createdAt, quote, confirmedExisting = false, queued = false } = location.state || {};
+  // The saved report, if any (queued reports do not have an id yet). It is also in the URL for refreshed or shared pages.
+  const reportId = location.state?.reportId || searchParams.get('id');
+  // The link to share: the report's permalink, or the app itself for queued reports.
+  const shareUrl = reportId ? getReportUrl(reportId) : window.location.origin;
   
   // Use the quote passed from the report page, or a default message if none is provided.
   const caption = quote || 'Thanks for your report!';
+
+  // Work out the badges once the new report is saved. Queued reports earn theirs when they upload,
+  // and confirming someone else's report does not count towards them.
+  const isNewReport = Boolean(location.state?.reportId) && !confirmedExisting;
+  const uid = user?.uid;
+  useEffect(() => {
+    if (!isNewReport || !uid) return;
+    getReportsByUser(uid)
+      .then((reports) => {
+        setEarnedBadges(getEarnedBadges(reports));
+        setNewBadges(getNewBadges(reports, reportId));
+      })
+      .catch(err => console.error('Error fetching badges:', err));
+  }, [isNewReport, uid, reportId]);
   
   /**
    * @description Handles the native share functionality using the Web Share API.
@@ -82,7 +116,7 @@ const ReportSuccess = () => {
     const shareData = {
       title: 'I just reported a dangerous pothole!',
       text: `I found a level ${dangerLevel} pothole in ${district}. ${caption} #PotholePatrol #RoadSafety`,
-      url: window.location.href, // URL of the success page.
+      url: shareUrl,
     };
 
     try {
@@ -99,12 +133,34 @@ const ReportSuccess = () => {
     }
   };
 
+  // Without the router state there is nothing to show here, so go to the report itself.
+  if (!location.state) {
+    return <Navigate to={reportId ? getReportPath(reportId) : '/'} replace />;
+  }
+
   return (
     <Container maxWidth="md" sx={{ mt: 4, mb: 6 }}>
       <SuccessContainer elevation={3}>
-        <Typography variant="h4" component="h1" gutterBottom>🎉 Report Submitted! 🎉</Typography>
-        <Typography variant="h6" color="text.secondary" paragraph>Thank you for helping make our roads safer!</Typography>
+        <Typography variant="h4" component="h1" gutterBottom>
+          {queued ? '📶 Report Saved Offline' : confirmedExisting ? '👍 Pothole Confirmed! 👍' : '🎉 Report Submitted! 🎉'}
+        </Typography>
+        <Typography variant="h6" color="text.secondary" paragraph>
+          {queued
+            ? "You're offline right now. Your report is saved on this device and will upload automatically when you're back online."
+            : confirmedExisting
+              ? 'Your photo and rating were added to the existing report. Thanks for backing it up!'
+              : 'Thank you for helping make our roads safer!'}
+        </Typography>
         
+        {newBadges.length > 0 && (
+          <Box sx={{ my: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              {newBadges.length === 1 ? '🏅 New badge unlocked!' : `🏅 ${newBadges.length} new badges unlocked!`}
+            </Typography>
+            <BadgeList badges={newBadges} />
+          </Box>
+        )}
+
         {/* A card displaying the key details of the submitted report */}
         <Card sx={{ maxWidth: 400, margin: '20px auto' }}>
           {imageUrl && <CardMedia component="img" height="200" image={imageUrl} alt="Reported pothole" />}
@@ -128,8 +184,8 @@ const ReportSuccess = () => {
             <Box sx={{ mt: 2, display: 'flex', justifyContent: 'center', gap: 1 }}>
               <IconButton color="primary" onClick={handleShare} aria-label="Share"><Share /></IconButton>
               <IconButton color="primary" onClick={() => window.open(`https://twitter.com/intent/tweet?text=${encodeURIComponent(`I found a level ${dangerLevel} pothole in ${district}! ${caption} #PotholePatrol`)}`)} aria-label="Share on Twitter"><Twitter /></IconButton>
-              <IconButton color="primary" onClick={() => window.open(`https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(window.location.href)}`)} aria-label="Share on Facebook"><Facebook /></IconButton>
-              <IconButton color="primary" onClick={() => window.open(`https://wa.me/?text=${encodeURIComponent(`Check out this pothole I found in ${district} (Danger: ${dangerLevel}/10): ${window.location.href}`)}`)} aria-label="Share on WhatsApp"><WhatsApp /></IconButton>
+              <IconButton color="primary" onClick={() => window.open(`https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(shareUrl)}`)} aria-label="Share on Facebook"><Facebook /></IconButton>
+              <IconButton color="primary" onClick={() => window.open(`https://wa.me/?text=${encodeURIComponent(`Check out this pothole I found in ${district} (Danger: ${dangerLevel}/10): ${shareUrl}`)}`)} aria-label="Share on WhatsApp"><WhatsApp /></IconButton>
             </Box>
           </CardContent>
         </Card>
@@ -138,7 +194,11 @@ const ReportSuccess = () => {
         <Box sx={{ mt: 4, display: 'flex', gap: 2, justifyContent: 'center', flexWrap: 'wrap' }}>
           <Button variant="contained" startIcon={<Image />} onClick={() => setShareCardOpen(true)}>Generate Share Card</Button>
           <Button variant="outlined" startIcon={<Home />} onClick={() => navigate('/')}>Back to Home</Button>
-          <Button variant="outlined" startIcon={<MapIcon />} onClick={() => navigate('/map')}>View on Map</Button>
+          {reportId ? (
+            <Button variant="outlined" startIcon={<Article />} onClick={() => navigate(getReportPath(reportId))}>View Report</Button>
+          ) : (
+            <Button variant="outlined" startIcon={<MapIcon />} onClick={() => navigate('/map')}>View on Map</Button>
+          )}
         </Box>
       </SuccessContainer>
 
@@ -149,12 +209,16 @@ const ReportSuccess = () => {
           onClose={() => setShareCardOpen(false)} 
           report={{
             imageUrl,
+            imageUrls,
             dangerLevel,
-            district,
+            location: { district },
             // Ensure createdAt is a valid Date object for formatting.
             createdAt: createdAt?.seconds ? createdAt.seconds * 1000 : new Date(),
             caption,
+            url: shareUrl,
           }}
+          badges={earnedBadges}
+          initialBadgeId={newBadges[0]?.id}
         />
       )}
 
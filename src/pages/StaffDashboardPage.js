@@ -0,0 +1,297 @@
+/**
+ * @file StaffDashboardPage.js
+ * @description The dashboard at `/dashboard` for municipal staff (users with the staff role). It shows the open
+ * reports in the staff member's jurisdiction as a sortable table, and lets them change the status of the
+ * selected reports, assign them to a crew or contractor, and keep internal notes the public does not see.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
+import {
+  Container, Typography, Box, Paper, Button, CircularProgress, Table, TableHead, TableBody, TableRow, TableCell,
+  TableContainer, TableSortLabel, Checkbox, IconButton, Tooltip, Toolbar, FormControl, InputLabel, Select, MenuItem,
+  TextField, Autocomplete, Chip, Link
+} from '@mui/material';
+import { StickyNote2 as StickyNoteIcon } from '@mui/icons-material';
+import dayjs from 'dayjs';
+import { useSnackbar } from 'notistack';
+import StatusChip from '../components/StatusChip';
+import InternalNotesDialog from '../components/InternalNotesDialog';
+import useUserRoles from '../hooks/useUserRoles';
+import { getStaffReports, bulkUpdateStatus, assignReports } from '../services/staff';
+import { reportStatuses, getReportStatus } from '../data/reportStatuses';
+import { STAFF } from '../data/userRoles';
+import { getDangerLevel, formatDangerLevel } from '../utils/dangerRating';
+import { getReportPath } from '../utils/reportUrl';
+
+// The table columns and the value each one sorts by.
+const columns = [
+  { id: 'district', label: 'District', getValue: report => report.location.district || '' },
+  { id: 'status', label: 'Status', getValue: report => reportStatuses.indexOf(getReportStatus(report)) },
+  { id: 'danger', label: 'Danger', getValue: getDangerLevel, numeric: true },
+  { id: 'confirmations', label: 'Still there', getValue: report => report.confirmationCount || 0, numeric: true },
+  { id: 'createdAt', label: 'Reported', getValue: report => report.createdAt?.seconds || 0 },
+  { id: 'assignedTo', label: 'Assigned to', getValue: report => report.assignedTo || '' },
+];
+
+const StaffDashboardPage = () => {
+  const navigate = useNavigate();
+  const { roles, jurisdiction, loading: rolesLoading } = useUserRoles();
+  const isStaff = roles.includes(STAFF);
+  // `reports`: The open reports in the jurisdiction.
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // `sortBy` and `sortDirection`: The column the table is sorted by. Most dangerous first by default.
+  const [sortBy, setSortBy] = useState('danger');
+  const [sortDirection, setSortDirection] = useState('desc');
+  // `selectedIds`: The reports ticked for a bulk action.
+  const [selectedIds, setSelectedIds] = useState([]);
+  // `newStatus`, `statusNote` and `assignee`: The bulk action being prepared.
+  const [newStatus, setNewStatus] = useState('');
+  const [statusNote, setStatusNote] = useState('');
+  const [assignee, setAssignee] = useState('');
+  const [saving, setSaving] = useState(false);
+  // `notesReport`: The report whose internal notes are open.
+  const [notesReport, setNotesReport] = useState(null);
+  const { enqueueSnackbar } = useSnackbar();
+  // The jurisdiction as a stable dependency for the effect below.
+  const jurisdictionKey = jurisdiction.join('|');
+
+  useEffect(() => {
+    if (!isStaff) return;
+    const fetchReports = async () => {
+      try {
+        setLoading(true);
+        setReports(await getStaffReports(jurisdictionKey ? jurisdictionKey.split('|') : []));
+        setSelectedIds([]);
+        setError('');
+      } catch (err) {
+        console.error('Error fetching staff reports:', err);
+        setError('Failed to load the reports. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReports();
+  }, [isStaff, jurisdictionKey]);
+
+  const sortedReports = useMemo(() => {
+    const { getValue } = columns.find(column => column.id === sortBy);
+    const direction = sortDirection === 'asc' ? 1 : -1;
+    return [...reports].sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      if (typeof valueA === 'string') return valueA.localeCompare(valueB) * direction;
+      return (valueA - valueB) * direction;
+    });
+  }, [reports, sortBy, sortDirection]);
+
+  // Crews and contractors already in use, offered when assigning.
+  const knownAssignees = useMemo(
+    () => [...new Set(reports.map(report => report.assignedTo).filter(Boolean))].sort(),
+    [reports]
+  );
+
+  const selectedReports = reports.filter(report => selectedIds.includes(report.id));
+
+  /**
+   * @description Sorts by a column, or flips the direction when it is already sorted by it.
+   * @param {string} columnId - The column.
+   */
+  const handleSort = (columnId) => {
+    if (sortBy === columnId) {
+      setSortDirection(prev => (prev === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortBy(columnId);
+      setSortDirection('asc');
+    }
+  };
+
+  /**
+   * @description Ticks or unticks a report.
+   * @param {string} reportId - The report.
+   */
+  const toggleSelected = (reportId) => {
+    setSelectedIds(prev => (prev.includes(reportId) ? prev.filter(id => id !== reportId) : [...prev, reportId]));
+  };
+
+  const handleStatusUpdate = async () => {
+    setSaving(true);
+    try {
+      await bulkUpdateStatus(selectedReports, newStatus, statusNote.trim());
+      // Reports that are no longer open leave the backlog.
+      setReports(prev => prev
+        .map(report => (selectedIds.includes(report.id) ? { ...report, status: newStatus } : report))
+        .filter(report => getReportStatus(report).isOpen));
+      enqueueSnackbar(`Updated ${selectedIds.length} ${selectedIds.length === 1 ? 'report' : 'reports'}.`, { variant: 'success' });
+      setSelectedIds([]);
+      setNewStatus('');
+      setStatusNote('');
+    } catch (err) {
+      console.error('Error updating report statuses:', err);
+      enqueueSnackbar('Failed to update the status. Please try again.', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAssign = async () => {
+    setSaving(true);
+    try {
+      const changes = await assignReports(selectedReports, assignee);
+      setReports(prev => prev.map(report => (selectedIds.includes(report.id) ? { ...report, ...changes } : report)));
+      enqueueSnackbar(changes.assignedTo ? `Assigned to ${changes.assignedTo}.` : 'Assignment cleared.', { variant: 'success' });
+      setSelectedIds([]);
+      setAssignee('');
+    } catch (err) {
+      console.error('Error assigning reports:', err);
+      enqueueSnackbar('Failed to assign the reports. Please try again.', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (rolesLoading) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', p: 6 }}><CircularProgress /></Box>;
+  }
+
+  if (!isStaff) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>Staff only</Typography>
+        <Typography color="text.secondary" paragraph>This dashboard is for municipal staff. Ask an administrator for access.</Typography>
+        <Button variant="outlined" onClick={() => navigate('/')}>Back to Home</Button>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 6 }}>
+      <Typography variant="h4" component="h1" gutterBottom>Staff Dashboard</Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 3 }}>
+        <Typography variant="subtitle1" color="text.secondary">
+          {reports.length} open {reports.length === 1 ? 'report' : 'reports'} in
+        </Typography>
+        {jurisdiction.length > 0
+          ? jurisdiction.map(district => <Chip key={district} label={district} size="small" />)
+          : <Chip label="All districts" size="small" />}
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}><CircularProgress /></Box>
+      ) : error ? (
+        <Typography color="error" sx={{ textAlign: 'center' }}>{error}</Typography>
+      ) : (
+        <Paper elevation={2}>
+          {/* Bulk actions for the ticked reports. */}
+          <Toolbar sx={{ gap: 2, flexWrap: 'wrap', py: 1.5, bgcolor: selectedIds.length > 0 ? 'action.selected' : undefined }}>
+            <Typography sx={{ flexGrow: 1 }} variant="subtitle2">
+              {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Tick reports to update them together'}
+            </Typography>
+            <FormControl size="small" sx={{ minWidth: 170 }} disabled={selectedIds.length === 0}>
+              <InputLabel>New status</InputLabel>
+              <Select value={newStatus} label="New status" onChange={(e) => setNewStatus(e.target.value)}>
+                {reportStatuses.map(status => (
+                  <MenuItem key={status.value} value={status.value}>{status.emoji} {status.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              size="small"
+              label="Public note (optional)"
+              value={statusNote}
+              onChange={(e) => setStatusNote(e.target.value)}
+              disabled={selectedIds.length === 0}
+              slotProps={{ htmlInput: { maxLength: 500 } }}
+            />
+            <Button variant="contained" onClick={handleStatusUpdate} disabled={saving || selectedIds.length === 0 || !newStatus}>
+              Update status
+            </Button>
+            <Autocomplete
+              freeSolo
+              size="small"
+              options={knownAssignees}
+              inputValue={assignee}
+              onInputChange={(e, value) => setAssignee(value)}
+              disabled={selectedIds.length === 0}
+              sx={{ minWidth: 200 }}
+              renderInput={(params) => <TextField {...params} label="Crew or contractor" />}
+            />
+            <Button variant="outlined" onClick={handleAssign} disabled={saving || selectedIds.length === 0}>
+              {assignee.trim() ? 'Assign' : 'Unassign'}
+            </Button>
+          </Toolbar>
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      indeterminate={selectedIds.length > 0 && selectedIds.length < reports.length}
+                      checked={reports.length > 0 && selectedIds.length === reports.length}
+                      onChange={(e) => setSelectedIds(e.target.checked ? reports.map(report => report.id) : [])}
+                    />
+                  </TableCell>
+                  {columns.map(column => (
+                    <TableCell key={column.id} align={column.numeric ? 'right' : 'left'} sortDirection={sortBy === column.id ? sortDirection : false}>
+                      <TableSortLabel
+                        active={sortBy === column.id}
+                        direction={sortBy === column.id ? sortDirection : 'asc'}
+                        onClick={() => handleSort(column.id)}
+                      >
+                        {column.label}
+                      </TableSortLabel>
+                    </TableCell>
+                  ))}
+                  <TableCell align="right">Notes</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sortedReports.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={columns.length + 2} align="center" sx={{ py: 4, color: 'text.secondary' }}>
+                      No open reports. 🎉
+                    </TableCell>
+                  </TableRow>
+                ) : sortedReports.map(report => (
+                  <TableRow key={report.id} hover selected={selectedIds.includes(report.id)}>
+                    <TableCell padding="checkbox">
+                      <Checkbox checked={selectedIds.includes(report.id)} onChange={() => toggleSelected(report.id)} />
+                    </TableCell>
+                    <TableCell>
+                      <Link component={RouterLink} to={getReportPath(report.id)}>{report.location.district || 'Unknown Location'}</Link>
+                      {report.location.formattedAddress && (
+                        <Typography variant="caption" color="text.secondary" display="block" noWrap sx={{ maxWidth: 260 }}>
+                          {report.location.formattedAddress}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell><StatusChip report={report} /></TableCell>
+                    <TableCell align="right">{formatDangerLevel(getDangerLevel(report))}</TableCell>
+                    <TableCell align="right">{report.confirmationCount || 0}</TableCell>
+                    <TableCell>{report.createdAt?.seconds ? dayjs(report.createdAt.seconds * 1000).format('MMM D, YYYY') : '-'}</TableCell>
+                    <TableCell>{report.assignedTo || <Typography variant="body2" color="text.secondary">Unassigned</Typography>}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Internal notes">
+                        <IconButton size="small" onClick={() => setNotesReport(report)}>
+                          <StickyNoteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      <InternalNotesDialog report={notesReport} onClose={() => setNotesReport(null)} />
+    </Container>
+  );
+};
+
+export default StaffDashboardPage;
@@ -0,0 +1,69 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * @file service-worker.js
+ * @description The app's service worker, built by react-scripts with Workbox.
+ * It precaches the app shell so the app opens offline, and caches map tiles and
+ * report photos at runtime so recently viewed areas still show something without a connection.
+ * Report submissions made offline are not handled here: they are queued in IndexedDB
+ * by src/services/offlineQueue.js and synced from the page when the connection returns.
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Precache all assets generated by the build. `self.__WB_MANIFEST` is injected at build time.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for all navigation requests so client-side routes work offline.
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    // Let the browser handle internal URLs like /__/auth/ and direct file requests.
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// OpenStreetMap tiles: keep recently viewed tiles around, but not forever. The maps request them with CORS
+// (`crossOrigin` on every TileLayer), so only successful responses are cached, never opaque ones, whose size
+// the browser can't see and counts as several megabytes each against the storage quota.
+registerRoute(
+  ({ url }) => url.hostname.endsWith('tile.openstreetmap.org'),
+  new StaleWhileRevalidate({
+    cacheName: 'map-tiles',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 500, maxAgeSeconds: 7 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Report photos from Cloud Storage never change once uploaded, so cache them first. Images load without CORS,
+// so opaque responses are cached too; the cache is cleared first if it ever runs over the quota.
+registerRoute(
+  ({ url }) => url.hostname === 'firebasestorage.googleapis.com',
+  new CacheFirst({
+    cacheName: 'report-photos',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 300, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// Lets the page activate a freshly installed service worker right away.
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,100 @@
+/**
+ * @file serviceWorkerRegistration.js
+ * @description Registers the service worker in production builds, which makes the app
+ * installable and lets it open without a connection. Based on the Create React App PWA template.
+ */
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    // [::1] is the IPv6 localhost address.
+    window.location.hostname === '[::1]' ||
+    // 127.0.0.0/8 are considered localhost for IPv4.
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+/**
+ * @description Registers the service worker and reports update/offline-ready events.
+ * @param {string} swUrl - The URL of the built service worker.
+ * @param {{onSuccess?: Function, onUpdate?: Function}} [config]
+ */
+const registerValidSW = (swUrl, config) => {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) return;
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) {
+            // New content is available and will be used when all tabs for this page are closed.
+            console.log('New content is available and will be used when all tabs for this page are closed.');
+            if (config && config.onUpdate) config.onUpdate(registration);
+          } else {
+            // Everything has been precached; the app now works offline.
+            console.log('Content is cached for offline use.');
+            if (config && config.onSuccess) config.onSuccess(registration);
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      console.error('Error during service worker registration:', error);
+    });
+};
+
+/**
+ * @description On localhost, checks that a service worker still exists at the URL
+ * before registering it, and reloads the page if it does not (e.g. a different app now runs there).
+ * @param {string} swUrl - The URL of the built service worker.
+ * @param {{onSuccess?: Function, onUpdate?: Function}} [config]
+ */
+const checkValidServiceWorker = (swUrl, config) => {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then((response) => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType != null && contentType.indexOf('javascript') === -1)) {
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => {
+            window.location.reload();
+          });
+        });
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      console.log('No internet connection found. App is running in offline mode.');
+    });
+};
+
+/**
+ * @description Registers the service worker. It is only active in production builds.
+ * @param {{onSuccess?: Function, onUpdate?: Function}} [config]
+ */
+export const register = (config) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The service worker won't work if PUBLIC_URL is on a different origin from the page.
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+};
+
+/**
+ * @description Removes the service worker, e.g. to opt out of offline support.
+ */
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((error) => console.error(error.message));
+};
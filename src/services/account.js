@@ -0,0 +1,105 @@
+/**
+ * @file account.js
+ * @description Optional permanent sign-in. Everyone starts as an anonymous user (see App.js); signing in with
+ * Google or an email link links that credential to the anonymous account, so the uid and with it the user's
+ * reports, ratings and confirmations carry over. If the Google account or email already belongs to another
+ * user, that account is signed in instead and the guest contributions stay with the guest account.
+ */
+
+import {
+  GoogleAuthProvider, EmailAuthProvider, linkWithPopup, linkWithCredential, signInWithCredential,
+  sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink, signOut
+} from 'firebase/auth';
+import { auth } from '../firebase';
+import { saveUserProfile } from './users';
+
+// Where the email address is kept between sending the link and opening it (on the same device).
+const EMAIL_STORAGE_KEY = 'emailForSignIn';
+
+// Firebase errors that mean the credential belongs to another account already.
+const ACCOUNT_EXISTS_ERRORS = ['auth/credential-already-in-use', 'auth/email-already-in-use'];
+
+/**
+ * @description Tells whether a user has signed in permanently rather than as an anonymous guest.
+ * @param {import('firebase/auth').User|null} user - The user.
+ * @returns {boolean}
+ */
+export const isPermanentUser = (user) => Boolean(user && !user.isAnonymous);
+
+/**
+ * @description Signs in with a Google account in a popup, keeping the guest's contributions.
+ * @returns {Promise<{user: import('firebase/auth').User, linked: boolean}>} The user, and whether the guest account was kept
+ * (false when the Google account was already in use and was signed in instead).
+ */
+export const signInWithGoogle = async () => {
+  const provider = new GoogleAuthProvider();
+  try {
+    const result = await linkWithPopup(auth.currentUser, provider);
+    // The uid stays the same, so App.js does not see a new sign-in; pick up the Google name here.
+    await saveUserProfile(result.user);
+    return { user: result.user, linked: true };
+  } catch (err) {
+    if (!ACCOUNT_EXISTS_ERRORS.includes(err.code)) throw err;
+    const result = await signInWithCredential(auth, GoogleAuthProvider.credentialFromError(err));
+    return { user: result.user, linked: false };
+  }
+};
+
+/**
+ * @description Emails a sign-in link. Opening it on this device completes the sign-in (see completeEmailSignIn).
+ * @param {string} email - The user's email address.
+ */
+export const sendEmailSignInLink = async (email) => {
+  await sendSignInLinkToEmail(auth, email, {
+    // Back to the current page, without any query left from an earlier link.
+    url: `${window.location.origin}${window.location.pathname}`,
+    handleCodeInApp: true,
+  });
+  window.localStorage.setItem(EMAIL_STORAGE_KEY, email);
+};
+
+/**
+ * @description Tells whether the page was opened from a sign-in email.
+ * @returns {boolean}
+ */
+export const isEmailSignInLink = () => isSignInWithEmailLink(auth, window.location.href);
+
+/**
+ * @description Returns the email address the sign-in link was sent to from this device, if any.
+ * @returns {string|null}
+ */
+export const getPendingEmail = () => window.localStorage.getItem(EMAIL_STORAGE_KEY);
+
+/**
+ * @description Finishes signing in from an email link, linking it to the guest account when there is one.
+ * @param {string} email - The address the link was sent to.
+ * @returns {Promise<{user: import('firebase/auth').User, linked: boolean}>} The user, and whether the guest account was kept.
+ */
+export const completeEmailSignIn = async (email) => {
+  const link = window.location.href;
+  // Wait for the stored session, so the link goes to the guest account rather than a new one.
+  await auth.authStateReady();
+
+  let outcome;
+  if (auth.currentUser?.isAnonymous) {
+    try {
+      const result = await linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, link));
+      await saveUserProfile(result.user);
+      outcome = { user: result.user, linked: true };
+    } catch (err) {
+      if (!ACCOUNT_EXISTS_ERRORS.includes(err.code)) throw err;
+    }
+  }
+  if (!outcome) {
+    const result = await signInWithEmailLink(auth, email, link);
+    outcome = { user: result.user, linked: false };
+  }
+
+  window.localStorage.removeItem(EMAIL_STORAGE_KEY);
+  return outcome;
+};
+
+/**
+ * @description Signs out. App.js then starts a new anonymous session.
+ */
+export const signOutUser = () => signOut(auth);
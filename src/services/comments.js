@@ -0,0 +1,54 @@
+/**
+ * @file comments.js
+ * @description Discussion threads on reports, for context added after submission
+ * ("water-logged after rain", "PWD crew was here today"). Comments live in the `comments`
+ * subcollection of a report and can only be deleted by their author.
+ */
+
+import {
+  collection, doc, addDoc, deleteDoc, getDocs, query, orderBy, serverTimestamp
+} from 'firebase/firestore';
+import { db, auth, collections } from '../firebase';
+import { getDisplayName } from '../utils/displayName';
+
+export const COMMENTS = 'comments';
+
+// Longer comments are rejected by the security rules too.
+export const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * @description Loads a report's comments, oldest first.
+ * @param {string} reportId - The report.
+ * @returns {Promise<Array<object>>} The comments with their ids.
+ */
+export const getComments = async (reportId) => {
+  const q = query(collection(db, collections.REPORTS, reportId, COMMENTS), orderBy('createdAt', 'asc'));
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map(comment => ({ id: comment.id, ...comment.data() }));
+};
+
+/**
+ * @description Adds a comment by the signed-in user.
+ * @param {string} reportId - The report.
+ * @param {string} text - The comment.
+ */
+export const addComment = async (reportId, text) => {
+  const user = auth.currentUser;
+  if (!user) throw new Error('You need to be signed in to comment.');
+
+  await addDoc(collection(db, collections.REPORTS, reportId, COMMENTS), {
+    uid: user.uid,
+    authorName: getDisplayName(user),
+    text: text.trim().slice(0, MAX_COMMENT_LENGTH),
+    createdAt: serverTimestamp(),
+  });
+};
+
+/**
+ * @description Deletes one of the signed-in user's own comments.
+ * @param {string} reportId - The report.
+ * @param {string} commentId - The comment.
+ */
+export const deleteComment = async (reportId, commentId) => {
+  await deleteDoc(doc(db, collections.REPORTS, reportId, COMMENTS, commentId));
+};
@@ -0,0 +1,156 @@
+/**
+ * @file confirmations.js
+ * @description Confirmations are other users' sightings of an already reported pothole:
+ * either it is still there, or it has been fixed. They live in the `confirmations`
+ * subcollection of a report, one document per user (keyed by uid), and the report keeps
+ * a `confirmationCount` ("still there"), a `fixedVoteCount` ("fixed now") and `lastConfirmedAt`.
+ */
+
+import {
+  doc, getDoc, getDocs, collectionGroup, runTransaction, serverTimestamp, Timestamp
+} from 'firebase/firestore';
+import { db, auth, collections } from '../firebase';
+import { uploadConfirmationImages } from './reportImages';
+import { addStatusChange } from './reportStatus';
+import { rateReport } from './ratings';
+import { isReportOpen } from '../data/reportStatuses';
+
+export const CONFIRMATIONS = 'confirmations';
+
+export const STILL_THERE = 'still-there';
+export const FIXED_NOW = 'fixed';
+
+// An open report moves to "pending-fixed" once this many users say it has been fixed. Override with
+// REACT_APP_FIXED_VOTES_FOR_PENDING in the environment (.env.local) if needed.
+export const FIXED_VOTES_FOR_PENDING = Number(process.env.REACT_APP_FIXED_VOTES_FOR_PENDING) || 3;
+
+/**
+ * @description Returns the signed-in user, or throws if there is none.
+ * @returns {import('firebase/auth').User}
+ */
+const requireUser = () => {
+  const user = auth.currentUser;
+  if (!user) throw new Error('You need to be signed in to confirm a report.');
+  return user;
+};
+
+/**
+ * @description Saves a user's confirmation inside a transaction and updates the report's counters.
+ * Each user counts once: voting again replaces their earlier confirmation and only moves
+ * their vote between "still there" and "fixed now".
+ * @param {import('firebase/firestore').Transaction} transaction - The running transaction.
+ * @param {import('firebase/firestore').DocumentReference} reportRef - The report.
+ * @param {object} confirmation - The confirmation document, including its `status`.
+ * @returns {Promise<object>} The report fields that changed.
+ */
+const saveConfirmation = async (transaction, reportRef, confirmation) => {
+  const confirmationRef = doc(reportRef, CONFIRMATIONS, confirmation.uid);
+  const [reportSnap, existing] = await Promise.all([transaction.get(reportRef), transaction.get(confirmationRef)]);
+  if (!reportSnap.exists()) throw new Error('This report no longer exists.');
+  const report = reportSnap.data();
+
+  const counts = {
+    [STILL_THERE]: report.confirmationCount || 0,
+    [FIXED_NOW]: report.fixedVoteCount || 0,
+  };
+  if (existing.exists()) {
+    counts[existing.data().status] = Math.max(0, counts[existing.data().status] - 1);
+  }
+  counts[confirmation.status] += 1;
+
+  // Merged so a quick vote keeps the photos of an earlier confirmation.
+  transaction.set(confirmationRef, confirmation, { merge: true });
+  transaction.update(reportRef, {
+    confirmationCount: counts[STILL_THERE],
+    fixedVoteCount: counts[FIXED_NOW],
+    lastConfirmedAt: serverTimestamp(),
+  });
+  // The local copy of the changes uses the client time, as the server time is only known after the write.
+  const changes = {
+    confirmationCount: counts[STILL_THERE],
+    fixedVoteCount: counts[FIXED_NOW],
+    lastConfirmedAt: Timestamp.now(),
+  };
+
+  // Enough people say it has been fixed: ask for the repair to be checked.
+  if (counts[FIXED_NOW] >= FIXED_VOTES_FOR_PENDING && isReportOpen(report) && report.status !== 'pending-fixed') {
+    addStatusChange(transaction, reportRef, 'pending-fixed', {
+      previousStatus: report.status || null,
+      note: `${counts[FIXED_NOW]} people said it has been fixed`,
+    });
+    changes.status = 'pending-fixed';
+  }
+  return changes;
+};
+
+/**
+ * @description Attaches a user's photos and danger rating to an existing report instead of
+ * creating a duplicate. Confirming the same report again replaces the earlier confirmation.
+ * The danger rating also counts towards the report's average (see services/ratings.js).
+ * @param {string} reportId - The existing report.
+ * @param {object} details - What the user submitted.
+ * @param {Array<{image: Blob, thumbnail: Blob}>} details.photos - The prepared photos.
+ * @param {number} details.dangerLevel - The user's danger rating (1-10).
+ * @param {string} [details.description] - Optional extra details.
+ * @param {Date|null} [details.observedAt] - When the photo was taken, if known.
+ */
+export const attachConfirmation = async (reportId, { photos, dangerLevel, description = '', observedAt = null }) => {
+  const user = requireUser();
+  const reportRef = doc(db, collections.REPORTS, reportId);
+  const uploadedPhotos = await uploadConfirmationImages(reportId, user.uid, photos);
+
+  await runTransaction(db, (transaction) => saveConfirmation(transaction, reportRef, {
+    uid: user.uid,
+    status: STILL_THERE,
+    photos: uploadedPhotos,
+    dangerLevel,
+    description,
+    observedAt: observedAt ? Timestamp.fromDate(observedAt) : serverTimestamp(),
+    createdAt: serverTimestamp(),
+  }));
+  await rateReport(reportId, dangerLevel);
+};
+
+/**
+ * @description Records a quick "still there" or "fixed now" vote from the map or list.
+ * @param {string} reportId - The report.
+ * @param {string} status - STILL_THERE or FIXED_NOW.
+ * @returns {Promise<object>} The report fields that changed (counters, and `status` if it moved to pending-fixed).
+ */
+export const confirmReport = async (reportId, status) => {
+  const user = requireUser();
+  const reportRef = doc(db, collections.REPORTS, reportId);
+
+  return runTransaction(db, (transaction) => saveConfirmation(transaction, reportRef, {
+    uid: user.uid,
+    status,
+    observedAt: serverTimestamp(),
+    createdAt: serverTimestamp(),
+  }));
+};
+
+/**
+ * @description Loads the signed-in user's own confirmation of a report, if any.
+ * @param {string} reportId - The report.
+ * @returns {Promise<object|null>} The confirmation document data, or null.
+ */
+export const getMyConfirmation = async (reportId) => {
+  const user = auth.currentUser;
+  if (!user) return null;
+  const snap = await getDoc(doc(db, collections.REPORTS, reportId, CONFIRMATIONS, user.uid));
+  return snap.exists() ? snap.data() : null;
+};
+
+/**
+ * @description Loads every confirmation of every report, e.g. to award points for them (see utils/reporterPoints.js).
+ * @returns {Promise<Array<{uid: string, reportId: string, status: string, createdAt: object}>>}
+ */
+export const getAllConfirmations = async () => {
+  const querySnapshot = await getDocs(collectionGroup(db, CONFIRMATIONS));
+  return querySnapshot.docs.map(confirmation => ({
+    uid: confirmation.data().uid,
+    reportId: confirmation.ref.parent.parent.id,
+    status: confirmation.data().status,
+    createdAt: confirmation.data().createdAt,
+  }));
+};
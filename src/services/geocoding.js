@@ -0,0 +1,25 @@
+/**
+ * @file geocoding.js
+ * @description Looks up the district and address of a location with OpenStreetMap's Nominatim service.
+ */
+
+/**
+ * @description Finds the district and full address of a point.
+ * @param {number} lat - The latitude.
+ * @param {number} lng - The longitude.
+ * @returns {Promise<{district: string, formattedAddress: string}>} "Unknown Location" when nothing was found.
+ */
+export const reverseGeocode = async (lat, lng) => {
+  const response = await fetch(
+    `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&addressdetails=1`
+  );
+  const data = await response.json();
+
+  if (!data || !data.address) {
+    return { district: 'Unknown Location', formattedAddress: '' };
+  }
+  return {
+    district: data.address.suburb || data.address.city_district || data.address.county || data.address.city || 'Unknown Location',
+    formattedAddress: data.display_name || '',
+  };
+};
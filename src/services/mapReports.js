@@ -0,0 +1,119 @@
+/**
+ * @file mapReports.js
+ * @description Follows the reports for the map live, one area at a time instead of all at once. Each report
+ * stores the geohash of its location (see services/reports.js); a map view is covered by a few geohash ranges,
+ * each a range query on `geohash` over the public reports with its own listener (the composite indexes are in
+ * firestore.indexes.json). The newest reports are always followed, so new reports show up wherever they are.
+ * Listeners of areas the user left are kept for a while, so panning back does not load the same area again.
+ */
+
+import { collection, doc, query, where, orderBy, startAt, endAt, limit, onSnapshot } from 'firebase/firestore';
+import { geohashQueryBounds } from 'geofire-common';
+import { db, collections } from '../firebase';
+import { getNewReportIds } from './reports';
+import { distanceInMeters } from '../utils/geo';
+
+// How many of the newest reports are always on the map.
+const RECENT_REPORT_COUNT = 100;
+// How many area listeners are kept; those of the areas left longest ago are stopped first.
+const MAX_AREA_LISTENERS = 40;
+
+/**
+ * @description Returns the geohash ranges that cover a map view.
+ * @param {{north: number, south: number, east: number, west: number}} bounds - The visible area.
+ * @returns {Array<[string, string]>} The first and last geohash of each range.
+ */
+const getGeohashRanges = ({ north, south, east, west }) => {
+  // Geohash ranges cover a circle, so take the one around the whole view.
+  const center = { lat: (north + south) / 2, lng: (east + west) / 2 };
+  const radiusMeters = distanceInMeters(center, { lat: north, lng: east });
+  return geohashQueryBounds([center.lat, center.lng], radiusMeters);
+};
+
+/**
+ * @description Starts following the map's reports: the newest ones right away, and others once their
+ * area or the report itself is shown.
+ * @param {function(Array<object>, Array<string>): void} onChange - Gets all followed reports with their ids
+ * (without those hidden by the moderators) on every change, and the ids of reports submitted since the previous call.
+ * @param {function(Error): void} onError - Called when a listener fails.
+ * @returns {{showArea: function(object): void, showReport: function(string): void, unsubscribe: function(): void}}
+ * `showArea` follows the reports in a map view (see getGeohashRanges), `showReport` a single report, e.g. one
+ * linked to, and `unsubscribe` stops all listeners.
+ */
+export const subscribeToMapReports = (onChange, onError) => {
+  const since = Math.floor(Date.now() / 1000);
+  // The reports of each listener, by listener key.
+  const sources = new Map();
+  // The area listeners' unsubscribe functions, by "start:end". Re-inserting moves a key to the end,
+  // so the first key is always the area left longest ago.
+  const areaListeners = new Map();
+  const otherListeners = [];
+  // Hidden reports are only readable by their reporter and the moderators (see firestore.rules).
+  const publicReports = query(collection(db, collections.REPORTS), where('hidden', '==', false));
+
+  const emit = (newReportIds = []) => {
+    const reportsById = new Map();
+    sources.forEach(reports => reports.forEach(report => reportsById.set(report.id, report)));
+    // A linked report may be hidden from the public and still readable by its reporter or the moderators.
+    onChange([...reportsById.values()].filter(report => !report.hidden), newReportIds);
+  };
+
+  const listenToQuery = (key, q, { detectNew = false } = {}) => {
+    let isFirstSnapshot = true;
+    return onSnapshot(q, (querySnapshot) => {
+      sources.set(key, querySnapshot.docs.map(report => ({ id: report.id, ...report.data() })));
+      emit(detectNew && !isFirstSnapshot ? getNewReportIds(querySnapshot, since) : []);
+      isFirstSnapshot = false;
+    }, onError);
+  };
+
+  otherListeners.push(listenToQuery(
+    'recent',
+    query(publicReports, orderBy('createdAt', 'desc'), limit(RECENT_REPORT_COUNT)),
+    { detectNew: true }
+  ));
+
+  const showArea = (bounds) => {
+    getGeohashRanges(bounds).forEach(([start, end]) => {
+      const key = `${start}:${end}`;
+      const unsubscribe = areaListeners.get(key)
+        || listenToQuery(key, query(publicReports, orderBy('geohash'), startAt(start), endAt(end)));
+      areaListeners.delete(key);
+      areaListeners.set(key, unsubscribe);
+    });
+    // Stop the listeners of the areas left longest ago; their reports leave the map with them.
+    let removed = false;
+    while (areaListeners.size > MAX_AREA_LISTENERS) {
+      const [oldestKey, unsubscribe] = areaListeners.entries().next().value;
+      unsubscribe();
+      areaListeners.delete(oldestKey);
+      removed = sources.delete(oldestKey) || removed;
+    }
+    if (removed) emit();
+  };
+
+  const showReport = (reportId) => {
+    const key = `report:${reportId}`;
+    otherListeners.push(onSnapshot(doc(db, collections.REPORTS, reportId), (snap) => {
+      sources.set(key, snap.exists() ? [{ id: snap.id, ...snap.data() }] : []);
+      emit();
+    }, (err) => {
+      // The report was hidden by the moderators: it is not shown, like a deleted one.
+      if (err.code !== 'permission-denied') {
+        onError(err);
+        return;
+      }
+      sources.set(key, []);
+      emit();
+    }));
+  };
+
+  const unsubscribe = () => {
+    areaListeners.forEach(stop => stop());
+    otherListeners.forEach(stop => stop());
+    areaListeners.clear();
+    sources.clear();
+  };
+
+  return { showArea, showReport, unsubscribe };
+};
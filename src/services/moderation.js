@@ -0,0 +1,154 @@
+/**
+ * @file moderation.js
+ * @description Flagging reports for abuse and the moderators' actions on them. Flags live in the `flags`
+ * subcollection of a report, one document per user (keyed by uid); the report keeps a `flagCount` and a
+ * count per reason in `flagCounts`. Moderators can hide a report (`hidden: true`), which removes it from
+ * all public views, restore it, which also clears its flags, or delete it. Hidden and deleted reports have a
+ * record in `removedReports` for the reporter's leaderboard penalty (see utils/reporterPoints.js): only the
+ * reporter and the moderators can read a hidden report, and a deleted one is gone.
+ */
+
+import {
+  collection, doc, getDoc, getDocs, query, where, runTransaction, writeBatch, serverTimestamp, deleteField, Timestamp
+} from 'firebase/firestore';
+import { db, auth, collections } from '../firebase';
+import { deleteReportImages, getReportPhotos } from './reportImages';
+
+export const FLAGS = 'flags';
+
+/**
+ * @description Flags a report for the moderators. Each user can flag a report once.
+ * @param {string} reportId - The report.
+ * @param {string} reason - Why, see data/flagReasons.js.
+ * @returns {Promise<void>}
+ */
+export const flagReport = async (reportId, reason) => {
+  const user = auth.currentUser;
+  if (!user) throw new Error('You need to be signed in to flag a report.');
+
+  const reportRef = doc(db, collections.REPORTS, reportId);
+  const flagRef = doc(reportRef, FLAGS, user.uid);
+
+  await runTransaction(db, async (transaction) => {
+    const [reportSnap, existing] = await Promise.all([transaction.get(reportRef), transaction.get(flagRef)]);
+    if (!reportSnap.exists()) throw new Error('This report no longer exists.');
+    if (existing.exists()) throw new Error('You have already flagged this report.');
+    const report = reportSnap.data();
+
+    transaction.set(flagRef, { uid: user.uid, reason, createdAt: serverTimestamp() });
+    transaction.update(reportRef, {
+      flagCount: (report.flagCount || 0) + 1,
+      flagCounts: { ...report.flagCounts, [reason]: (report.flagCounts?.[reason] || 0) + 1 },
+      lastFlaggedAt: serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * @description Loads the signed-in user's flag of a report, if any.
+ * @param {string} reportId - The report.
+ * @returns {Promise<object|null>} The flag (`reason`, `createdAt`), or null.
+ */
+export const getMyFlag = async (reportId) => {
+  const user = auth.currentUser;
+  if (!user) return null;
+  const snap = await getDoc(doc(db, collections.REPORTS, reportId, FLAGS, user.uid));
+  return snap.exists() ? snap.data() : null;
+};
+
+/**
+ * @description Loads the moderation queue: reports with open flags and hidden reports, most flagged first.
+ * @returns {Promise<Array<object>>} The reports with their ids.
+ */
+export const getModerationQueue = async () => {
+  const reportsCollection = collection(db, collections.REPORTS);
+  // Two single-field queries, so no composite index is needed. Hidden reports that still have flags come back twice.
+  const [flagged, hidden] = await Promise.all([
+    getDocs(query(reportsCollection, where('flagCount', '>', 0))),
+    getDocs(query(reportsCollection, where('hidden', '==', true))),
+  ]);
+  const reports = new Map();
+  [...flagged.docs, ...hidden.docs].forEach(report => reports.set(report.id, { id: report.id, ...report.data() }));
+  return [...reports.values()].sort((a, b) => (b.flagCount || 0) - (a.flagCount || 0)
+    || (b.lastFlaggedAt?.seconds || 0) - (a.lastFlaggedAt?.seconds || 0));
+};
+
+/**
+ * @description Hides a report from all public views and records the removal under the reporter.
+ * Its flags are kept, so it stays in the moderation queue.
+ * @param {object} report - The report (with its `id`).
+ * @returns {Promise<object>} The report fields that changed.
+ */
+export const hideReport = async (report) => {
+  const batch = writeBatch(db);
+  batch.update(doc(db, collections.REPORTS, report.id), {
+    hidden: true, moderatedBy: auth.currentUser.uid, moderatedAt: serverTimestamp(),
+  });
+  // Reports from before reporters were recorded belong to nobody, so there is no one to record it for.
+  if (report.uid) {
+    batch.set(doc(db, collections.REMOVED_REPORTS, report.id), {
+      uid: report.uid, removedBy: auth.currentUser.uid, removedAt: serverTimestamp(),
+    });
+  }
+  await batch.commit();
+  // The local copy uses the client time, as the server time is only known after the write.
+  return { hidden: true, moderatedAt: Timestamp.now() };
+};
+
+/**
+ * @description Makes a report public again and dismisses its flags, which takes it out of the moderation queue.
+ * Its removal record goes with it.
+ * @param {object} report - The report (with its `id`).
+ * @returns {Promise<object>} The report fields that changed.
+ */
+export const restoreReport = async (report) => {
+  const batch = writeBatch(db);
+  batch.update(doc(db, collections.REPORTS, report.id), {
+    hidden: false,
+    flagCount: 0,
+    flagCounts: deleteField(),
+    moderatedBy: auth.currentUser.uid,
+    moderatedAt: serverTimestamp(),
+  });
+  if (report.uid && report.hidden) batch.delete(doc(db, collections.REMOVED_REPORTS, report.id));
+  await batch.commit();
+  return { hidden: false, flagCount: 0, flagCounts: undefined };
+};
+
+/**
+ * @description Deletes a report with its photos and records the removal under the reporter.
+ * A hidden report already has its record, from when it was hidden.
+ * The report and its record go first, in one write, so a failure cannot leave a report without its photos.
+ * @param {object} report - The report (with its `id`).
+ * @returns {Promise<{photosDeleted: boolean}>} Whether the photos were deleted too. The report is gone either way.
+ */
+export const removeReport = async (report) => {
+  const batch = writeBatch(db);
+  if (report.uid && !report.hidden) {
+    batch.set(doc(db, collections.REMOVED_REPORTS, report.id), {
+      uid: report.uid, removedBy: auth.currentUser.uid, removedAt: serverTimestamp(),
+    });
+  }
+  batch.delete(doc(db, collections.REPORTS, report.id));
+  await batch.commit();
+  try {
+    await deleteReportImages(getReportPhotos(report));
+    return { photosDeleted: true };
+  } catch (err) {
+    console.error('Error deleting the photos of a removed report:', err);
+    return { photosDeleted: false };
+  }
+};
+
+/**
+ * @description Loads every report the moderators hid or deleted, e.g. to take points for them (see utils/reporterPoints.js).
+ * @returns {Promise<Array<{reportId: string, uid: string, removedAt: object}>>}
+ */
+export const getRemovedReports = async () => {
+  const querySnapshot = await getDocs(collection(db, collections.REMOVED_REPORTS));
+  return querySnapshot.docs.map(removal => ({
+    reportId: removal.id,
+    uid: removal.data().uid,
+    removedAt: removal.data().removedAt,
+  }));
+};
@@ -0,0 +1,39 @@
+/**
+ * @file nearbyReports.js
+ * @description Looks up existing reports close to a location, used to catch duplicate
+ * reports of the same pothole before a new one is saved.
+ */
+
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db, collections } from '../firebase';
+import { distanceInMeters, getBoundingBox } from '../utils/geo';
+
+// Reports closer than this are offered as possible duplicates. Override with
+// REACT_APP_DUPLICATE_RADIUS_METERS in the environment (.env.local) if needed.
+export const DUPLICATE_RADIUS_METERS = Number(process.env.REACT_APP_DUPLICATE_RADIUS_METERS) || 30;
+
+/**
+ * @description Finds reports within a radius of a location, nearest first.
+ * Firestore can only range-filter one field, so the query narrows the public reports by latitude and
+ * the longitude and exact distance are checked here.
+ * @param {{lat: number, lng: number}} center - The location of the new report.
+ * @param {number} [radiusMeters=DUPLICATE_RADIUS_METERS] - The search radius.
+ * @returns {Promise<Array<object>>} The nearby reports, each with its `id` and a `distance` in meters.
+ */
+export const findNearbyReports = async (center, radiusMeters = DUPLICATE_RADIUS_METERS) => {
+  const { minLat, maxLat, minLng, maxLng } = getBoundingBox(center, radiusMeters);
+  const q = query(
+    collection(db, collections.REPORTS),
+    where('hidden', '==', false),
+    where('location.lat', '>=', minLat),
+    where('location.lat', '<=', maxLat)
+  );
+  const querySnapshot = await getDocs(q);
+
+  return querySnapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(report => report.location.lng >= minLng && report.location.lng <= maxLng)
+    .map(report => ({ ...report, distance: distanceInMeters(center, report.location) }))
+    .filter(report => report.distance <= radiusMeters)
+    .sort((a, b) => a.distance - b.distance);
+};
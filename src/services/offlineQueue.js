@@ -0,0 +1,99 @@
+/**
+ * @file offlineQueue.js
+ * @description A persistent queue of report submissions made without a connection.
+ * Queued reports (photos included, as Blobs) are kept in IndexedDB so they survive reloads,
+ * and are uploaded with `syncPendingReports` once the app is back online.
+ */
+
+import { createStore, set, del, entries } from 'idb-keyval';
+import { auth } from '../firebase';
+import { createReport } from './reports';
+
+const store = createStore('pothole-pending-reports', 'reports');
+
+// Notifies listeners (e.g. the Header indicator) whenever the queue changes.
+const events = new EventTarget();
+const CHANGE_EVENT = 'change';
+
+// The sync currently in progress, so overlapping triggers share one run.
+let activeSync = null;
+
+const notifyChange = () => events.dispatchEvent(new Event(CHANGE_EVENT));
+
+/**
+ * @description Tells whether a failed submission should be queued rather than reported as an error.
+ * @param {Error} err - The error thrown while saving.
+ * @returns {boolean}
+ */
+export const isOfflineError = (err) => (
+  !navigator.onLine
+  || ['unavailable', 'storage/retry-limit-exceeded'].includes(err?.code)
+);
+
+/**
+ * @description Saves a report to the queue.
+ * @param {object} report - The same shape `createReport` accepts.
+ * @returns {Promise<string>} The queue id of the report.
+ */
+export const queueReport = async (report) => {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  await set(id, { ...report, queuedAt: Date.now() }, store);
+  notifyChange();
+  return id;
+};
+
+/**
+ * @description Returns the number of reports waiting to be uploaded.
+ * @returns {Promise<number>}
+ */
+export const getPendingCount = async () => (await entries(store)).length;
+
+/**
+ * @description Uploads every queued report, oldest first. Reports that fail for lack of a connection stay queued
+ * for the next attempt; those that fail for another reason (e.g. rejected by the security rules) would fail
+ * every time, so they are dropped.
+ * @returns {Promise<{synced: number, failed: number}>} How many reports were uploaded, and how many were dropped.
+ */
+export const syncPendingReports = () => {
+  if (activeSync) return activeSync;
+
+  activeSync = (async () => {
+    // Uploads need a signed-in (anonymous) user for the security rules.
+    if (!navigator.onLine || !auth.currentUser) return { synced: 0, failed: 0 };
+
+    const pending = (await entries(store)).sort(([, a], [, b]) => a.queuedAt - b.queuedAt);
+    let synced = 0;
+    let failed = 0;
+    for (const [id, report] of pending) {
+      try {
+        // Without a photo time, the pothole was seen when it was queued rather than when it uploads.
+        await createReport({ ...report, observedAt: report.observedAt || new Date(report.queuedAt) });
+        await del(id, store);
+        synced += 1;
+        notifyChange();
+      } catch (err) {
+        console.error('Error syncing queued report:', err);
+        // Still offline: stop here and try the rest next time.
+        if (isOfflineError(err)) break;
+        await del(id, store);
+        failed += 1;
+        notifyChange();
+      }
+    }
+    return { synced, failed };
+  })().finally(() => {
+    activeSync = null;
+  });
+
+  return activeSync;
+};
+
+/**
+ * @description Subscribes to queue changes.
+ * @param {function(): void} listener - Called after a report is queued, uploaded or dropped.
+ * @returns {function(): void} A function that removes the listener.
+ */
+export const subscribeToQueue = (listener) => {
+  events.addEventListener(CHANGE_EVENT, listener);
+  return () => events.removeEventListener(CHANGE_EVENT, listener);
+};
@@ -0,0 +1,41 @@
+/**
+ * @file photoMetadata.js
+ * @description Reads the EXIF GPS position and capture time from an original photo.
+ * This must run on the file the user picked, before browser-image-compression
+ * re-encodes it and strips the metadata.
+ */
+
+import exifr from 'exifr';
+
+/**
+ * @description Extracts where and when a photo was taken. Missing or unreadable
+ * metadata is not an error: the matching field is simply `null`.
+ * @param {File} file - The original, uncompressed photo.
+ * @returns {Promise<{coords: {lat: number, lng: number}|null, takenAt: Date|null}>}
+ */
+export const readPhotoMetadata = async (file) => {
+  const metadata = { coords: null, takenAt: null };
+
+  try {
+    const [gps, dates] = await Promise.all([
+      exifr.gps(file),
+      exifr.parse(file, ['DateTimeOriginal', 'CreateDate']),
+    ]);
+
+    const { latitude, longitude } = gps || {};
+    // Some cameras write 0,0 when they have no GPS fix; treat that as missing.
+    if (Number.isFinite(latitude) && Number.isFinite(longitude) && (latitude !== 0 || longitude !== 0)) {
+      metadata.coords = { lat: latitude, lng: longitude };
+    }
+
+    const takenAt = dates && (dates.DateTimeOriginal || dates.CreateDate);
+    // Ignore timestamps from a wrongly set camera clock that lie in the future.
+    if (takenAt instanceof Date && !Number.isNaN(takenAt.getTime()) && takenAt <= new Date()) {
+      metadata.takenAt = takenAt;
+    }
+  } catch (err) {
+    console.warn('Could not read photo metadata:', err);
+  }
+
+  return metadata;
+};
@@ -0,0 +1,58 @@
+/**
+ * @file ratings.js
+ * @description Per-user danger ratings of a report. They live in the `ratings` subcollection of a
+ * report, one document per user (keyed by uid), and the report keeps the `ratingSum`, `ratingCount`
+ * and the resulting average `dangerRating` (see utils/dangerRating.js).
+ */
+
+import { doc, getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db, auth, collections } from '../firebase';
+
+export const RATINGS = 'ratings';
+
+/**
+ * @description Adds or replaces the signed-in user's danger rating of a report and updates the average.
+ * @param {string} reportId - The report.
+ * @param {number} dangerLevel - The user's rating (1-10).
+ * @returns {Promise<object>} The report fields that changed.
+ */
+export const rateReport = async (reportId, dangerLevel) => {
+  const user = auth.currentUser;
+  if (!user) throw new Error('You need to be signed in to rate a report.');
+
+  const reportRef = doc(db, collections.REPORTS, reportId);
+  const ratingRef = doc(reportRef, RATINGS, user.uid);
+
+  return runTransaction(db, async (transaction) => {
+    const [reportSnap, existing] = await Promise.all([transaction.get(reportRef), transaction.get(ratingRef)]);
+    if (!reportSnap.exists()) throw new Error('This report no longer exists.');
+    const report = reportSnap.data();
+
+    // Reports from before ratings existed start from the reporter's rating.
+    let ratingSum = report.ratingCount > 0 ? report.ratingSum : report.dangerLevel;
+    let ratingCount = report.ratingCount > 0 ? report.ratingCount : 1;
+    if (existing.exists()) {
+      ratingSum += dangerLevel - existing.data().dangerLevel;
+    } else {
+      ratingSum += dangerLevel;
+      ratingCount += 1;
+    }
+
+    const changes = { ratingSum, ratingCount, dangerRating: ratingSum / ratingCount };
+    transaction.set(ratingRef, { uid: user.uid, dangerLevel, ratedAt: serverTimestamp() });
+    transaction.update(reportRef, changes);
+    return changes;
+  });
+};
+
+/**
+ * @description Loads the signed-in user's own rating of a report, if any.
+ * @param {string} reportId - The report.
+ * @returns {Promise<number|null>} The user's danger level, or null.
+ */
+export const getMyRating = async (reportId) => {
+  const user = auth.currentUser;
+  if (!user) return null;
+  const snap = await getDoc(doc(db, collections.REPORTS, reportId, RATINGS, user.uid));
+  return snap.exists() ? snap.data().dangerLevel : null;
+};
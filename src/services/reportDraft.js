@@ -0,0 +1,46 @@
+/**
+ * @file reportDraft.js
+ * @description Keeps the report form's unsent draft (photos included) in IndexedDB,
+ * so a reload or a dropped connection does not lose what the user already entered.
+ */
+
+import { createStore, get, set, del } from 'idb-keyval';
+
+const store = createStore('pothole-report-draft', 'drafts');
+const DRAFT_KEY = 'report';
+
+/**
+ * @description Loads the saved draft, if any.
+ * @returns {Promise<object|undefined>}
+ */
+export const loadDraft = async () => {
+  try {
+    return await get(DRAFT_KEY, store);
+  } catch (err) {
+    console.warn('Could not load report draft:', err);
+    return undefined;
+  }
+};
+
+/**
+ * @description Saves the draft, replacing the previous one.
+ * @param {object} draft - The form state. Blobs and Dates are stored as they are.
+ */
+export const saveDraft = async (draft) => {
+  try {
+    await set(DRAFT_KEY, { ...draft, savedAt: Date.now() }, store);
+  } catch (err) {
+    console.warn('Could not save report draft:', err);
+  }
+};
+
+/**
+ * @description Deletes the draft once the report has been submitted or queued.
+ */
+export const clearDraft = async () => {
+  try {
+    await del(DRAFT_KEY, store);
+  } catch (err) {
+    console.warn('Could not clear report draft:', err);
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * @file reportImages.js
+ * @description Helpers for report photos stored in Cloud Storage.
+ * A report holds an ordered list of photos (the first one is the cover). Each photo is a
+ * full-size image plus a small thumbnail under `reports/{reportId}/`, and the Firestore
+ * document only stores their storage paths in `photos: [{ imagePath, thumbnailPath }]`.
+ * Each file records the `uid` of its uploader in its custom metadata, which lets the uploader delete it
+ * after the report document is gone (see storage.rules).
+ */
+
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import imageCompression from 'browser-image-compression';
+import { storage, auth } from '../firebase';
+
+// Compression settings for the full-size photo shown on detail views and share cards.
+const FULL_IMAGE_OPTIONS = {
+  maxSizeMB: 1,
+  maxWidthOrHeight: 1920,
+  fileType: 'image/jpeg',
+  useWebWorker: true,
+};
+
+// Compression settings for the thumbnail shown on the map and in the list.
+const THUMBNAIL_OPTIONS = {
+  maxSizeMB: 0.05,
+  maxWidthOrHeight: 320,
+  fileType: 'image/jpeg',
+  useWebWorker: true,
+};
+
+// The most photos a single report can hold.
+export const MAX_REPORT_PHOTOS = 5;
+
+// Download URLs never change for a given path, so resolved URLs are cached for the session.
+const downloadUrlCache = new Map();
+
+/**
+ * @description Builds the storage paths for one photo's full-size image and thumbnail.
+ * @param {string} folder - The storage folder of the report (or confirmation) the photo belongs to.
+ * @param {number} index - The position of the photo.
+ * @returns {{imagePath: string, thumbnailPath: string}}
+ */
+const getImagePaths = (folder, index) => ({
+  imagePath: `${folder}/photo-${index}.jpg`,
+  thumbnailPath: `${folder}/photo-${index}-thumb.jpg`,
+});
+
+/**
+ * @description Builds the storage paths for one photo of a report.
+ * @param {string} reportId - The Firestore document id of the report.
+ * @param {number} index - The position of the photo in the report.
+ * @returns {{imagePath: string, thumbnailPath: string}}
+ */
+export const getReportImagePaths = (reportId, index) => getImagePaths(`reports/${reportId}`, index);
+
+/**
+ * @description Returns a report's photos in display order, whatever format the report was saved in.
+ * Older reports have a single `imagePath`/`thumbnailPath` pair or an inline `imageBase64`
+ * image; those are returned as a one-photo list (inline images as `{ dataUrl }`).
+ * @param {object} report - The report document data.
+ * @returns {Array<{imagePath?: string, thumbnailPath?: string, dataUrl?: string}>}
+ */
+export const getReportPhotos = (report) => {
+  if (!report) return [];
+  if (Array.isArray(report.photos)) return report.photos;
+  if (report.imagePath) return [{ imagePath: report.imagePath, thumbnailPath: report.thumbnailPath }];
+  if (report.imageBase64) return [{ dataUrl: report.imageBase64 }];
+  return [];
+};
+
+/**
+ * @description Compresses a picked photo into a full-size image and a thumbnail.
+ * @param {File} file - The original file chosen by the user.
+ * @returns {Promise<{image: File, thumbnail: File}>}
+ */
+export const prepareReportImages = async (file) => {
+  const image = await imageCompression(file, FULL_IMAGE_OPTIONS);
+  const thumbnail = await imageCompression(image, THUMBNAIL_OPTIONS);
+  return { image, thumbnail };
+};
+
+/**
+ * @description Returns the first unused photo index of a report, so replacement photos get new
+ * file names instead of overwriting files that browsers and the service worker have cached.
+ * @param {object} report - The report document data.
+ * @returns {number}
+ */
+export const getNextPhotoIndex = (report) => {
+  const indexes = getReportPhotos(report)
+    .map(photo => Number((photo.imagePath || '').match(/photo-(\d+)\.jpg$/)?.[1]))
+    .filter(index => !Number.isNaN(index));
+  return indexes.length > 0 ? Math.max(...indexes) + 1 : 0;
+};
+
+/**
+ * @description Uploads photos (full-size image and thumbnail each) into a storage folder.
+ * @param {string} folder - The destination storage folder.
+ * @param {Array<{image: Blob, thumbnail: Blob}>} photos - The outputs of `prepareReportImages`, in display order.
+ * @param {number} [firstIndex=0] - The file index of the first photo.
+ * @returns {Promise<Array<{imagePath: string, thumbnailPath: string}>>} The storage paths, in the same order.
+ */
+const uploadImages = (folder, photos, firstIndex = 0) => {
+  const metadata = {
+    contentType: 'image/jpeg',
+    cacheControl: 'public, max-age=31536000',
+    customMetadata: { uid: auth.currentUser?.uid || '' },
+  };
+
+  return Promise.all(photos.map(async ({ image, thumbnail }, index) => {
+    const paths = getImagePaths(folder, firstIndex + index);
+    await Promise.all([
+      uploadBytes(ref(storage, paths.imagePath), image, metadata),
+      uploadBytes(ref(storage, paths.thumbnailPath), thumbnail, metadata),
+    ]);
+    return paths;
+  }));
+};
+
+/**
+ * @description Uploads a report's photos to Cloud Storage.
+ * @param {string} reportId - The Firestore document id the photos belong to.
+ * @param {Array<{image: Blob, thumbnail: Blob}>} photos - The outputs of `prepareReportImages`, in display order.
+ * @param {number} [firstIndex=0] - The file index of the first photo, see `getNextPhotoIndex`.
+ * @returns {Promise<Array<{imagePath: string, thumbnailPath: string}>>} The storage paths to save as `photos`.
+ */
+export const uploadReportImages = (reportId, photos, firstIndex = 0) => uploadImages(`reports/${reportId}`, photos, firstIndex);
+
+/**
+ * @description Deletes photos from Cloud Storage, e.g. after they were replaced or their report was withdrawn.
+ * Files that are already gone are ignored; inline legacy photos have nothing to delete.
+ * @param {Array<{imagePath?: string, thumbnailPath?: string}>} photos - Entries of `getReportPhotos`.
+ */
+export const deleteReportImages = async (photos) => {
+  const paths = photos.flatMap(photo => [photo.imagePath, photo.thumbnailPath]).filter(Boolean);
+  await Promise.all(paths.map(path => deleteObject(ref(storage, path)).catch((err) => {
+    if (err.code !== 'storage/object-not-found') throw err;
+  })));
+};
+
+/**
+ * @description Uploads the photos a user attached when confirming an existing report.
+ * @param {string} reportId - The report being confirmed.
+ * @param {string} confirmationId - The confirmation document id.
+ * @param {Array<{image: Blob, thumbnail: Blob}>} photos - The outputs of `prepareReportImages`.
+ * @returns {Promise<Array<{imagePath: string, thumbnailPath: string}>>} The storage paths to save on the confirmation.
+ */
+export const uploadConfirmationImages = (reportId, confirmationId, photos) => (
+  uploadImages(`reports/${reportId}/confirmations/${confirmationId}`, photos)
+);
+
+/**
+ * @description Resolves a storage path to a download URL, reusing earlier lookups.
+ * @param {string} path - The storage path of the file.
+ * @returns {Promise<string>} The download URL.
+ */
+export const getImageUrl = (path) => {
+  if (!downloadUrlCache.has(path)) {
+    const promise = getDownloadURL(ref(storage, path)).catch((err) => {
+      // Forget failed lookups so a later render can retry.
+      downloadUrlCache.delete(path);
+      throw err;
+    });
+    downloadUrlCache.set(path, promise);
+  }
+  return downloadUrlCache.get(path);
+};
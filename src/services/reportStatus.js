@@ -0,0 +1,65 @@
+/**
+ * @file reportStatus.js
+ * @description Changes a report's lifecycle status and keeps its history.
+ * The current status lives on the report document; every change is also added to the
+ * `statusHistory` subcollection with who made it, when, and an optional note. The report's `statusEntryId`
+ * names the entry of its latest change, so the security rules can check that a change comes with its entry.
+ */
+
+import {
+  collection, doc, getDocs, query, orderBy, writeBatch, serverTimestamp
+} from 'firebase/firestore';
+import { db, auth, collections } from '../firebase';
+
+export const STATUS_HISTORY = 'statusHistory';
+
+/**
+ * @description Adds a status change to a write batch or transaction: the report's new status plus a history entry.
+ * Used both for new reports and for later status updates so the history always starts at creation.
+ * @param {import('firebase/firestore').WriteBatch|import('firebase/firestore').Transaction} batch - The batch or transaction to add the writes to.
+ * @param {import('firebase/firestore').DocumentReference} reportRef - The report.
+ * @param {string} status - The new status (see data/reportStatuses.js).
+ * @param {object} [details]
+ * @param {string|null} [details.previousStatus=null] - The status before the change.
+ * @param {string} [details.note=''] - An optional explanation.
+ * @param {boolean} [details.updateReport=true] - Whether to update the status on the report document too.
+ */
+export const addStatusChange = (batch, reportRef, status, { previousStatus = null, note = '', updateReport = true } = {}) => {
+  const entryRef = doc(collection(reportRef, STATUS_HISTORY));
+  if (updateReport) {
+    batch.update(reportRef, { status, statusUpdatedAt: serverTimestamp(), statusEntryId: entryRef.id });
+  }
+  batch.set(entryRef, {
+    status,
+    previousStatus,
+    note,
+    changedBy: auth.currentUser?.uid || null,
+    changedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * @description Moves a report to a new status and records the change.
+ * @param {object} report - The report (with its `id` and current `status`).
+ * @param {string} status - The new status.
+ * @param {string} [note=''] - An optional explanation, e.g. "Crew visited on Monday".
+ */
+export const updateReportStatus = async (report, status, note = '') => {
+  const batch = writeBatch(db);
+  addStatusChange(batch, doc(db, collections.REPORTS, report.id), status, {
+    previousStatus: report.status || null,
+    note,
+  });
+  await batch.commit();
+};
+
+/**
+ * @description Loads a report's status history, oldest first.
+ * @param {string} reportId - The report.
+ * @returns {Promise<Array<object>>} The history entries with their ids.
+ */
+export const getStatusHistory = async (reportId) => {
+  const q = query(collection(db, collections.REPORTS, reportId, STATUS_HISTORY), orderBy('changedAt', 'asc'));
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map(entry => ({ id: entry.id, ...entry.data() }));
+};
@@ -0,0 +1,219 @@
+/**
+ * @file reports.js
+ * @description Creates, loads, edits and deletes report documents. Reports are created by ReportPage for live
+ * submissions and by the offline queue when it syncs reports that were saved without a connection.
+ * Each report records the `uid` of its reporter, who is the only one allowed to edit or delete it,
+ * and the `geohash` of its location, which the map queries by (see services/mapReports.js).
+ * Reports hidden by the moderators can only be read by their reporter and the moderators, so public queries
+ * only ask for reports with `hidden == false`; every report stores the flag for that reason.
+ */
+
+import {
+  collection, doc, getDoc, getDocs, updateDoc, deleteDoc, query, where, orderBy, onSnapshot, writeBatch, serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { geohashForLocation } from 'geofire-common';
+import { db, auth, collections } from '../firebase';
+import { uploadReportImages, deleteReportImages, getReportPhotos, getNextPhotoIndex } from './reportImages';
+import { addStatusChange } from './reportStatus';
+import { RATINGS, rateReport } from './ratings';
+import { defaultAttributes } from '../data/hazardAttributes';
+import { DEFAULT_STATUS } from '../data/reportStatuses';
+import { getDisplayName } from '../utils/displayName';
+
+// Longer descriptions are rejected by the security rules.
+export const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Reports created this long before a listener started still count as new when they reach it, to allow for clock skew.
+const NEW_REPORT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * @description Uploads a report's photos and saves the report document.
+ * @param {object} report - The report as entered in the form.
+ * @param {Array<{image: Blob, thumbnail: Blob}>} report.photos - The prepared photos, cover first.
+ * @param {number} report.dangerLevel - The danger rating (1-10).
+ * @param {object} report.attributes - Structured hazard details, see data/hazardAttributes.js.
+ * @param {string} report.description - Free-text details.
+ * @param {{lat: number, lng: number, district: string, formattedAddress: string}} report.location - Where the pothole is.
+ * @param {Date|null} [report.observedAt] - When the photo was taken, if known.
+ * @returns {Promise<string>} The id of the new report.
+ */
+export const createReport = async ({ photos, dangerLevel, attributes = defaultAttributes, description, location, observedAt = null }) => {
+  const user = auth.currentUser;
+  if (!user) throw new Error('You need to be signed in to submit a report.');
+
+  // Reserve the document id first so the photos can be stored under it.
+  const reportRef = doc(collection(db, collections.REPORTS));
+  const uploadedPhotos = await uploadReportImages(reportRef.id, photos);
+
+  // The report, the first entry of its status history and the reporter's rating are written together.
+  const batch = writeBatch(db);
+  batch.set(reportRef, {
+    uid: user.uid,
+    // Shown as a link to the reporter's profile; like comment authors, it keeps the name used at the time.
+    reporterName: getDisplayName(user),
+    photos: uploadedPhotos,
+    dangerLevel,
+    // The reporter's rating is the first of the crowd-averaged danger rating (see services/ratings.js).
+    ratingSum: dangerLevel,
+    ratingCount: 1,
+    dangerRating: dangerLevel,
+    attributes,
+    description,
+    location: {
+      lat: location.lat,
+      lng: location.lng,
+      district: location.district,
+      formattedAddress: location.formattedAddress,
+    },
+    geohash: geohashForLocation([location.lat, location.lng]),
+    // Capture time of the photo when known; otherwise the pothole was seen as it was reported.
+    observedAt: observedAt ? Timestamp.fromDate(observedAt) : serverTimestamp(),
+    status: DEFAULT_STATUS,
+    statusUpdatedAt: serverTimestamp(),
+    hidden: false,
+    createdAt: serverTimestamp(),
+  });
+  addStatusChange(batch, reportRef, DEFAULT_STATUS, { updateReport: false });
+  batch.set(doc(reportRef, RATINGS, user.uid), { uid: user.uid, dangerLevel, ratedAt: serverTimestamp() });
+  await batch.commit();
+
+  return reportRef.id;
+};
+
+/**
+ * @description Loads a single report by its document id.
+ * @param {string} reportId - The report.
+ * @returns {Promise<object|null>} The report with its `id`, or null if it does not exist or is hidden from the user.
+ */
+export const getReport = async (reportId) => {
+  try {
+    const snap = await getDoc(doc(db, collections.REPORTS, reportId));
+    return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+  } catch (err) {
+    // The rules only let the reporter and the moderators read a hidden report.
+    if (err.code === 'permission-denied') return null;
+    throw err;
+  }
+};
+
+/**
+ * @description Picks the reports that were just submitted out of a listener's update. Documents also reach a
+ * query when they only start matching it (e.g. move into a limit), so only recently created ones count;
+ * the user's own unsaved reports do not.
+ * @param {import('firebase/firestore').QuerySnapshot} snapshot - The update.
+ * @param {number} since - When the listener started, in seconds since the epoch.
+ * @returns {Array<string>} The ids of the new reports.
+ */
+export const getNewReportIds = (snapshot, since) => snapshot.docChanges()
+  .filter(change => change.type === 'added' && !change.doc.metadata.hasPendingWrites)
+  .filter(change => (change.doc.data().createdAt?.seconds || 0) >= since - NEW_REPORT_TOLERANCE_SECONDS)
+  .map(change => change.doc.id);
+
+/**
+ * @description Follows all public reports live, by creation date.
+ * @param {'asc'|'desc'} direction - Oldest or newest first.
+ * @param {function(Array<object>, Array<string>): void} onChange - Gets the reports with their ids on every change,
+ * and the ids of reports submitted since the previous call.
+ * @param {function(Error): void} onError - Called when the listener fails.
+ * @returns {function(): void} Stops listening.
+ */
+export const subscribeToReports = (direction, onChange, onError) => {
+  const since = Math.floor(Date.now() / 1000);
+  let isFirstSnapshot = true;
+  const q = query(collection(db, collections.REPORTS), where('hidden', '==', false), orderBy('createdAt', direction));
+  return onSnapshot(q, (querySnapshot) => {
+    const reports = querySnapshot.docs.map(report => ({ id: report.id, ...report.data() }));
+    onChange(reports, isFirstSnapshot ? [] : getNewReportIds(querySnapshot, since));
+    isFirstSnapshot = false;
+  }, onError);
+};
+
+/**
+ * @description Loads the reports submitted by a user, newest first. Reporters get their hidden reports too;
+ * everyone else only the public ones.
+ * @param {string} uid - The reporter.
+ * @returns {Promise<Array<object>>} The reports with their ids.
+ */
+export const getReportsByUser = async (uid) => {
+  const reportsCollection = collection(db, collections.REPORTS);
+  // Sorted here rather than in the query, which would need a composite index.
+  const q = uid === auth.currentUser?.uid
+    ? query(reportsCollection, where('uid', '==', uid))
+    : query(reportsCollection, where('uid', '==', uid), where('hidden', '==', false));
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs
+    .map(report => ({ id: report.id, ...report.data() }))
+    .sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+};
+
+/**
+ * @description Loads the signed-in user's own reports, newest first.
+ * @returns {Promise<Array<object>>} The reports with their ids.
+ */
+export const getMyReports = async () => {
+  const user = auth.currentUser;
+  if (!user) return [];
+  return getReportsByUser(user.uid);
+};
+
+/**
+ * @description Lets the reporter correct their report. Only the given fields are changed.
+ * @param {object} report - The current report (with its `id`).
+ * @param {object} changes - The corrections.
+ * @param {number} [changes.dangerLevel] - The corrected danger rating; it also replaces the reporter's rating in the average.
+ * @param {{lat: number, lng: number, district: string, formattedAddress: string}} [changes.location] - The corrected location.
+ * @param {Array<{image: Blob, thumbnail: Blob}>} [changes.photos] - New photos replacing all current ones.
+ * @returns {Promise<object>} The report fields that changed.
+ */
+export const updateReport = async (report, { dangerLevel, location, photos }) => {
+  const reportRef = doc(db, collections.REPORTS, report.id);
+  const updates = {};
+
+  if (location) {
+    updates.location = {
+      lat: location.lat,
+      lng: location.lng,
+      district: location.district,
+      formattedAddress: location.formattedAddress,
+    };
+    updates.geohash = geohashForLocation([location.lat, location.lng]);
+  }
+  if (photos && photos.length > 0) {
+    updates.photos = await uploadReportImages(report.id, photos, getNextPhotoIndex(report));
+  }
+  if (dangerLevel !== undefined && dangerLevel !== report.dangerLevel) {
+    updates.dangerLevel = dangerLevel;
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await updateDoc(reportRef, { ...updates, updatedAt: serverTimestamp() });
+  }
+  if (updates.dangerLevel !== undefined) {
+    Object.assign(updates, await rateReport(report.id, dangerLevel));
+  }
+  // Remove the replaced photos only once the report points at the new ones.
+  if (updates.photos) {
+    await deleteReportImages(getReportPhotos(report)).catch((err) => console.error('Error deleting replaced photos:', err));
+  }
+  return updates;
+};
+
+/**
+ * @description Withdraws a report: deletes the report document, then its photos.
+ * The document goes first, so a report the moderators hid in the meantime is refused by the rules before
+ * anything is lost; the storage rules let the uploader delete the photos once the document is gone.
+ * Its subcollections (ratings, confirmations, comments, history) are left behind, but nothing links to them anymore.
+ * @param {object} report - The report (with its `id`).
+ * @returns {Promise<{photosDeleted: boolean}>} Whether the photos were deleted too. The report is gone either way.
+ */
+export const deleteReport = async (report) => {
+  await deleteDoc(doc(db, collections.REPORTS, report.id));
+  try {
+    await deleteReportImages(getReportPhotos(report));
+    return { photosDeleted: true };
+  } catch (err) {
+    console.error('Error deleting the photos of a deleted report:', err);
+    return { photosDeleted: false };
+  }
+};
@@ -0,0 +1,120 @@
+/**
+ * @file staff.js
+ * @description Backlog work for municipal staff: loading the open reports of their jurisdiction, changing the
+ * status of many reports at once, assigning reports to a crew or contractor (`assignedTo` on the report) and
+ * internal notes. The notes live in the `internalNotes` subcollection of a report, which only staff can read.
+ */
+
+import {
+  collection, doc, addDoc, getDocs, query, where, orderBy, writeBatch, serverTimestamp
+} from 'firebase/firestore';
+import { db, auth, collections } from '../firebase';
+import { addStatusChange } from './reportStatus';
+import { isReportOpen } from '../data/reportStatuses';
+import { getDisplayName } from '../utils/displayName';
+
+export const INTERNAL_NOTES = 'internalNotes';
+
+export const MAX_NOTE_LENGTH = 1000;
+
+// Firestore allows 500 writes per batch; a status change takes two (the report and its history entry).
+const REPORTS_PER_BATCH = 200;
+
+// Firestore's limit for the values of an `in` filter.
+const MAX_IN_VALUES = 30;
+
+/**
+ * @description Loads the open, public reports in the given districts.
+ * @param {Array<string>} jurisdiction - The districts; empty for the whole city.
+ * @returns {Promise<Array<object>>} The reports with their ids.
+ */
+export const getStaffReports = async (jurisdiction) => {
+  const publicReports = query(collection(db, collections.REPORTS), where('hidden', '==', false));
+  // Larger jurisdictions are filtered here instead of in the query.
+  const q = jurisdiction.length > 0 && jurisdiction.length <= MAX_IN_VALUES
+    ? query(publicReports, where('location.district', 'in', jurisdiction))
+    : publicReports;
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs
+    .map(report => ({ id: report.id, ...report.data() }))
+    .filter(report => isReportOpen(report))
+    .filter(report => jurisdiction.length === 0 || jurisdiction.includes(report.location.district));
+};
+
+/**
+ * @description Splits reports into groups that each fit in one write batch.
+ * @param {Array<object>} reports - The reports.
+ * @returns {Array<Array<object>>}
+ */
+const chunk = (reports) => {
+  const chunks = [];
+  for (let i = 0; i < reports.length; i += REPORTS_PER_BATCH) {
+    chunks.push(reports.slice(i, i + REPORTS_PER_BATCH));
+  }
+  return chunks;
+};
+
+/**
+ * @description Moves several reports to a new status, recording the change in each report's history.
+ * @param {Array<object>} reports - The reports (with their `id` and current `status`).
+ * @param {string} status - The new status (see data/reportStatuses.js).
+ * @param {string} [note=''] - An optional public explanation added to each history entry.
+ */
+export const bulkUpdateStatus = async (reports, status, note = '') => {
+  for (const group of chunk(reports)) {
+    const batch = writeBatch(db);
+    group.forEach((report) => {
+      addStatusChange(batch, doc(db, collections.REPORTS, report.id), status, {
+        previousStatus: report.status || null,
+        note,
+      });
+    });
+    await batch.commit();
+  }
+};
+
+/**
+ * @description Assigns several reports to a crew or contractor, or clears the assignment.
+ * @param {Array<object>} reports - The reports (with their `id`).
+ * @param {string} assignee - The crew or contractor; empty to unassign.
+ * @returns {Promise<object>} The report fields that changed.
+ */
+export const assignReports = async (reports, assignee) => {
+  const changes = {
+    assignedTo: assignee.trim() || null,
+    assignedBy: auth.currentUser.uid,
+    assignedAt: serverTimestamp(),
+  };
+  for (const group of chunk(reports)) {
+    const batch = writeBatch(db);
+    group.forEach(report => batch.update(doc(db, collections.REPORTS, report.id), changes));
+    await batch.commit();
+  }
+  return { assignedTo: changes.assignedTo };
+};
+
+/**
+ * @description Loads a report's internal notes, oldest first.
+ * @param {string} reportId - The report.
+ * @returns {Promise<Array<object>>} The notes with their ids.
+ */
+export const getInternalNotes = async (reportId) => {
+  const q = query(collection(db, collections.REPORTS, reportId, INTERNAL_NOTES), orderBy('createdAt', 'asc'));
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map(note => ({ id: note.id, ...note.data() }));
+};
+
+/**
+ * @description Adds an internal note by the signed-in staff member.
+ * @param {string} reportId - The report.
+ * @param {string} text - The note.
+ */
+export const addInternalNote = async (reportId, text) => {
+  const user = auth.currentUser;
+  await addDoc(collection(db, collections.REPORTS, reportId, INTERNAL_NOTES), {
+    uid: user.uid,
+    authorName: getDisplayName(user),
+    text: text.trim().slice(0, MAX_NOTE_LENGTH),
+    createdAt: serverTimestamp(),
+  });
+};
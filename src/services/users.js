@@ -0,0 +1,66 @@
+/**
+ * @file users.js
+ * @description Per-user documents in the `users` collection, keyed by uid. Each account gets one on sign-in
+ * with its public `displayName` and the `createdAt` join date. The same document holds the user's `roles`
+ * (see data/userRoles.js), which the security rules check, and for staff their `jurisdiction`; those can
+ * only be set with the Admin SDK.
+ */
+
+import { doc, getDoc, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { updateProfile } from 'firebase/auth';
+import { db, auth, collections } from '../firebase';
+import { getDisplayName } from '../utils/displayName';
+
+export const MAX_DISPLAY_NAME_LENGTH = 50;
+
+/**
+ * @description Creates the user's document on their first sign-in, and keeps its display name in step
+ * with the account's (e.g. after signing in with Google).
+ * @param {import('firebase/auth').User} user - The signed-in user.
+ */
+export const saveUserProfile = async (user) => {
+  const userRef = doc(db, collections.USERS, user.uid);
+  const snap = await getDoc(userRef);
+  const displayName = getDisplayName(user);
+  if (!snap.exists()) {
+    await setDoc(userRef, { displayName, createdAt: serverTimestamp() });
+  } else if (snap.data().displayName !== displayName) {
+    await updateDoc(userRef, { displayName });
+  }
+};
+
+/**
+ * @description Loads a user's public profile.
+ * @param {string} uid - The user.
+ * @returns {Promise<object|null>} The profile (`displayName`, `createdAt`) with its `id`, or null if there is none.
+ */
+export const getUserProfile = async (uid) => {
+  const snap = await getDoc(doc(db, collections.USERS, uid));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+};
+
+/**
+ * @description Changes the signed-in user's display name, on the account and on their profile.
+ * Names already stored on earlier reports and comments keep the old name.
+ * @param {string} displayName - The new name; empty to go back to the anonymous nickname.
+ * @returns {Promise<string>} The name now shown.
+ */
+export const updateDisplayName = async (displayName) => {
+  const user = auth.currentUser;
+  await updateProfile(user, { displayName: displayName.trim().slice(0, MAX_DISPLAY_NAME_LENGTH) || null });
+  const name = getDisplayName(user);
+  await updateDoc(doc(db, collections.USERS, user.uid), { displayName: name });
+  return name;
+};
+
+/**
+ * @description Loads the roles of a user and, for staff, the districts they are responsible for.
+ * @param {string} uid - The user.
+ * @returns {Promise<{roles: Array<string>, jurisdiction: Array<string>}>} Empty lists for regular users;
+ * an empty jurisdiction means the whole city.
+ */
+export const getUserAccess = async (uid) => {
+  const snap = await getDoc(doc(db, collections.USERS, uid));
+  const data = snap.exists() ? snap.data() : {};
+  return { roles: data.roles || [], jurisdiction: data.jurisdiction || [] };
+};
@@ -0,0 +1,88 @@
+/**
+ * @file achievements.js
+ * @description The achievement badges reporters earn for milestones. Badges are not stored anywhere:
+ * they are worked out from a user's reports, so they also count reports from before badges existed
+ * and disappear again when the moderators remove the report that earned them.
+ */
+
+import { isReportOpen } from '../data/reportStatuses';
+
+// The danger level (reporter's own rating, 1-10) from which a report counts as severe.
+const SEVERE_DANGER_LEVEL = 8;
+
+// The months of the south-west monsoon, June to September (0-based, as in Date#getMonth).
+const MONSOON_MONTHS = [5, 6, 7, 8];
+
+/**
+ * @description When a report was made; reports that were just created may not have their server time yet.
+ * @param {object} report - The report document data.
+ * @returns {Date}
+ */
+const getReportDate = (report) => (report.createdAt?.seconds ? new Date(report.createdAt.seconds * 1000) : new Date());
+
+// Every badge, in the order they are shown. `isEarned` gets the user's reports that are not hidden.
+export const badges = [
+  {
+    id: 'first-report',
+    emoji: '🚧',
+    label: 'First Report',
+    description: 'Reported your first pothole.',
+    isEarned: (reports) => reports.length >= 1,
+  },
+  {
+    id: 'ten-reports',
+    emoji: '🔟',
+    label: 'Pothole Hunter',
+    description: 'Reported 10 potholes.',
+    isEarned: (reports) => reports.length >= 10,
+  },
+  {
+    id: 'first-severe',
+    emoji: '⚠️',
+    label: 'Crater Spotter',
+    description: `Reported a pothole with danger level ${SEVERE_DANGER_LEVEL} or more.`,
+    isEarned: (reports) => reports.some(report => report.dangerLevel >= SEVERE_DANGER_LEVEL),
+  },
+  {
+    id: 'got-fixed',
+    emoji: '🛠️',
+    label: 'Fixer',
+    description: 'One of your reports got fixed.',
+    isEarned: (reports) => reports.some(report => !isReportOpen(report)),
+  },
+  {
+    id: 'five-districts',
+    emoji: '🗺️',
+    label: 'City Explorer',
+    description: 'Reported potholes in 5 different districts.',
+    isEarned: (reports) => new Set(reports.map(report => report.location?.district).filter(Boolean)).size >= 5,
+  },
+  {
+    id: 'monsoon',
+    emoji: '🌧️',
+    label: 'Monsoon Reporter',
+    description: 'Reported a pothole during the monsoon (June to September).',
+    isEarned: (reports) => reports.some(report => MONSOON_MONTHS.includes(getReportDate(report).getMonth())),
+  },
+];
+
+/**
+ * @description Returns the badges a user has earned.
+ * @param {Array<object>} reports - The user's reports, including any hidden by the moderators (they do not count).
+ * @returns {Array<object>} The earned badges, in the order of `badges`.
+ */
+export const getEarnedBadges = (reports) => {
+  const countedReports = reports.filter(report => !report.hidden);
+  return badges.filter(badge => badge.isEarned(countedReports));
+};
+
+/**
+ * @description Returns the badges a report has just earned its reporter.
+ * @param {Array<object>} reports - The user's reports (with their `id`), including the new one.
+ * @param {string} reportId - The new report.
+ * @returns {Array<object>} The badges earned with the new report but not without it.
+ */
+export const getNewBadges = (reports, reportId) => {
+  const earnedBefore = getEarnedBadges(reports.filter(report => report.id !== reportId)).map(badge => badge.id);
+  return getEarnedBadges(reports).filter(badge => !earnedBefore.includes(badge.id));
+};
@@ -0,0 +1,55 @@
+import { getEarnedBadges, getNewBadges } from './achievements';
+
+/**
+ * @description A report as the badges get it, made on a local date outside the monsoon.
+ * @param {string} id - The report id.
+ * @param {object} [overrides] - Fields to replace.
+ * @returns {object}
+ */
+const report = (id, overrides = {}) => ({
+  id,
+  dangerLevel: 5,
+  status: 'reported',
+  location: { district: 'Shivajinagar' },
+  createdAt: { seconds: new Date(2024, 0, 15).getTime() / 1000 },
+  ...overrides,
+});
+
+/**
+ * @description Returns the ids of badges.
+ * @param {Array<object>} badges - The badges.
+ * @returns {Array<string>}
+ */
+const idsOf = (badges) => badges.map(badge => badge.id);
+
+describe('getEarnedBadges', () => {
+  test('hidden reports do not count', () => {
+    expect(idsOf(getEarnedBadges([report('r1', { hidden: true })]))).toEqual([]);
+    expect(idsOf(getEarnedBadges([report('r1')]))).toEqual(['first-report']);
+  });
+});
+
+describe('getNewBadges', () => {
+  test('returns the badges the new report earned', () => {
+    const reports = [report('r1'), report('r2', { dangerLevel: 9 })];
+    expect(idsOf(getNewBadges(reports, 'r2'))).toEqual(['first-severe']);
+  });
+
+  test('the first report earns the first badge', () => {
+    expect(idsOf(getNewBadges([report('r1')], 'r1'))).toEqual(['first-report']);
+  });
+
+  test('badges earned before are not new', () => {
+    const reports = [report('r1', { dangerLevel: 9 }), report('r2', { dangerLevel: 10 })];
+    expect(idsOf(getNewBadges(reports, 'r2'))).toEqual([]);
+  });
+
+  test('nothing is new while the reports do not include the new one yet', () => {
+    expect(getNewBadges([report('r1')], 'r2')).toEqual([]);
+  });
+
+  test('the monsoon badge goes by the month the report was made in', () => {
+    const reports = [report('r1'), report('r2', { createdAt: { seconds: new Date(2024, 6, 15).getTime() / 1000 } })];
+    expect(idsOf(getNewBadges(reports, 'r2'))).toEqual(['monsoon']);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * @file dangerRating.js
+ * @description Helpers for a report's crowd-averaged danger rating. Every user can rate a report
+ * (see services/ratings.js); the report keeps the `ratingSum` and `ratingCount` of all ratings,
+ * starting with the reporter's own `dangerLevel`. Reports from before ratings existed only have that one.
+ */
+
+/**
+ * @description Returns the danger level to show and sort by: the mean of all ratings.
+ * @param {object} report - The report document data.
+ * @returns {number} The average danger level (1-10), not rounded.
+ */
+export const getDangerLevel = (report) => (
+  report.ratingCount > 0 ? report.ratingSum / report.ratingCount : report.dangerLevel
+);
+
+/**
+ * @description Returns how many people rated a report.
+ * @param {object} report - The report document data.
+ * @returns {number}
+ */
+export const getRatingCount = (report) => report.ratingCount || 1;
+
+/**
+ * @description Formats a danger level for display, with one decimal for averages (e.g. "6.5").
+ * @param {number} level - The danger level.
+ * @returns {string}
+ */
+export const formatDangerLevel = (level) => (Number.isInteger(level) ? String(level) : level.toFixed(1));
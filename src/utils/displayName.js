@@ -0,0 +1,16 @@
+/**
+ * @file displayName.js
+ * @description How users are named in the app. Most people use it anonymously, so they get
+ * a stable nickname derived from their uid unless they have set a display name.
+ */
+
+/**
+ * @description Returns the name to show for a user.
+ * @param {{uid: string, displayName?: string|null}} user - The Firebase user (or the stored author fields).
+ * @returns {string} The display name, e.g. "Anonymous #4f2a".
+ */
+export const getDisplayName = (user) => {
+  if (!user) return 'Anonymous';
+  if (user.displayName) return user.displayName;
+  return `Anonymous #${user.uid.slice(0, 4)}`;
+};
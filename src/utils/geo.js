@@ -0,0 +1,50 @@
+/**
+ * @file geo.js
+ * @description Small geographic helpers for working with report coordinates.
+ */
+
+// Mean radius of the Earth in meters.
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * @description Calculates the great-circle distance between two points (haversine formula).
+ * @param {{lat: number, lng: number}} a - The first point.
+ * @param {{lat: number, lng: number}} b - The second point.
+ * @returns {number} The distance in meters.
+ */
+export const distanceInMeters = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * @description Returns the latitude/longitude box that contains a circle around a point.
+ * Useful for a coarse range query before filtering by exact distance.
+ * @param {{lat: number, lng: number}} center - The centre of the circle.
+ * @param {number} radiusMeters - The radius of the circle in meters.
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}}
+ */
+export const getBoundingBox = (center, radiusMeters) => {
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(center.lat)), 0.01);
+  return {
+    minLat: center.lat - latDelta,
+    maxLat: center.lat + latDelta,
+    minLng: center.lng - lngDelta,
+    maxLng: center.lng + lngDelta,
+  };
+};
+
+/**
+ * @description Formats a distance for display, e.g. "12 m" or "1.3 km".
+ * @param {number} meters - The distance in meters.
+ * @returns {string}
+ */
+export const formatDistance = (meters) => (
+  meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`
+);
@@ -0,0 +1,38 @@
+/**
+ * @file heatmap.js
+ * @description Turns reports into heatmap points for the map's heatmap layer (leaflet.heat). Each report adds
+ * heat by its danger level, so places with many or very dangerous potholes glow the most.
+ */
+
+import { getDangerLevel } from './dangerRating';
+
+// Green to orange to red, like the danger colours of the markers.
+export const HEATMAP_GRADIENT = { 0.3: '#4caf50', 0.6: '#ff9800', 1: '#f44336' };
+
+// With recency weighting, a report's heat halves every 90 days.
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+/**
+ * @description Returns how much heat a report adds.
+ * @param {object} report - The report document data.
+ * @param {boolean} [weightByRecency=false] - Let older reports fade out.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {number} The weight, from 0 to 1 (a level 10 pothole reported just now).
+ */
+export const getHeatWeight = (report, weightByRecency = false, now = Date.now()) => {
+  const weight = getDangerLevel(report) / 10;
+  if (!weightByRecency || !report.createdAt?.seconds) return weight;
+  const ageDays = Math.max(0, now - report.createdAt.seconds * 1000) / (24 * 60 * 60 * 1000);
+  return weight * 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+/**
+ * @description Returns the heatmap points of the reports.
+ * @param {Array<object>} reports - The reports on the map.
+ * @param {boolean} [weightByRecency=false] - Let older reports fade out.
+ * @returns {Array<[number, number, number]>} `[lat, lng, weight]` for each report.
+ */
+export const getHeatmapPoints = (reports, weightByRecency = false) => {
+  const now = Date.now();
+  return reports.map(report => [report.location.lat, report.location.lng, getHeatWeight(report, weightByRecency, now)]);
+};
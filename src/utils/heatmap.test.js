@@ -0,0 +1,41 @@
+import { getHeatWeight, getHeatmapPoints } from './heatmap';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 2, 31);
+
+/**
+ * @description A report with a danger level, made some days before NOW.
+ * @param {number} dangerLevel - The danger level.
+ * @param {number} days - How many days ago it was made.
+ * @returns {object}
+ */
+const report = (dangerLevel, days) => ({
+  dangerLevel,
+  location: { lat: 12.97, lng: 77.59 },
+  createdAt: { seconds: (NOW - days * DAY_MS) / 1000 },
+});
+
+describe('getHeatWeight', () => {
+  test('the weight is the danger level out of 10', () => {
+    expect(getHeatWeight(report(10, 400), false, NOW)).toBe(1);
+    expect(getHeatWeight(report(4, 400), false, NOW)).toBeCloseTo(0.4);
+  });
+
+  test('with recency weighting, the weight halves every 90 days', () => {
+    expect(getHeatWeight(report(10, 0), true, NOW)).toBe(1);
+    expect(getHeatWeight(report(10, 90), true, NOW)).toBeCloseTo(0.5);
+    expect(getHeatWeight(report(10, 180), true, NOW)).toBeCloseTo(0.25);
+    expect(getHeatWeight(report(8, 45), true, NOW)).toBeCloseTo(0.8 * Math.SQRT1_2);
+  });
+
+  test('reports from the future or without a time yet do not fade', () => {
+    expect(getHeatWeight(report(6, -1), true, NOW)).toBeCloseTo(0.6);
+    expect(getHeatWeight({ ...report(6, 0), createdAt: null }, true, NOW)).toBeCloseTo(0.6);
+  });
+});
+
+describe('getHeatmapPoints', () => {
+  test('returns the location and weight of each report', () => {
+    expect(getHeatmapPoints([report(5, 10)])).toEqual([[12.97, 77.59, 0.5]]);
+  });
+});
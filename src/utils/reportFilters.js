@@ -0,0 +1,68 @@
+/**
+ * @file reportFilters.js
+ * @description The filters of the map (see components/MapFilterPanel.js): danger bands, a date range,
+ * a district search, the hazard type and the status. Reports are filtered in the browser, like on the list.
+ */
+
+import dayjs from 'dayjs';
+import { getDangerLevel } from './dangerRating';
+import { getHazardType } from '../data/hazardAttributes';
+import { getReportStatus, isReportOpen } from '../data/reportStatuses';
+
+// The danger bands, with the same ranges and colours as the map markers and the list's danger filter.
+export const dangerBands = [
+  { value: 'minor', label: 'Minor (1-3)', min: 1, max: 3, color: '#4caf50' },
+  { value: 'moderate', label: 'Moderate (4-7)', min: 4, max: 7, color: '#ff9800' },
+  { value: 'severe', label: 'Severe (8-10)', min: 8, max: 10, color: '#f44336' },
+];
+
+// No filters, apart from hiding fixed potholes. `from` and `to` are 'YYYY-MM-DD' dates, or empty for no limit.
+export const defaultReportFilters = {
+  dangerBands: dangerBands.map(band => band.value),
+  from: '',
+  to: '',
+  district: '',
+  hazardType: 'all',
+  status: 'open',
+};
+
+/**
+ * @description Tells whether a report passes the filters.
+ * @param {object} report - The report document data.
+ * @param {object} filters - The filters, shaped like `defaultReportFilters`.
+ * @returns {boolean}
+ */
+export const matchesReportFilters = (report, filters) => {
+  // The marker shows the rounded danger level, so the bands use it too.
+  const dangerLevel = Math.round(getDangerLevel(report));
+  const inBand = dangerBands.some(band => (
+    filters.dangerBands.includes(band.value) && dangerLevel >= band.min && dangerLevel <= band.max
+  ));
+  if (!inBand) return false;
+
+  // Reports that are still being saved have no `createdAt` yet; they count as submitted just now.
+  const createdAt = report.createdAt?.seconds ? dayjs(report.createdAt.seconds * 1000) : dayjs();
+  if (filters.from && createdAt.isBefore(dayjs(filters.from).startOf('day'))) return false;
+  if (filters.to && createdAt.isAfter(dayjs(filters.to).endOf('day'))) return false;
+
+  const district = filters.district.trim().toLowerCase();
+  if (district && !(report.location.district || '').toLowerCase().includes(district)) return false;
+
+  // Reports from before attributes existed count as potholes, and those from before statuses as just reported.
+  if (filters.hazardType !== 'all' && getHazardType(report).value !== filters.hazardType) return false;
+  if (filters.status === 'open') return isReportOpen(report);
+  return filters.status === 'all' || getReportStatus(report).value === filters.status;
+};
+
+/**
+ * @description Counts the filters that differ from the defaults, e.g. for a badge on the filter button.
+ * @param {object} filters - The filters, shaped like `defaultReportFilters`.
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) => [
+  filters.dangerBands.length !== dangerBands.length,
+  filters.from || filters.to,
+  filters.district.trim(),
+  filters.hazardType !== defaultReportFilters.hazardType,
+  filters.status !== defaultReportFilters.status,
+].filter(Boolean).length;
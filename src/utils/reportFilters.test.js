@@ -0,0 +1,70 @@
+import dayjs from 'dayjs';
+import { defaultReportFilters, matchesReportFilters, countActiveFilters } from './reportFilters';
+
+/**
+ * @description A report as the map gets it, created at a local date and time.
+ * @param {object} [overrides] - Fields to replace.
+ * @param {string} [createdAt='2024-03-10T12:00:00'] - When it was reported.
+ * @returns {object}
+ */
+const report = (overrides = {}, createdAt = '2024-03-10T12:00:00') => ({
+  dangerLevel: 5,
+  location: { district: 'Shivajinagar' },
+  status: 'reported',
+  createdAt: { seconds: dayjs(createdAt).unix() },
+  ...overrides,
+});
+
+describe('matchesReportFilters', () => {
+  test('danger bands use the rounded crowd-averaged danger level', () => {
+    const minorOnly = { ...defaultReportFilters, dangerBands: ['minor'] };
+    // 10 / 3 = 3.33, shown as 3 on the marker.
+    expect(matchesReportFilters(report({ ratingSum: 10, ratingCount: 3 }), minorOnly)).toBe(true);
+    // 7 / 2 = 3.5, shown as 4.
+    expect(matchesReportFilters(report({ ratingSum: 7, ratingCount: 2 }), minorOnly)).toBe(false);
+    expect(matchesReportFilters(report({ dangerLevel: 8 }), { ...defaultReportFilters, dangerBands: ['severe'] })).toBe(true);
+    expect(matchesReportFilters(report(), { ...defaultReportFilters, dangerBands: [] })).toBe(false);
+  });
+
+  test('the date range includes the whole first and last day', () => {
+    const filters = { ...defaultReportFilters, from: '2024-03-10', to: '2024-03-12' };
+    expect(matchesReportFilters(report({}, '2024-03-10T00:00:00'), filters)).toBe(true);
+    expect(matchesReportFilters(report({}, '2024-03-12T23:59:59'), filters)).toBe(true);
+    expect(matchesReportFilters(report({}, '2024-03-09T23:59:59'), filters)).toBe(false);
+    expect(matchesReportFilters(report({}, '2024-03-13T00:00:00'), filters)).toBe(false);
+  });
+
+  test('reports still being saved count as reported now', () => {
+    const pending = report({ createdAt: null });
+    expect(matchesReportFilters(pending, { ...defaultReportFilters, from: dayjs().format('YYYY-MM-DD') })).toBe(true);
+    expect(matchesReportFilters(pending, { ...defaultReportFilters, to: '2024-03-12' })).toBe(false);
+  });
+
+  test('the district search ignores case and surrounding spaces', () => {
+    expect(matchesReportFilters(report(), { ...defaultReportFilters, district: '  shivaji ' })).toBe(true);
+    expect(matchesReportFilters(report(), { ...defaultReportFilters, district: 'Ulsoor' })).toBe(false);
+  });
+
+  test('reports from before attributes existed count as potholes', () => {
+    expect(matchesReportFilters(report(), { ...defaultReportFilters, hazardType: 'pothole' })).toBe(true);
+    expect(matchesReportFilters(report(), { ...defaultReportFilters, hazardType: 'open-manhole' })).toBe(false);
+  });
+
+  test('the open status hides fixed reports but keeps every other status', () => {
+    expect(defaultReportFilters.status).toBe('open');
+    expect(matchesReportFilters(report({ status: 'fixed' }), defaultReportFilters)).toBe(false);
+    expect(matchesReportFilters(report({ status: 'pending-fixed' }), defaultReportFilters)).toBe(true);
+    // Reports from before statuses existed count as just reported.
+    expect(matchesReportFilters(report({ status: undefined }), defaultReportFilters)).toBe(true);
+    expect(matchesReportFilters(report({ status: 'fixed' }), { ...defaultReportFilters, status: 'all' })).toBe(true);
+    expect(matchesReportFilters(report(), { ...defaultReportFilters, status: 'fixed' })).toBe(false);
+  });
+});
+
+describe('countActiveFilters', () => {
+  test('counts the filters that differ from the defaults', () => {
+    expect(countActiveFilters(defaultReportFilters)).toBe(0);
+    expect(countActiveFilters({ ...defaultReportFilters, from: '2024-03-10', to: '2024-03-12', district: ' ' })).toBe(1);
+    expect(countActiveFilters({ ...defaultReportFilters, dangerBands: ['severe'], status: 'all' })).toBe(2);
+  });
+});
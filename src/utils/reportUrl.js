@@ -0,0 +1,26 @@
+/**
+ * @file reportUrl.js
+ * @description Links to the permanent page of a report (`/reports/:id`), used for sharing,
+ * and to a user's profile page (`/users/:uid`).
+ */
+
+/**
+ * @description Returns the in-app path of a report's page.
+ * @param {string} reportId - The report.
+ * @returns {string} e.g. "/reports/abc123".
+ */
+export const getReportPath = (reportId) => `/reports/${reportId}`;
+
+/**
+ * @description Returns the full, shareable URL of a report's page.
+ * @param {string} reportId - The report.
+ * @returns {string} e.g. "https://example.com/reports/abc123".
+ */
+export const getReportUrl = (reportId) => `${window.location.origin}${getReportPath(reportId)}`;
+
+/**
+ * @description Returns the in-app path of a user's profile page.
+ * @param {string} uid - The user.
+ * @returns {string} e.g. "/users/Xy12ab".
+ */
+export const getProfilePath = (uid) => `/users/${uid}`;
@@ -0,0 +1,96 @@
+/**
+ * @file reporterPoints.js
+ * @description The points system of the reporter leaderboard. Reporters earn points for their reports,
+ * for confirming other people's reports, and when their reports get fixed; reports removed by the
+ * moderators cost points. Each event counts in the period it happened in.
+ */
+
+import { getReportStatus } from '../data/reportStatuses';
+
+export const POINTS = {
+  REPORT: 10,
+  CONFIRMATION: 2,
+  FIXED: 15,
+  REMOVED: -20,
+};
+
+export const periods = [
+  { value: 'week', label: 'This Week', days: 7 },
+  { value: 'month', label: 'This Month', days: 30 },
+  { value: 'all', label: 'All Time', days: null },
+];
+
+/**
+ * @description Returns when a leaderboard period starts.
+ * @param {string} period - 'week', 'month' or 'all'.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {number|null} The start in seconds since the epoch, or null for all time.
+ */
+export const getPeriodStart = (period, now = new Date()) => {
+  const { days } = periods.find(option => option.value === period) || {};
+  return days ? Math.floor(now.getTime() / 1000) - days * 24 * 60 * 60 : null;
+};
+
+/**
+ * @description Adds up the points of every reporter.
+ * @param {Array<object>} reports - All public reports (with their `id`). Hidden ones are skipped if included.
+ * @param {Array<{uid: string, reportId: string, createdAt: object}>} confirmations - All confirmations. Those of
+ * reports that are not among `reports`, e.g. deleted or hidden ones, earn nothing.
+ * @param {Array<{uid: string, reportId: string, removedAt: object}>} removals - All reports the moderators hid or
+ * deleted (see services/moderation.js).
+ * @param {number|null} [since=null] - Only count events from this time on (seconds since the epoch).
+ * @returns {Array<{uid: string, name: string|null, points: number, reports: number, confirmations: number, fixed: number, removed: number}>}
+ * The reporters with at least one counted event, highest score first.
+ */
+export const computeReporterScores = (reports, confirmations, removals, since = null) => {
+  const scores = {};
+  const inPeriod = (timestamp) => since === null || (timestamp?.seconds || 0) >= since;
+  const scoreOf = (uid) => {
+    if (!scores[uid]) scores[uid] = { uid, name: null, points: 0, reports: 0, confirmations: 0, fixed: 0, removed: 0 };
+    return scores[uid];
+  };
+
+  // The reports confirmations can count for, with their reporter (null for reports from before reporters were recorded).
+  const reporterOf = new Map();
+  reports.forEach((report) => {
+    // A hidden report earns nothing; its removal record costs points instead.
+    if (report.hidden) return;
+    reporterOf.set(report.id, report.uid || null);
+    // Reports from before reporters were recorded belong to nobody.
+    if (!report.uid) return;
+    const score = scoreOf(report.uid);
+    if (report.reporterName) score.name = report.reporterName;
+
+    if (inPeriod(report.createdAt)) {
+      score.reports += 1;
+      score.points += POINTS.REPORT;
+    }
+    if (!getReportStatus(report).isOpen && inPeriod(report.statusUpdatedAt)) {
+      score.fixed += 1;
+      score.points += POINTS.FIXED;
+    }
+  });
+
+  // Hidden and deleted reports cost points from when they were removed. A report has one record at most.
+  removals.forEach((removal) => {
+    if (!removal.uid || !inPeriod(removal.removedAt)) return;
+    const score = scoreOf(removal.uid);
+    score.removed += 1;
+    score.points += POINTS.REMOVED;
+  });
+
+  const removedIds = new Set(removals.map(removal => removal.reportId));
+  confirmations.forEach((confirmation) => {
+    // Only confirmations of other people's reports count, and only while those reports are public.
+    if (!confirmation.uid || !reporterOf.has(confirmation.reportId) || removedIds.has(confirmation.reportId)) return;
+    if (reporterOf.get(confirmation.reportId) === confirmation.uid) return;
+    if (!inPeriod(confirmation.createdAt)) return;
+    const score = scoreOf(confirmation.uid);
+    score.confirmations += 1;
+    score.points += POINTS.CONFIRMATION;
+  });
+
+  return Object.values(scores)
+    .filter(score => score.reports + score.confirmations + score.fixed + score.removed > 0)
+    .sort((a, b) => b.points - a.points || b.reports - a.reports);
+};
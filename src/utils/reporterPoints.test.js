@@ -0,0 +1,111 @@
+import { POINTS, getPeriodStart, computeReporterScores } from './reporterPoints';
+
+const DAY = 24 * 60 * 60;
+const NOW = new Date('2024-03-31T12:00:00Z');
+const nowSeconds = Math.floor(NOW.getTime() / 1000);
+
+/**
+ * @description A Firestore-like timestamp some days before NOW.
+ * @param {number} days - How many days ago.
+ * @returns {{seconds: number}}
+ */
+const daysAgo = (days) => ({ seconds: nowSeconds - days * DAY });
+
+/**
+ * @description A report as the leaderboard gets it.
+ * @param {string} id - The report id.
+ * @param {string} uid - The reporter.
+ * @param {object} [overrides] - Fields to replace.
+ * @returns {object}
+ */
+const report = (id, uid, overrides = {}) => ({ id, uid, status: 'reported', createdAt: daysAgo(1), ...overrides });
+
+/**
+ * @description Looks up one person's score.
+ * @param {Array<object>} scores - The result of computeReporterScores.
+ * @param {string} uid - The person.
+ * @returns {object|undefined}
+ */
+const scoreOf = (scores, uid) => scores.find(score => score.uid === uid);
+
+describe('getPeriodStart', () => {
+  test('weeks and months reach back 7 and 30 days; all time has no start', () => {
+    expect(getPeriodStart('week', NOW)).toBe(nowSeconds - 7 * DAY);
+    expect(getPeriodStart('month', NOW)).toBe(nowSeconds - 30 * DAY);
+    expect(getPeriodStart('all', NOW)).toBeNull();
+  });
+});
+
+describe('computeReporterScores', () => {
+  test('events only count in the period they happened in', () => {
+    const reports = [
+      report('r1', 'alice', { createdAt: daysAgo(1) }),
+      report('r2', 'alice', { createdAt: daysAgo(10) }),
+      // Reported long ago, fixed this week.
+      report('r3', 'bob', { createdAt: daysAgo(60), status: 'fixed', statusUpdatedAt: daysAgo(2) }),
+    ];
+    const week = computeReporterScores(reports, [], [], getPeriodStart('week', NOW));
+    expect(scoreOf(week, 'alice')).toMatchObject({ reports: 1, points: POINTS.REPORT });
+    expect(scoreOf(week, 'bob')).toMatchObject({ reports: 0, fixed: 1, points: POINTS.FIXED });
+
+    const month = computeReporterScores(reports, [], [], getPeriodStart('month', NOW));
+    expect(scoreOf(month, 'alice')).toMatchObject({ reports: 2, points: 2 * POINTS.REPORT });
+
+    const allTime = computeReporterScores(reports, [], []);
+    expect(scoreOf(allTime, 'bob')).toMatchObject({ reports: 1, fixed: 1, points: POINTS.REPORT + POINTS.FIXED });
+  });
+
+  test('an event exactly at the start of the period counts', () => {
+    const since = getPeriodStart('week', NOW);
+    const scores = computeReporterScores([report('r1', 'alice', { createdAt: { seconds: since } })], [], [], since);
+    expect(scoreOf(scores, 'alice').reports).toBe(1);
+  });
+
+  test('confirming your own report earns nothing', () => {
+    const reports = [report('r1', 'alice')];
+    const confirmations = [
+      { uid: 'alice', reportId: 'r1', createdAt: daysAgo(1) },
+      { uid: 'bob', reportId: 'r1', createdAt: daysAgo(1) },
+    ];
+    const scores = computeReporterScores(reports, confirmations, []);
+    expect(scoreOf(scores, 'alice')).toMatchObject({ confirmations: 0, points: POINTS.REPORT });
+    expect(scoreOf(scores, 'bob')).toMatchObject({ confirmations: 1, points: POINTS.CONFIRMATION });
+  });
+
+  test('confirmations of reports that were removed or are not loaded earn nothing', () => {
+    const reports = [report('r1', 'alice'), report('r2', 'alice', { hidden: true }), report('legacy', undefined)];
+    const confirmations = ['r1', 'r2', 'gone', 'unknown', 'legacy'].map(reportId => ({ uid: 'bob', reportId, createdAt: daysAgo(1) }));
+    const removals = [{ uid: 'alice', reportId: 'r2', removedAt: daysAgo(1) }, { uid: 'alice', reportId: 'gone', removedAt: daysAgo(1) }];
+    expect(scoreOf(computeReporterScores(reports, confirmations, removals), 'bob'))
+      .toMatchObject({ confirmations: 2, points: 2 * POINTS.CONFIRMATION });
+  });
+
+  test('hidden reports earn nothing and cost points through their removal record, from when they were hidden', () => {
+    const reports = [report('r1', 'alice', {
+      createdAt: daysAgo(20), status: 'fixed', statusUpdatedAt: daysAgo(15), hidden: true, moderatedAt: daysAgo(3),
+    })];
+    const removals = [{ uid: 'alice', reportId: 'r1', removedAt: daysAgo(3) }];
+    expect(scoreOf(computeReporterScores(reports, [], removals), 'alice'))
+      .toMatchObject({ reports: 0, fixed: 0, removed: 1, points: POINTS.REMOVED });
+    expect(scoreOf(computeReporterScores(reports, [], removals, getPeriodStart('week', NOW)), 'alice').removed).toBe(1);
+    expect(scoreOf(computeReporterScores(reports, [], removals, nowSeconds - DAY), 'alice')).toBeUndefined();
+  });
+
+  test('deleted reports keep costing points through their removal record', () => {
+    const removals = [
+      { uid: 'alice', reportId: 'gone', removedAt: daysAgo(2) },
+      { uid: 'alice', reportId: 'old', removedAt: daysAgo(40) },
+    ];
+    expect(scoreOf(computeReporterScores([], [], removals), 'alice')).toMatchObject({ removed: 2, points: 2 * POINTS.REMOVED });
+    expect(scoreOf(computeReporterScores([], [], removals, getPeriodStart('week', NOW)), 'alice').removed).toBe(1);
+  });
+
+  test('reports without a recorded reporter belong to nobody', () => {
+    expect(computeReporterScores([report('legacy', undefined)], [], [])).toEqual([]);
+  });
+
+  test('the highest score comes first', () => {
+    const reports = [report('r1', 'alice'), report('r2', 'bob'), report('r3', 'bob')];
+    expect(computeReporterScores(reports, [], []).map(score => score.uid)).toEqual(['bob', 'alice']);
+  });
+});
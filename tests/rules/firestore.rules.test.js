@@ -0,0 +1,560 @@
+/**
+ * @file firestore.rules.test.js
+ * @description Tests for firestore.rules, run against the local Firestore emulator with Node's test runner.
+ *
+ * Usage:
+ *   npm run test:rules
+ *
+ * The script starts the emulator with `firebase emulators:exec`, which also tells the tests where
+ * to find it (FIRESTORE_EMULATOR_HOST). Requires the Firebase CLI and Java, like `npm run emulators`.
+ */
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const {
+  doc, collection, collectionGroup, query, where, getDoc, getDocs, setDoc, addDoc, updateDoc, deleteDoc, writeBatch,
+  serverTimestamp, Timestamp
+} = require('firebase/firestore');
+
+// A `demo-` project never touches real Firebase resources.
+const PROJECT_ID = 'demo-pothole-rules';
+
+let testEnv;
+
+/**
+ * @description A valid new report as written by src/services/reports.js.
+ * @param {string} uid - The reporter.
+ * @param {object} [overrides] - Fields to replace.
+ * @returns {object}
+ */
+const newReport = (uid, overrides = {}) => ({
+  uid,
+  reporterName: 'Anonymous #a11c',
+  photos: [{ imagePath: 'reports/r1/photo-0.jpg', thumbnailPath: 'reports/r1/photo-0-thumb.jpg' }],
+  dangerLevel: 7,
+  ratingSum: 7,
+  ratingCount: 1,
+  dangerRating: 7,
+  attributes: { hazardType: 'pothole', width: '', depth: '', lanePosition: '', roadType: '', waterFilled: false },
+  description: 'Deep hole near the bus stop',
+  location: { lat: 12.97, lng: 77.59, district: 'Shivajinagar', formattedAddress: 'MG Road, Bengaluru' },
+  geohash: 'tdr1v957dp',
+  observedAt: serverTimestamp(),
+  status: 'reported',
+  statusUpdatedAt: serverTimestamp(),
+  hidden: false,
+  createdAt: serverTimestamp(),
+  ...overrides,
+});
+
+/**
+ * @description Writes documents with the rules turned off, to set up a test.
+ * @param {function(import('firebase/firestore').Firestore): Promise<void>} setup
+ */
+const seed = (setup) => testEnv.withSecurityRulesDisabled((context) => setup(context.firestore()));
+
+// Alice reported `r1`; Bob is another (anonymous) user; Mo is a moderator and Sam is staff once seeded.
+const seedReport = (overrides = {}) => seed(db => setDoc(doc(db, 'reports/r1'), newReport('alice', overrides)));
+const asAlice = () => testEnv.authenticatedContext('alice').firestore();
+const asBob = () => testEnv.authenticatedContext('bob').firestore();
+const asGuest = () => testEnv.unauthenticatedContext().firestore();
+const asMo = () => testEnv.authenticatedContext('mo').firestore();
+const seedModerator = () => seed(db => setDoc(doc(db, 'users/mo'), { roles: ['moderator'] }));
+const asSam = () => testEnv.authenticatedContext('sam').firestore();
+const seedStaff = () => seed(db => setDoc(doc(db, 'users/sam'), { roles: ['staff'], jurisdiction: ['Shivajinagar'] }));
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(path.join(__dirname, '../../firestore.rules'), 'utf8') },
+  });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+describe('reading reports', () => {
+  test('anyone can read a report', async () => {
+    await seedReport();
+    await assertSucceeds(getDoc(doc(asGuest(), 'reports/r1')));
+  });
+
+  test('a hidden report can only be read by its reporter and the moderators', async () => {
+    await seedReport({ hidden: true, moderatedBy: 'mo', moderatedAt: serverTimestamp() });
+    await seedModerator();
+    await assertFails(getDoc(doc(asGuest(), 'reports/r1')));
+    await assertFails(getDoc(doc(asBob(), 'reports/r1')));
+    await assertSucceeds(getDoc(doc(asAlice(), 'reports/r1')));
+    await assertSucceeds(getDoc(doc(asMo(), 'reports/r1')));
+  });
+
+  test('public queries have to leave out hidden reports', async () => {
+    await seedReport();
+    await assertFails(getDocs(collection(asGuest(), 'reports')));
+    await assertSucceeds(getDocs(query(collection(asGuest(), 'reports'), where('hidden', '==', false))));
+    await assertFails(getDocs(query(collection(asBob(), 'reports'), where('uid', '==', 'alice'))));
+    await assertSucceeds(getDocs(query(collection(asAlice(), 'reports'), where('uid', '==', 'alice'))));
+  });
+});
+
+describe('creating reports', () => {
+  test('a signed-in user can create a valid report', async () => {
+    await assertSucceeds(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice')));
+  });
+
+  test('signed-out users cannot create reports', async () => {
+    await assertFails(setDoc(doc(asGuest(), 'reports/r1'), newReport('alice')));
+  });
+
+  test('the report must be created under the own uid', async () => {
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('bob')));
+  });
+
+  test('the danger level must be a whole number from 1 to 10', async () => {
+    for (const dangerLevel of [0, 11, 5.5, '7']) {
+      await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', {
+        dangerLevel, ratingSum: dangerLevel, dangerRating: dangerLevel,
+      })));
+    }
+  });
+
+  test('the reporter rating must match the danger level', async () => {
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { ratingSum: 70, ratingCount: 10 })));
+  });
+
+  test('the location must be within latitude and longitude bounds', async () => {
+    const location = { lat: 12.97, lng: 77.59, district: 'Shivajinagar', formattedAddress: '' };
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { location: { ...location, lat: 91 } })));
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { location: { ...location, lng: -181 } })));
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { location: { ...location, lat: '12.97' } })));
+  });
+
+  test('the report must have a valid geohash', async () => {
+    const withoutGeohash = newReport('alice');
+    delete withoutGeohash.geohash;
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), withoutGeohash));
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { geohash: 'not a geohash' })));
+  });
+
+  test('the description is limited to 1000 characters', async () => {
+    await assertSucceeds(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { description: 'a'.repeat(1000) })));
+    await assertFails(setDoc(doc(asAlice(), 'reports/r2'), newReport('alice', { description: 'a'.repeat(1001) })));
+  });
+
+  test('a report holds one to five photos', async () => {
+    const photo = { imagePath: 'reports/r1/photo-0.jpg', thumbnailPath: 'reports/r1/photo-0-thumb.jpg' };
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { photos: [] })));
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { photos: Array(6).fill(photo) })));
+  });
+
+  test('createdAt must be the server timestamp', async () => {
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', {
+      createdAt: Timestamp.fromDate(new Date('2020-01-01')),
+    })));
+  });
+
+  test('the photo time cannot be in the future', async () => {
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', {
+      observedAt: Timestamp.fromMillis(Date.now() + 24 * 60 * 60 * 1000),
+    })));
+  });
+
+  test('new reports start as reported', async () => {
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { status: 'fixed' })));
+  });
+
+  test('new reports are public', async () => {
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { hidden: true })));
+    const withoutHidden = newReport('alice');
+    delete withoutHidden.hidden;
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), withoutHidden));
+  });
+
+  test('unknown fields such as inline images are rejected', async () => {
+    await assertFails(setDoc(doc(asAlice(), 'reports/r1'), newReport('alice', { imageBase64: 'data:image/jpeg;base64,AAAA' })));
+  });
+});
+
+describe('editing and deleting reports', () => {
+  test('the reporter can correct the danger level, photos and location', async () => {
+    await seedReport();
+    await assertSucceeds(updateDoc(doc(asAlice(), 'reports/r1'), {
+      dangerLevel: 4,
+      location: { lat: 12.98, lng: 77.6, district: 'Ulsoor', formattedAddress: '' },
+      geohash: 'tdr1vfftgp',
+      photos: [{ imagePath: 'reports/r1/photo-1.jpg', thumbnailPath: 'reports/r1/photo-1-thumb.jpg' }],
+      updatedAt: serverTimestamp(),
+    }));
+  });
+
+  test('other users cannot edit the report', async () => {
+    await seedReport();
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), { dangerLevel: 1, updatedAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), { description: 'Not a pothole' }));
+  });
+
+  test('the reporter cannot hand the report to someone else', async () => {
+    await seedReport();
+    await assertFails(updateDoc(doc(asAlice(), 'reports/r1'), { uid: 'bob', updatedAt: serverTimestamp() }));
+  });
+
+  test('edits still have to be valid', async () => {
+    await seedReport();
+    await assertFails(updateDoc(doc(asAlice(), 'reports/r1'), { dangerLevel: 12, updatedAt: serverTimestamp() }));
+  });
+
+  test('only the reporter can delete the report', async () => {
+    await seedReport();
+    await assertFails(deleteDoc(doc(asBob(), 'reports/r1')));
+    await assertSucceeds(deleteDoc(doc(asAlice(), 'reports/r1')));
+  });
+
+  test('reports without a recorded reporter cannot be edited or deleted', async () => {
+    await seed(db => setDoc(doc(db, 'reports/legacy'), { dangerLevel: 5, location: { lat: 1, lng: 1 } }));
+    await assertFails(updateDoc(doc(asAlice(), 'reports/legacy'), { dangerLevel: 1, updatedAt: serverTimestamp() }));
+    await assertFails(deleteDoc(doc(asAlice(), 'reports/legacy')));
+  });
+});
+
+describe('community updates', () => {
+  /**
+   * @description Votes on `r1` the way src/services/confirmations.js does: the confirmation and the counters in one write.
+   * @param {import('firebase/firestore').Firestore} db - The voting user's Firestore.
+   * @param {string} uid - The voting user.
+   * @param {string} status - 'still-there' or 'fixed'.
+   * @param {object} changes - The report fields to write besides `lastConfirmedAt`.
+   * @param {object} [historyEntry] - A status history entry to write under `changes.statusEntryId`.
+   */
+  const vote = (db, uid, status, changes, historyEntry = null) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, `reports/r1/confirmations/${uid}`), { uid, status, observedAt: serverTimestamp(), createdAt: serverTimestamp() });
+    batch.update(doc(db, 'reports/r1'), { ...changes, lastConfirmedAt: serverTimestamp() });
+    if (historyEntry) {
+      batch.set(doc(db, `reports/r1/statusHistory/${changes.statusEntryId}`), {
+        ...historyEntry, changedBy: uid, changedAt: serverTimestamp(),
+      });
+    }
+    return batch.commit();
+  };
+
+  /**
+   * @description Rates `r1` the way src/services/ratings.js does: the rating and the totals in one write.
+   * @param {import('firebase/firestore').Firestore} db - The rating user's Firestore.
+   * @param {string} uid - The rating user.
+   * @param {number} dangerLevel - The rating.
+   * @param {{ratingSum: number, ratingCount: number}} totals - The report totals to write.
+   */
+  const rate = (db, uid, dangerLevel, { ratingSum, ratingCount }) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, `reports/r1/ratings/${uid}`), { uid, dangerLevel, ratedAt: serverTimestamp() });
+    batch.update(doc(db, 'reports/r1'), { ratingSum, ratingCount, dangerRating: ratingSum / ratingCount });
+    return batch.commit();
+  };
+
+  test('anyone signed in can add one confirmation', async () => {
+    await seedReport();
+    await assertSucceeds(vote(asBob(), 'bob', 'still-there', { confirmationCount: 1, fixedVoteCount: 0 }));
+  });
+
+  test('confirmation counts cannot jump', async () => {
+    await seedReport();
+    await assertFails(vote(asBob(), 'bob', 'still-there', { confirmationCount: 50, fixedVoteCount: 0 }));
+  });
+
+  test('confirmation counts only move with a confirmation document', async () => {
+    await seedReport({ confirmationCount: 3 });
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), {
+      confirmationCount: 4, fixedVoteCount: 0, lastConfirmedAt: serverTimestamp(),
+    }));
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), {
+      confirmationCount: 2, fixedVoteCount: 0, lastConfirmedAt: serverTimestamp(),
+    }));
+  });
+
+  test('voting again only moves the earlier vote', async () => {
+    await seedReport({ confirmationCount: 1, fixedVoteCount: 0 });
+    await seed(db => setDoc(doc(db, 'reports/r1/confirmations/bob'), { uid: 'bob', status: 'still-there', createdAt: serverTimestamp() }));
+    await assertFails(vote(asBob(), 'bob', 'still-there', { confirmationCount: 2, fixedVoteCount: 0 }));
+    await assertFails(vote(asBob(), 'bob', 'fixed', { confirmationCount: 1, fixedVoteCount: 1 }));
+    await assertSucceeds(vote(asBob(), 'bob', 'fixed', { confirmationCount: 0, fixedVoteCount: 1 }));
+  });
+
+  test('confirmations cannot be deleted to vote again', async () => {
+    await seedReport({ confirmationCount: 1 });
+    await seed(db => setDoc(doc(db, 'reports/r1/confirmations/bob'), { uid: 'bob', status: 'still-there', createdAt: serverTimestamp() }));
+    await assertFails(deleteDoc(doc(asBob(), 'reports/r1/confirmations/bob')));
+  });
+
+  test('a fixed-now vote can only move the report to pending-fixed', async () => {
+    await seedReport({ fixedVoteCount: 2 });
+    const changes = { confirmationCount: 0, fixedVoteCount: 3, statusUpdatedAt: serverTimestamp() };
+    await assertFails(vote(asBob(), 'bob', 'fixed', { ...changes, status: 'fixed' }));
+    await assertFails(vote(asBob(), 'bob', 'still-there', { ...changes, confirmationCount: 1, fixedVoteCount: 2, status: 'pending-fixed' }));
+    // The move is recorded in the status history.
+    await assertFails(vote(asBob(), 'bob', 'fixed', { ...changes, status: 'pending-fixed' }));
+    const entry = { status: 'pending-fixed', previousStatus: 'reported', note: '3 people said it has been fixed' };
+    await assertSucceeds(vote(asBob(), 'bob', 'fixed', { ...changes, status: 'pending-fixed', statusEntryId: 'h1' }, entry));
+  });
+
+  test('a rating moves the totals by its own level', async () => {
+    await seedReport();
+    await assertSucceeds(rate(asBob(), 'bob', 3, { ratingSum: 10, ratingCount: 2 }));
+    await assertFails(rate(asBob(), 'bob', 3, { ratingSum: 20, ratingCount: 2 }));
+  });
+
+  test('rating totals only move with a rating document', async () => {
+    await seedReport();
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), { ratingSum: 10, ratingCount: 1, dangerRating: 10 }));
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), { ratingSum: 17, ratingCount: 2, dangerRating: 8.5 }));
+  });
+
+  test('changing a rating replaces it in the totals', async () => {
+    await seedReport({ ratingSum: 10, ratingCount: 2, dangerRating: 5 });
+    await seed(db => setDoc(doc(db, 'reports/r1/ratings/bob'), { uid: 'bob', dangerLevel: 3, ratedAt: serverTimestamp() }));
+    await assertFails(rate(asBob(), 'bob', 10, { ratingSum: 20, ratingCount: 3 }));
+    await assertSucceeds(rate(asBob(), 'bob', 10, { ratingSum: 17, ratingCount: 2 }));
+  });
+
+  test('users write only their own rating and confirmation', async () => {
+    await seedReport();
+    await assertSucceeds(rate(asBob(), 'bob', 3, { ratingSum: 10, ratingCount: 2 }));
+    await assertFails(rate(asBob(), 'alice', 3, { ratingSum: 13, ratingCount: 3 }));
+    await assertFails(setDoc(doc(asBob(), 'reports/r1/ratings/bob'), { uid: 'bob', dangerLevel: 11, ratedAt: serverTimestamp() }));
+    await assertSucceeds(vote(asBob(), 'bob', 'fixed', { confirmationCount: 0, fixedVoteCount: 1 }));
+    await assertFails(vote(asBob(), 'alice', 'fixed', { confirmationCount: 0, fixedVoteCount: 2 }));
+  });
+
+  test('confirmations of all reports can be listed for the leaderboard', async () => {
+    await assertSucceeds(getDocs(collectionGroup(asGuest(), 'confirmations')));
+  });
+
+});
+
+describe('comments', () => {
+  const comment = (uid, overrides = {}) => ({ uid, authorName: 'Anonymous #b0b0', text: 'Water-logged after rain', createdAt: serverTimestamp(), ...overrides });
+
+  test('users comment under their own uid', async () => {
+    await seedReport();
+    await assertSucceeds(addDoc(collection(asBob(), 'reports/r1/comments'), comment('bob')));
+    await assertFails(addDoc(collection(asBob(), 'reports/r1/comments'), comment('alice')));
+    await assertFails(addDoc(collection(asGuest(), 'reports/r1/comments'), comment('bob')));
+  });
+
+  test('comments must have text of at most 1000 characters', async () => {
+    await seedReport();
+    await assertFails(addDoc(collection(asBob(), 'reports/r1/comments'), comment('bob', { text: '' })));
+    await assertFails(addDoc(collection(asBob(), 'reports/r1/comments'), comment('bob', { text: 'a'.repeat(1001) })));
+  });
+
+  test('only the author can delete a comment', async () => {
+    await seedReport();
+    await seed(db => setDoc(doc(db, 'reports/r1/comments/c1'), comment('bob')));
+    await assertFails(deleteDoc(doc(asAlice(), 'reports/r1/comments/c1')));
+    await assertSucceeds(deleteDoc(doc(asBob(), 'reports/r1/comments/c1')));
+  });
+});
+
+describe('profiles', () => {
+  test('users create their own profile', async () => {
+    await assertSucceeds(setDoc(doc(asBob(), 'users/bob'), { displayName: 'Bob', createdAt: serverTimestamp() }));
+    await assertFails(setDoc(doc(asBob(), 'users/alice'), { displayName: 'Alice', createdAt: serverTimestamp() }));
+  });
+
+  test('profiles are public and only their owner can rename them', async () => {
+    await seed(db => setDoc(doc(db, 'users/bob'), { displayName: 'Bob' }));
+    await assertSucceeds(getDoc(doc(asGuest(), 'users/bob')));
+    await assertSucceeds(updateDoc(doc(asBob(), 'users/bob'), { displayName: 'Bobby' }));
+    await assertFails(updateDoc(doc(asAlice(), 'users/bob'), { displayName: 'Not Bob' }));
+  });
+});
+
+describe('moderation', () => {
+  /**
+   * @description Flags `r1` the way src/services/moderation.js does: the flag and the counters in one write.
+   * @param {import('firebase/firestore').Firestore} db - The flagging user's Firestore.
+   * @param {string} uid - The flagging user.
+   * @param {object} [counts] - The report counters to write.
+   */
+  const flag = (db, uid, counts = { flagCount: 1, flagCounts: { spam: 1 } }) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, `reports/r1/flags/${uid}`), { uid, reason: 'spam', createdAt: serverTimestamp() });
+    batch.update(doc(db, 'reports/r1'), { ...counts, lastFlaggedAt: serverTimestamp() });
+    return batch.commit();
+  };
+
+  test('users can flag a report once', async () => {
+    await seedReport();
+    await assertSucceeds(flag(asBob(), 'bob'));
+    await assertFails(flag(asBob(), 'bob', { flagCount: 2, flagCounts: { spam: 2 } }));
+  });
+
+  test('flags are counted one at a time and need a flag document', async () => {
+    await seedReport();
+    await assertFails(flag(asBob(), 'bob', { flagCount: 5, flagCounts: { spam: 5 } }));
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), { flagCount: 1, flagCounts: { spam: 1 }, lastFlaggedAt: serverTimestamp() }));
+  });
+
+  test('the count per reason moves by one, for the reason of the flag', async () => {
+    await seedReport({ flagCount: 1, flagCounts: { spam: 1 } });
+    await assertFails(flag(asBob(), 'bob', { flagCount: 2, flagCounts: { spam: 1, offensive: 1 } }));
+    await assertFails(flag(asBob(), 'bob', { flagCount: 2, flagCounts: { spam: 3 } }));
+    await assertFails(flag(asBob(), 'bob', { flagCount: 2, flagCounts: { spam: 2, privacy: 1 } }));
+    await assertFails(flag(asBob(), 'bob', { flagCount: 2, flagCounts: {} }));
+    await assertSucceeds(flag(asBob(), 'bob', { flagCount: 2, flagCounts: { spam: 2 } }));
+  });
+
+  test('flags are private to the flagger and the moderators', async () => {
+    await seedReport();
+    await seedModerator();
+    await seed(db => setDoc(doc(db, 'reports/r1/flags/bob'), { uid: 'bob', reason: 'spam', createdAt: serverTimestamp() }));
+    await assertSucceeds(getDoc(doc(asBob(), 'reports/r1/flags/bob')));
+    await assertSucceeds(getDoc(doc(asMo(), 'reports/r1/flags/bob')));
+    await assertFails(getDoc(doc(asAlice(), 'reports/r1/flags/bob')));
+  });
+
+  test('users cannot grant themselves roles', async () => {
+    await assertFails(setDoc(doc(asBob(), 'users/bob'), { displayName: 'Bob', roles: ['moderator'], createdAt: serverTimestamp() }));
+    await seed(db => setDoc(doc(db, 'users/bob'), { displayName: 'Bob' }));
+    await assertFails(updateDoc(doc(asBob(), 'users/bob'), { roles: ['moderator'] }));
+  });
+
+  test('only moderators can hide and restore reports', async () => {
+    await seedReport({ flagCount: 2, flagCounts: { spam: 2 } });
+    await seedModerator();
+    const hide = { hidden: true, moderatedBy: 'mo', moderatedAt: serverTimestamp() };
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), { ...hide, moderatedBy: 'bob' }));
+    await assertFails(updateDoc(doc(asAlice(), 'reports/r1'), { ...hide, moderatedBy: 'alice' }));
+    await assertSucceeds(updateDoc(doc(asMo(), 'reports/r1'), hide));
+    await assertSucceeds(updateDoc(doc(asMo(), 'reports/r1'), {
+      hidden: false, flagCount: 0, flagCounts: {}, moderatedBy: 'mo', moderatedAt: serverTimestamp(),
+    }));
+  });
+
+  test('moderators can delete any report', async () => {
+    await seedReport();
+    await seedModerator();
+    await assertSucceeds(deleteDoc(doc(asMo(), 'reports/r1')));
+  });
+
+  test('reporters cannot delete their hidden reports', async () => {
+    await seedReport({ hidden: true, moderatedBy: 'mo', moderatedAt: serverTimestamp() });
+    await assertFails(deleteDoc(doc(asAlice(), 'reports/r1')));
+  });
+
+  test('moderators record the removal of a report with its deletion', async () => {
+    await seedReport();
+    await seedModerator();
+    /**
+     * @description Deletes `r1` the way src/services/moderation.js does: the removal record and the deletion in one write.
+     * @param {import('firebase/firestore').Firestore} db - The user's Firestore.
+     * @param {object} removal - The removal record.
+     */
+    const remove = (db, removal) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'removedReports/r1'), { removedAt: serverTimestamp(), ...removal });
+      batch.delete(doc(db, 'reports/r1'));
+      return batch.commit();
+    };
+    await assertFails(remove(asBob(), { uid: 'alice', removedBy: 'bob' }));
+    await assertFails(remove(asMo(), { uid: 'bob', removedBy: 'mo' }));
+    await assertFails(setDoc(doc(asMo(), 'removedReports/r1'), { uid: 'alice', removedBy: 'mo', removedAt: serverTimestamp() }));
+    await assertSucceeds(remove(asMo(), { uid: 'alice', removedBy: 'mo' }));
+    await assertSucceeds(getDoc(doc(asGuest(), 'removedReports/r1')));
+  });
+
+  test('moderators record the removal of a report when hiding it and drop it when restoring it', async () => {
+    await seedReport();
+    await seedModerator();
+    /**
+     * @description Hides or restores `r1` the way src/services/moderation.js does, with its removal record.
+     * @param {import('firebase/firestore').Firestore} db - The user's Firestore.
+     * @param {boolean} hidden - True to hide it, false to restore it.
+     */
+    const moderate = (db, hidden) => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'reports/r1'), { hidden, moderatedBy: 'mo', moderatedAt: serverTimestamp() });
+      if (hidden) batch.set(doc(db, 'removedReports/r1'), { uid: 'alice', removedBy: 'mo', removedAt: serverTimestamp() });
+      else batch.delete(doc(db, 'removedReports/r1'));
+      return batch.commit();
+    };
+    await assertSucceeds(moderate(asMo(), true));
+    // The record stays while the report is hidden.
+    await assertFails(deleteDoc(doc(asMo(), 'removedReports/r1')));
+    await assertSucceeds(moderate(asMo(), false));
+    assert.strictEqual((await getDoc(doc(asGuest(), 'removedReports/r1'))).exists(), false);
+  });
+});
+
+describe('staff', () => {
+  /**
+   * @description Changes the status of `r1` the way src/services/reportStatus.js does: the report and a history entry in one write.
+   * @param {import('firebase/firestore').Firestore} db - The user's Firestore.
+   * @param {string} uid - The user.
+   * @param {string} status - The new status.
+   */
+  const changeStatus = (db, uid, status) => {
+    const batch = writeBatch(db);
+    const entryRef = doc(collection(db, 'reports/r1/statusHistory'));
+    batch.update(doc(db, 'reports/r1'), { status, statusUpdatedAt: serverTimestamp(), statusEntryId: entryRef.id });
+    batch.set(entryRef, { status, previousStatus: 'reported', note: '', changedBy: uid, changedAt: serverTimestamp() });
+    return batch.commit();
+  };
+
+  test('only staff can change the status', async () => {
+    await seedReport();
+    await seedStaff();
+    await assertFails(changeStatus(asBob(), 'bob', 'fixed'));
+    await assertFails(changeStatus(asAlice(), 'alice', 'fixed'));
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), { status: 'verified', statusUpdatedAt: serverTimestamp() }));
+    await assertSucceeds(changeStatus(asSam(), 'sam', 'fixed'));
+  });
+
+  test('a status change needs its entry in the status history', async () => {
+    await seedReport();
+    await seedStaff();
+    const db = asSam();
+    await assertFails(updateDoc(doc(db, 'reports/r1'), { status: 'verified', statusUpdatedAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(db, 'reports/r1'), { status: 'verified', statusUpdatedAt: serverTimestamp(), statusEntryId: 'h1' }));
+    // The entry has to be for this change.
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'reports/r1'), { status: 'fixed', statusUpdatedAt: serverTimestamp(), statusEntryId: 'h1' });
+    batch.set(doc(db, 'reports/r1/statusHistory/h1'), {
+      status: 'verified', previousStatus: 'reported', note: '', changedBy: 'sam', changedAt: serverTimestamp(),
+    });
+    await assertFails(batch.commit());
+  });
+
+  test('status history entries are recorded by staff under their own uid', async () => {
+    await seedReport();
+    await seedStaff();
+    const entry = { status: 'verified', previousStatus: 'reported', note: '', changedAt: serverTimestamp() };
+    await assertSucceeds(addDoc(collection(asSam(), 'reports/r1/statusHistory'), { ...entry, changedBy: 'sam' }));
+    await assertFails(addDoc(collection(asSam(), 'reports/r1/statusHistory'), { ...entry, changedBy: 'alice' }));
+    await assertFails(addDoc(collection(asSam(), 'reports/r1/statusHistory'), { ...entry, status: 'gone', changedBy: 'sam' }));
+    await assertFails(addDoc(collection(asBob(), 'reports/r1/statusHistory'), { ...entry, changedBy: 'bob' }));
+  });
+
+  test('only staff can assign reports', async () => {
+    await seedReport();
+    await seedStaff();
+    const assignment = { assignedTo: 'Ward 80 road crew', assignedBy: 'sam', assignedAt: serverTimestamp() };
+    await assertSucceeds(updateDoc(doc(asSam(), 'reports/r1'), assignment));
+    await assertFails(updateDoc(doc(asBob(), 'reports/r1'), { ...assignment, assignedBy: 'bob' }));
+  });
+
+  test('internal notes are for staff only', async () => {
+    await seedReport();
+    await seedStaff();
+    const note = { uid: 'sam', authorName: 'Sam', text: 'Needs a road closure permit', createdAt: serverTimestamp() };
+    await assertSucceeds(addDoc(collection(asSam(), 'reports/r1/internalNotes'), note));
+    await assertFails(addDoc(collection(asBob(), 'reports/r1/internalNotes'), { ...note, uid: 'bob' }));
+    await seed(db => setDoc(doc(db, 'reports/r1/internalNotes/n1'), note));
+    await assertSucceeds(getDoc(doc(asSam(), 'reports/r1/internalNotes/n1')));
+    await assertFails(getDoc(doc(asBob(), 'reports/r1/internalNotes/n1')));
+    await assertFails(getDoc(doc(asGuest(), 'reports/r1/internalNotes/n1')));
+  });
+});